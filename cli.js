@@ -0,0 +1,673 @@
+#!/usr/bin/env node
+
+/**
+ * MJML Schema Command-Line Tool
+ *
+ * Subcommands:
+ *   extract   Extract component specs and write the schema files
+ *   validate  Validate JSON trees or .mjml templates against a schema profile
+ *             (and check that mjml compiles them without errors)
+ *   convert   Convert between JSON trees and MJML markup
+ *   diff      Compare two mjml-specs-raw.json snapshots
+ *   lint      Check templates for accessibility and deliverability problems
+ *   size      Estimate the compiled HTML size against a budget (Gmail clipping)
+ *   repair    Apply mechanical fixes so a tree passes a schema profile
+ *   edit      Apply JSON Patch and id-addressed edit operations to a tree
+ *   text      Render the plain-text alternative of a template
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { glob } from 'glob';
+import { runExtraction } from './extract_specs.js';
+import { validate, PROFILES } from './validate.js';
+import { parseMjml, MjmlParseError } from './parse_mjml.js';
+import { NAMING_MODES } from './naming.js';
+import { toMjml } from './to_mjml.js';
+import { diffSpecs, formatChangelog } from './diff_specs.js';
+import { resolveIncludes, IncludeError } from './resolve_includes.js';
+import { lint, SEVERITIES, BUILTIN_RULES } from './lint.js';
+import { CLIENTS } from './compatibility.js';
+import { estimateSize, formatBytes, GMAIL_CLIP_BYTES } from './email_size.js';
+import { verifyRender } from './verify_render.js';
+import { repair } from './repair.js';
+import { applyEdits } from './edit_tree.js';
+import { toText } from './to_text.js';
+import { loadConfig, ConfigError, CONFIG_FILES } from './plugins.js';
+
+const USAGE = `Usage: mjml-schema <command> [options]
+
+Commands:
+  extract                     Extract component specs and write schema files
+    --out-dir <dir>           Output directory (default: package directory)
+    --profile <name>          full, ai, strict, ai-edit or all (default: all)
+    --naming <mode>           kebab or camel for both schemas
+    --include <a,b,...>       Only keep these components
+    --exclude <a,b,...>       Drop these components
+    --templating <mode>       Accept template expressions in attribute values (liquid)
+    --config <file>           Extractor config: in-house components, hierarchy, profile rules
+                              (default: ${CONFIG_FILES.join(', ')} in the working directory)
+
+  validate <files/globs...>   Validate .json trees or .mjml templates
+    --profile <name>          full, ai or strict (default: full)
+    --naming <mode>           Attribute naming for .mjml input (default: kebab for full, camel otherwise)
+    --format <format>         human or json (default: human)
+    --base-dir <dir>          Directory mj-include paths are resolved in (default: each file's directory)
+    --sample-data <file>      Render Liquid attribute values with this JSON data before validating
+    --render                  Also compile schema-valid files with mjml (strict) and report its errors
+
+  convert <file>              Convert .json to MJML or .mjml to JSON
+    --out <file>              Write to a file instead of stdout
+    --naming <mode>           Attribute naming of the JSON tree (default: kebab)
+    --normalize               Split compound padding/border into sides (.mjml input)
+    --compact                 Do not pretty-print the output
+    --resolve-includes        Inline mj-include fragments
+    --base-dir <dir>          Directory mj-include paths are resolved in (default: the input's directory)
+
+  diff <old> <new>            Compare two mjml-specs-raw.json snapshots
+    --format <format>         human, json or markdown (default: human)
+
+  lint <files/globs...>       Check .json trees or .mjml templates with the lint rules
+    --naming <mode>           Attribute naming for .mjml input and .json trees (default: kebab)
+    --format <format>         human or json (default: human)
+    --rule <name=severity>    Change a rule's severity (error, warning, info or off); repeatable
+    --clients <a,b,...>       Target email clients for client-support (default: all)
+    --base-dir <dir>          Directory mj-include paths are resolved in (default: each file's directory)
+
+  size <files/globs...>       Estimate the compiled HTML size of .json trees or .mjml templates
+    --budget <size>           Budget for the minified HTML, in bytes or KB (default: 102KB, Gmail's clipping limit)
+    --depth <n>               Levels below mj-body to break down per node (default: 2)
+    --format <format>         human or json (default: human)
+    --base-dir <dir>          Directory mj-include paths are resolved in (default: each file's directory)
+
+  repair <file>               Fix units, enum case, compound attributes, orphans and ids in a .json tree
+    --profile <name>          full, ai or strict (default: full)
+    --naming <mode>           Attribute naming of the tree (default: kebab for full, camel otherwise)
+    --out <file>              Write the repaired tree to a file instead of stdout (with either format)
+    --format <format>         human or json (default: human; json prints { tree, valid, changes, issues })
+
+  edit <file>                 Apply edit operations to a .json tree, all or nothing
+    --ops <file>              JSON file with the operations: an array, or { operations } as in the ai-edit schema
+    --profile <name>          full, ai or strict (default: full)
+    --out <file>              Write the edited tree to a file instead of stdout (with either format)
+    --format <format>         human or json (default: human; json prints { applied, tree, issues })
+
+  text <file>                 Render the plain-text alternative of a .json tree or .mjml template
+    --preview                 Start with the mj-preview text
+    --out <file>              Write to a file instead of stdout
+    --base-dir <dir>          Directory mj-include paths are resolved in (default: the input's directory)
+
+Exit codes: 0 success, 1 validation failed, lint errors, over budget, breaking spec changes, unrepairable issues or rejected edits, 2 usage or input error`;
+
+/**
+ * Error for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Split a comma-separated option into a list
+ */
+function splitList(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+/**
+ * Check a --profile value against the validator's profiles
+ */
+function checkProfile(profile) {
+    if (!Object.hasOwn(PROFILES, profile)) {
+        throw new UsageError(`Unknown profile "${profile}" (expected one of: ${Object.keys(PROFILES).join(', ')})`);
+    }
+}
+
+/**
+ * Check a --naming value against the naming modes
+ */
+function checkNaming(naming) {
+    if (naming !== undefined && !NAMING_MODES.includes(naming)) {
+        throw new UsageError(`Unknown naming mode "${naming}" (expected one of: ${NAMING_MODES.join(', ')})`);
+    }
+}
+
+/**
+ * Read a .json tree or parse a .mjml template
+ */
+function loadTree(file, { naming = 'kebab', normalize = false } = {}) {
+    const source = fs.readFileSync(file, 'utf8');
+    if (file.endsWith('.mjml')) {
+        return parseMjml(source, { naming, normalize });
+    }
+    return JSON.parse(source);
+}
+
+/**
+ * Expand file arguments and globs into a list of files
+ */
+async function expandFiles(patterns) {
+    const files = [];
+    for (const pattern of patterns) {
+        const matches = fs.existsSync(pattern) ? [pattern] : (await glob(pattern, { nodir: true })).sort();
+        if (matches.length === 0) {
+            throw new UsageError(`No files match "${pattern}"`);
+        }
+        files.push(...matches);
+    }
+    return files;
+}
+
+/**
+ * Parse a size given in bytes ("100000") or KB ("90KB", "90kb")
+ */
+function parseBytes(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(kb)?$/i);
+    if (!match) {
+        throw new UsageError(`Invalid size "${value}" (expected bytes or KB, e.g. 90KB)`);
+    }
+    return Math.round(Number(match[1]) * (match[2] ? 1024 : 1));
+}
+
+/**
+ * extract subcommand
+ */
+async function runExtract(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            'out-dir': { type: 'string' },
+            profile: { type: 'string', default: 'all' },
+            naming: { type: 'string' },
+            include: { type: 'string' },
+            exclude: { type: 'string' },
+            templating: { type: 'string' },
+            config: { type: 'string' }
+        }
+    });
+
+    checkNaming(values.naming);
+
+    const config = await loadConfig(values.config || null);
+    if (config) {
+        console.log(`Using config ${config.file}\n`);
+    }
+
+    await runExtraction({
+        outDir: values['out-dir'] ? path.resolve(values['out-dir']) : undefined,
+        profile: values.profile,
+        naming: values.naming || null,
+        include: splitList(values.include),
+        exclude: splitList(values.exclude) || [],
+        templating: values.templating || null,
+        config
+    });
+    return 0;
+}
+
+/**
+ * validate subcommand
+ */
+async function runValidate(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            profile: { type: 'string', default: 'full' },
+            naming: { type: 'string' },
+            format: { type: 'string', default: 'human' },
+            'base-dir': { type: 'string' },
+            'sample-data': { type: 'string' },
+            render: { type: 'boolean', default: false }
+        }
+    });
+
+    if (!['human', 'json'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (expected human or json)`);
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('validate needs at least one file or glob');
+    }
+    checkProfile(values.profile);
+    checkNaming(values.naming);
+
+    const files = await expandFiles(positionals);
+
+    const naming = values.naming || (values.profile === 'full' ? 'kebab' : 'camel');
+    const sampleData = values['sample-data'] ? JSON.parse(fs.readFileSync(values['sample-data'], 'utf8')) : null;
+    const reports = files.map(file => {
+        try {
+            const baseDir = values['base-dir'] || path.dirname(file);
+            const included = resolveIncludes(loadTree(file, { naming }), { baseDir, naming, profile: values.profile });
+            const result = validate(included.tree, { profile: values.profile, sampleData });
+            // Point issues inside included fragments at the fragment's file
+            const includedFiles = new Map(included.issues.map(issue => [`${issue.path}|${issue.attribute}|${issue.rule}`, issue.file]));
+            for (const issue of result.issues) {
+                const includedFile = includedFiles.get(`${issue.path}|${issue.attribute}|${issue.rule}`);
+                if (includedFile) {
+                    issue.file = path.relative(process.cwd(), includedFile);
+                }
+            }
+            if (values.render && result.valid) {
+                const { html, ...rendered } = verifyRender(included.tree, { sampleData });
+                return { file, ...rendered };
+            }
+            return { file, ...result };
+        } catch (error) {
+            if (error instanceof IncludeError) {
+                return { file, valid: false, issues: [{ path: '', rule: 'include', message: error.message }] };
+            }
+            if (!(error instanceof MjmlParseError) && !(error instanceof SyntaxError)) {
+                throw error;
+            }
+            const issue = { path: '', rule: 'parse', message: error.message };
+            if (error instanceof MjmlParseError && error.line !== null) {
+                issue.line = error.line;
+                issue.column = error.column;
+            }
+            return { file, valid: false, issues: [issue] };
+        }
+    });
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        for (const report of reports) {
+            if (report.valid) {
+                console.log(`✓ ${report.file}`);
+                continue;
+            }
+            console.log(`✗ ${report.file}`);
+            for (const issue of report.issues) {
+                console.log(`    ${issue.path || '/'}  [${issue.rule}]  ${issue.message}${issue.file ? `  (in ${issue.file})` : ''}`);
+            }
+        }
+        const failed = reports.filter(report => !report.valid).length;
+        console.log(`\n${reports.length - failed}/${reports.length} files valid (profile: ${values.profile}${values.render ? ', rendered with mjml' : ''})`);
+    }
+
+    return reports.every(report => report.valid) ? 0 : 1;
+}
+
+/**
+ * convert subcommand
+ */
+async function runConvert(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            out: { type: 'string' },
+            naming: { type: 'string', default: 'kebab' },
+            normalize: { type: 'boolean', default: false },
+            compact: { type: 'boolean', default: false },
+            'resolve-includes': { type: 'boolean', default: false },
+            'base-dir': { type: 'string' }
+        }
+    });
+
+    if (positionals.length !== 1) {
+        throw new UsageError('convert needs exactly one input file');
+    }
+    checkNaming(values.naming);
+
+    const [input] = positionals;
+    if (!input.endsWith('.mjml') && !input.endsWith('.json')) {
+        throw new UsageError(`Cannot tell the direction from "${input}" (expected .json or .mjml)`);
+    }
+
+    let tree = loadTree(input, { naming: values.naming, normalize: values.normalize });
+    if (values['resolve-includes']) {
+        tree = resolveIncludes(tree, { baseDir: values['base-dir'] || path.dirname(input), naming: values.naming }).tree;
+    }
+
+    const output = input.endsWith('.mjml')
+        ? (values.compact ? JSON.stringify(tree) : JSON.stringify(tree, null, 2))
+        : toMjml(tree, { pretty: !values.compact });
+
+    if (values.out) {
+        fs.writeFileSync(values.out, `${output}\n`);
+    } else {
+        console.log(output);
+    }
+    return 0;
+}
+
+/**
+ * diff subcommand
+ */
+async function runDiff(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'human' }
+        }
+    });
+
+    if (!['human', 'json', 'markdown'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (expected human, json or markdown)`);
+    }
+    if (positionals.length !== 2) {
+        throw new UsageError('diff needs exactly two spec files (old and new)');
+    }
+
+    const [oldSpecs, newSpecs] = positionals.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+    const diff = diffSpecs(oldSpecs, newSpecs);
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(diff, null, 2));
+    } else if (values.format === 'markdown') {
+        console.log(formatChangelog(diff));
+    } else {
+        for (const [packageName, { from, to }] of Object.entries(diff.versions)) {
+            console.log(`  ${packageName}: ${from || 'unknown'} → ${to || 'unknown'}`);
+        }
+        for (const change of diff.changes) {
+            console.log(`${change.breaking ? '✗ breaking' : '✓ compatible'}  [${change.kind}]  ${change.message}`);
+        }
+        const breaking = diff.changes.filter(change => change.breaking).length;
+        console.log(`\n${diff.changes.length} changes, ${breaking} breaking`);
+    }
+
+    return diff.breaking ? 1 : 0;
+}
+
+/**
+ * lint subcommand
+ */
+async function runLint(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            naming: { type: 'string', default: 'kebab' },
+            format: { type: 'string', default: 'human' },
+            rule: { type: 'string', multiple: true, default: [] },
+            clients: { type: 'string' },
+            'base-dir': { type: 'string' }
+        }
+    });
+
+    if (!['human', 'json'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (expected human or json)`);
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('lint needs at least one file or glob');
+    }
+    checkNaming(values.naming);
+
+    const severities = {};
+    for (const setting of values.rule) {
+        const [name, severity] = setting.split('=');
+        if (!name || (severity !== 'off' && !SEVERITIES.includes(severity))) {
+            throw new UsageError(`Invalid --rule "${setting}" (expected <name>=${SEVERITIES.join('|')}|off)`);
+        }
+        if (!BUILTIN_RULES.some(rule => rule.name === name)) {
+            throw new UsageError(`Unknown rule "${name}" (expected one of: ${BUILTIN_RULES.map(rule => rule.name).join(', ')})`);
+        }
+        severities[name] = severity;
+    }
+    const settings = values.clients ? { clients: splitList(values.clients) } : {};
+    for (const client of settings.clients || []) {
+        if (!CLIENTS[client]) {
+            throw new UsageError(`Unknown email client "${client}" (expected one of: ${Object.keys(CLIENTS).join(', ')})`);
+        }
+    }
+
+    const files = await expandFiles(positionals);
+    const reports = files.map(file => {
+        const baseDir = values['base-dir'] || path.dirname(file);
+        const { tree } = resolveIncludes(loadTree(file, { naming: values.naming }), { baseDir, naming: values.naming });
+        return { file, ...lint(tree, { severities, naming: values.naming, settings }) };
+    });
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        for (const report of reports) {
+            console.log(`${report.issues.length === 0 ? '✓' : report.errors > 0 ? '✗' : '!'} ${report.file}`);
+            for (const issue of report.issues) {
+                console.log(`    ${issue.path || '/'}  ${issue.severity}  [${issue.rule}]  ${issue.message}`);
+                if (issue.fix) {
+                    console.log(`        fix: ${issue.fix}`);
+                }
+            }
+        }
+        const errors = reports.reduce((sum, report) => sum + report.errors, 0);
+        const warnings = reports.reduce((sum, report) => sum + report.warnings, 0);
+        console.log(`\n${errors} errors, ${warnings} warnings in ${reports.length} files`);
+    }
+
+    return reports.some(report => report.errors > 0) ? 1 : 0;
+}
+
+/**
+ * size subcommand
+ */
+async function runSize(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            budget: { type: 'string' },
+            depth: { type: 'string', default: '2' },
+            format: { type: 'string', default: 'human' },
+            'base-dir': { type: 'string' }
+        }
+    });
+
+    if (!['human', 'json'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (expected human or json)`);
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('size needs at least one file or glob');
+    }
+    const depth = Number(values.depth);
+    if (!Number.isInteger(depth) || depth < 0) {
+        throw new UsageError(`Invalid depth "${values.depth}" (expected a whole number)`);
+    }
+    const budget = values.budget ? parseBytes(values.budget) : GMAIL_CLIP_BYTES;
+
+    const files = await expandFiles(positionals);
+    const reports = [];
+    for (const file of files) {
+        const baseDir = values['base-dir'] || path.dirname(file);
+        const { tree } = resolveIncludes(loadTree(file), { baseDir });
+        const { errors, ...estimate } = await estimateSize(tree, { budget, depth });
+        reports.push({ file, ...estimate });
+    }
+
+    if (values.format === 'json') {
+        console.log(JSON.stringify(reports, null, 2));
+    } else {
+        for (const report of reports) {
+            console.log(`${report.overBudget ? '✗' : '✓'} ${report.file}  ${formatBytes(report.minifiedBytes)} minified, ${formatBytes(report.bytes)} as compiled (budget ${formatBytes(report.budget)})`);
+            for (const node of report.nodes) {
+                const label = `${node.type}${node.nodeId ? ` "${node.nodeId}"` : ''}`;
+                console.log(`    ${'  '.repeat(node.depth - 1)}${label.padEnd(40 - 2 * node.depth)}  ${formatBytes(node.minifiedBytes).padStart(8)}  ${String(node.share).padStart(5)}%`);
+            }
+            for (const warning of report.warnings) {
+                console.log(`    ⚠ ${warning}`);
+            }
+        }
+    }
+
+    return reports.some(report => report.overBudget) ? 1 : 0;
+}
+
+/**
+ * repair subcommand
+ */
+async function runRepair(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            profile: { type: 'string', default: 'full' },
+            naming: { type: 'string' },
+            out: { type: 'string' },
+            format: { type: 'string', default: 'human' }
+        }
+    });
+
+    if (!['human', 'json'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (expected human or json)`);
+    }
+    if (positionals.length !== 1 || !positionals[0].endsWith('.json')) {
+        throw new UsageError('repair needs exactly one .json tree');
+    }
+    checkProfile(values.profile);
+    checkNaming(values.naming);
+
+    const result = repair(JSON.parse(fs.readFileSync(positionals[0], 'utf8')), values.profile, { naming: values.naming });
+
+    if (values.out) {
+        fs.writeFileSync(values.out, `${JSON.stringify(result.tree, null, 2)}\n`);
+    }
+    if (values.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+        return result.valid ? 0 : 1;
+    }
+
+    if (!values.out) {
+        console.log(JSON.stringify(result.tree, null, 2));
+    }
+    // The log goes to stderr so stdout stays a usable tree
+    for (const change of result.changes) {
+        console.error(`  ✓ ${change.path || '/'}  [${change.action}]  ${change.message}`);
+    }
+    for (const issue of result.issues) {
+        console.error(`  ✗ ${issue.path || '/'}  [${issue.rule}]  ${issue.message}`);
+    }
+    console.error(`\n${result.changes.length} changes, ${result.issues.length} issues left (profile: ${values.profile})`);
+    return result.valid ? 0 : 1;
+}
+
+/**
+ * edit subcommand
+ */
+async function runEdit(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            ops: { type: 'string' },
+            profile: { type: 'string', default: 'full' },
+            out: { type: 'string' },
+            format: { type: 'string', default: 'human' }
+        }
+    });
+
+    if (!['human', 'json'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}" (expected human or json)`);
+    }
+    if (positionals.length !== 1 || !positionals[0].endsWith('.json')) {
+        throw new UsageError('edit needs exactly one .json tree');
+    }
+    if (!values.ops) {
+        throw new UsageError('edit needs --ops <file>');
+    }
+    checkProfile(values.profile);
+
+    const ops = JSON.parse(fs.readFileSync(values.ops, 'utf8'));
+    const operations = Array.isArray(ops) ? ops : ops && ops.operations;
+    if (!Array.isArray(operations)) {
+        throw new UsageError(`${values.ops} must hold an array of operations or { "operations": [...] }`);
+    }
+
+    const result = applyEdits(JSON.parse(fs.readFileSync(positionals[0], 'utf8')), operations, { profile: values.profile });
+
+    if (values.out && result.applied) {
+        fs.writeFileSync(values.out, `${JSON.stringify(result.tree, null, 2)}\n`);
+    }
+    if (values.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+        return result.applied ? 0 : 1;
+    }
+    if (!result.applied) {
+        for (const issue of result.issues) {
+            console.error(`  ✗ ${issue.path || '/'}  [${issue.rule}]  ${issue.message}`);
+        }
+        console.error(`\nEdit rejected, ${positionals[0]} left unchanged (profile: ${values.profile})`);
+        return 1;
+    }
+
+    if (!values.out) {
+        console.log(JSON.stringify(result.tree, null, 2));
+    }
+    console.error(`${operations.length} operations applied (profile: ${values.profile})`);
+    return 0;
+}
+
+/**
+ * text subcommand
+ */
+async function runText(args) {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            preview: { type: 'boolean', default: false },
+            out: { type: 'string' },
+            'base-dir': { type: 'string' }
+        }
+    });
+
+    if (positionals.length !== 1) {
+        throw new UsageError('text needs exactly one input file');
+    }
+
+    const [input] = positionals;
+    const { tree } = resolveIncludes(loadTree(input), { baseDir: values['base-dir'] || path.dirname(input) });
+    const output = toText(tree, { preview: values.preview });
+
+    if (values.out) {
+        fs.writeFileSync(values.out, `${output}\n`);
+    } else {
+        console.log(output);
+    }
+    return 0;
+}
+
+const COMMANDS = {
+    extract: runExtract,
+    validate: runValidate,
+    convert: runConvert,
+    diff: runDiff,
+    lint: runLint,
+    size: runSize,
+    repair: runRepair,
+    edit: runEdit,
+    text: runText
+};
+
+/**
+ * Main execution
+ */
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (!command || command === '--help' || command === '-h') {
+        console.log(USAGE);
+        return command ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    return COMMANDS[command](args);
+}
+
+// Set exitCode rather than calling process.exit() so piped output is flushed
+main()
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        const usage = error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS');
+        const badInput = error.code === 'ENOENT' || error instanceof MjmlParseError || error instanceof SyntaxError || error instanceof IncludeError || error instanceof ConfigError;
+        console.error(`❌ Error: ${error.message}`);
+        if (usage) {
+            console.error(`\n${USAGE}`);
+        }
+        process.exitCode = usage || badInput ? 2 : 1;
+    });
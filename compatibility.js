@@ -0,0 +1,216 @@
+/**
+ * Email-Client Compatibility Data
+ *
+ * A curated list of the components and attributes that some email clients
+ * ignore or only partly render, the client-support lint rule that reports
+ * them, and the lookups the extractor uses to annotate the full schema
+ * with x-support. Anything not listed here renders in every client.
+ */
+
+// Support levels, from best to worst
+export const SUPPORT_LEVELS = ['full', 'partial', 'none'];
+
+export const CLIENTS = {
+    'apple-mail': 'Apple Mail (macOS and iOS)',
+    gmail: 'Gmail (web and apps)',
+    outlook: 'Outlook for Windows (Word rendering engine)',
+    'outlook-com': 'Outlook.com and the new Outlook',
+    yahoo: 'Yahoo Mail'
+};
+
+// Only Apple Mail runs the CSS these features depend on
+const APPLE_MAIL_ONLY = { gmail: 'none', outlook: 'none', 'outlook-com': 'none', yahoo: 'none' };
+
+const SECTION_BACKGROUND = {
+    'background-url': {
+        support: { outlook: 'partial' },
+        note: 'Outlook for Windows shows the image through VML: it covers the whole section and background-size/background-position are approximated'
+    },
+    'background-size': {
+        support: { outlook: 'partial' },
+        note: 'Outlook for Windows only knows cover-like and auto sizing (VML)'
+    },
+    'background-position': {
+        support: { outlook: 'partial' },
+        note: 'Outlook for Windows approximates the position (VML)'
+    },
+    'background-position-x': {
+        support: { outlook: 'partial' },
+        note: 'Outlook for Windows approximates the position (VML)'
+    },
+    'background-position-y': {
+        support: { outlook: 'partial' },
+        note: 'Outlook for Windows approximates the position (VML)'
+    }
+};
+
+const RESPONSIVE_IMAGES = {
+    srcset: {
+        support: APPLE_MAIL_ONLY,
+        note: 'Other clients ignore srcset and always load src'
+    },
+    sizes: {
+        support: APPLE_MAIL_ONLY,
+        note: 'Other clients ignore sizes and always load src'
+    }
+};
+
+/**
+ * Attribute support by component; '*' applies to every component that has
+ * the attribute. Clients not listed in support render it fully.
+ */
+export const ATTRIBUTE_SUPPORT = {
+    '*': {
+        'border-radius': {
+            support: { outlook: 'none' },
+            note: 'Outlook for Windows draws square corners'
+        },
+        'inner-border-radius': {
+            support: { outlook: 'none' },
+            note: 'Outlook for Windows draws square corners'
+        },
+        'css-class': {
+            support: { gmail: 'partial' },
+            note: 'Gmail drops <style> rules for non-Google accounts (GANGA) and in some app views, so class-based styles may not apply'
+        }
+    },
+    'mj-section': SECTION_BACKGROUND,
+    'mj-wrapper': SECTION_BACKGROUND,
+    'mj-hero': {
+        'background-url': {
+            support: { outlook: 'partial' },
+            note: 'Outlook for Windows shows the image through VML; background-position is approximated'
+        }
+    },
+    'mj-column': {
+        'inner-background-color': {
+            support: { outlook: 'partial' },
+            note: 'Outlook for Windows ignores the column padding around the inner box, so the inner background may fill the whole column'
+        },
+        'inner-border': {
+            support: { outlook: 'partial' },
+            note: 'Outlook for Windows ignores the column padding around the inner box, so the inner border may sit on the outer edge'
+        }
+    },
+    'mj-image': RESPONSIVE_IMAGES,
+    'mj-social-element': RESPONSIVE_IMAGES,
+    'mj-font': {
+        href: {
+            support: APPLE_MAIL_ONLY,
+            note: 'Web fonts only load in Apple Mail; other clients use the fallback fonts listed in font-family'
+        }
+    },
+    'mj-navbar': {
+        hamburger: {
+            support: APPLE_MAIL_ONLY,
+            note: 'The collapsible menu relies on a CSS checkbox toggle; other clients show all links expanded'
+        }
+    }
+};
+
+/**
+ * Whole-component support, for interactive components that fall back to a
+ * static rendering
+ */
+export const COMPONENT_SUPPORT = {
+    'mj-carousel': {
+        support: APPLE_MAIL_ONLY,
+        note: 'The carousel needs interactive CSS; other clients only show the first image'
+    },
+    'mj-accordion': {
+        support: APPLE_MAIL_ONLY,
+        note: 'The accordion needs interactive CSS; other clients show every element expanded'
+    }
+};
+
+/**
+ * Expand a partial support map into a level for every client
+ */
+function expandSupport(support) {
+    const levels = {};
+    for (const client of Object.keys(CLIENTS)) {
+        levels[client] = support[client] || 'full';
+    }
+    return levels;
+}
+
+/**
+ * Look up a table entry by own key only, so names like "constructor" miss
+ */
+function ownEntry(table, key) {
+    return table && Object.hasOwn(table, key) ? table[key] : null;
+}
+
+/**
+ * Support of a component's attribute: { support, note } with a level for
+ * every client, or null when no client is known to degrade it
+ */
+export function getAttributeSupport(componentName, attrName) {
+    const entry = ownEntry(ownEntry(ATTRIBUTE_SUPPORT, componentName), attrName) || ownEntry(ATTRIBUTE_SUPPORT['*'], attrName);
+    return entry ? { support: expandSupport(entry.support), note: entry.note } : null;
+}
+
+/**
+ * Support of a component as a whole, or null when it renders everywhere
+ */
+export function getComponentSupport(componentName) {
+    const entry = ownEntry(COMPONENT_SUPPORT, componentName);
+    return entry ? { support: expandSupport(entry.support), note: entry.note } : null;
+}
+
+/**
+ * Build the client-support lint rule.
+ *
+ * Reports each component and attribute that renders partly or not at all
+ * in one of the target clients (settings.clients in lint(), default: all
+ * known clients). Attributes are taken from the node's effective
+ * attributes, but package defaults are skipped since the template did not
+ * choose them, as are values passed down by the parent (reported there).
+ */
+export function clientSupportRule({ severity = 'info' } = {}) {
+    return {
+        name: 'client-support',
+        severity,
+        description: 'Components and attributes that degrade in the target email clients',
+        check({ nodes, resolved, settings, report }) {
+            const clients = settings.clients || Object.keys(CLIENTS);
+            for (const client of clients) {
+                if (!CLIENTS[client]) {
+                    throw new Error(`Unknown email client "${client}" (expected one of: ${Object.keys(CLIENTS).join(', ')})`);
+                }
+            }
+
+            const degraded = ({ support }) => clients
+                .filter(client => support[client] !== 'full')
+                .map(client => `${client} (${support[client]})`);
+
+            for (const entry of nodes) {
+                const { node, path } = entry;
+                const componentSupport = getComponentSupport(node.type);
+                if (componentSupport && degraded(componentSupport).length > 0) {
+                    report(entry, {
+                        attribute: null,
+                        message: `${node.type} degrades in ${degraded(componentSupport).join(', ')}: ${componentSupport.note}`,
+                        fix: 'Check the fallback rendering in these clients, or use static components'
+                    });
+                }
+
+                const effective = resolved.get(path);
+                const attributes = effective
+                    ? Object.keys(effective.attributes).filter(name => effective.sources[name] !== 'default' && !effective.sources[name].startsWith('inherited:'))
+                    : Object.keys(node.attributes || {});
+                for (const attrName of attributes) {
+                    const attributeSupport = getAttributeSupport(node.type, attrName);
+                    if (!attributeSupport || degraded(attributeSupport).length === 0) {
+                        continue;
+                    }
+                    report(entry, {
+                        attribute: attrName,
+                        message: `${node.type} ${attrName} degrades in ${degraded(attributeSupport).join(', ')}: ${attributeSupport.note}`,
+                        fix: `Make sure the template still looks right without ${attrName}`
+                    });
+                }
+            }
+        }
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * Pattern Conformance Harness
+ *
+ * Cross-checks the JSON Schema definitions the extractor generates for
+ * attributes against MJML's own type checkers (the classes in
+ * mjml-core/lib/types that mjml-validator runs). Valid and invalid sample
+ * values, plus the components' default values, are generated for every
+ * attribute type in the raw specs (string included) and judged
+ * by both; a disagreement fails the run unless the sample records why the
+ * two are expected to differ. The verdicts are kept in
+ * conformance-corpus.json as a regression corpus.
+ *
+ * Usage: node conformance.js [--update]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { mjmlTypeToJsonSchema } from './extract_specs.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+const SPECS_FILE = path.join(__dirname, 'mjml-specs-raw.json');
+const CORPUS_FILE = path.join(__dirname, 'conformance-corpus.json');
+
+// Reasons for the samples MJML and the schema are known to judge differently
+const LOOSE_NUMBER = 'MJML reads any run of digits, dots and commas as a number';
+const LOOSE_NEGATIVE = 'MJML accepts a minus sign anywhere in the number';
+const OPTIONAL_SPACE = 'MJML makes the space after each value optional';
+const UNANCHORED_RGBA = 'MJML does not anchor its rgba() check, so text around it passes';
+const UNANCHORED_INTEGER = 'MJML does not anchor its integer check, so any value containing a digit passes';
+
+/**
+ * Parse the unit list and value count of a unit type ("unit(px,%){1,4}")
+ */
+function parseUnitType(mjmlType) {
+    const match = mjmlType.match(/^(unit|unitWithNegative)\((.*?)\)(?:\{(\d+),(\d+)\})?$/);
+    const units = match[2].split(',').map(unit => unit.trim());
+    return {
+        negative: match[1] === 'unitWithNegative',
+        units: units.filter(unit => unit.length > 0 && unit !== 'auto'),
+        min: match[3] ? Number(match[3]) : 1,
+        max: match[4] ? Number(match[4]) : 1
+    };
+}
+
+/**
+ * Sample values for a unit type, as [value, reason] pairs
+ */
+function unitSamples(mjmlType) {
+    const { negative, units, min, max } = parseUnitType(mjmlType);
+    const unit = units[0];
+    const samples = [];
+
+    for (const each of units) {
+        samples.push([`10${each}`], [`12.5${each}`], [`.5${each}`]);
+    }
+    samples.push(['0'], ['10'], ['1.5'], [`-10${unit}`], [`-.5${unit}`], ['auto'], ['Auto']);
+    samples.push([''], [' '], [`10pt`], [unit], [`${unit}10`], [`10 ${unit}`], [`10${unit.toUpperCase()}`]);
+    samples.push([`1,5${unit}`, LOOSE_NUMBER], [`.${unit}`, LOOSE_NUMBER], [`10${unit} `, OPTIONAL_SPACE]);
+    if (negative) {
+        samples.push([`1-2${unit}`, LOOSE_NEGATIVE]);
+    }
+
+    const values = count => Array.from({ length: count }, (_, index) => `${(index + 1) * 10}${unit}`);
+    for (let count = Math.max(min, 2); count <= max + 1; count++) {
+        samples.push([values(count).join(' ')]);
+    }
+    if (min > 1) {
+        samples.push([values(min - 1).join(' ')]);
+    }
+    if (max > 1) {
+        samples.push([`0 ${values(max - 1).join(' ')}`], [values(2).join('  ')]);
+        samples.push([values(2).join(','), LOOSE_NUMBER], [values(2).join(''), OPTIONAL_SPACE]);
+    }
+
+    return samples;
+}
+
+/**
+ * Sample values for each MJML attribute type, as [value, reason] pairs,
+ * followed by the default values components declare for the type
+ */
+function generateSamples(mjmlType, defaults = []) {
+    const samples = typeSamples(mjmlType);
+    const values = new Set(samples.map(([value]) => value));
+    return [...samples, ...defaults.filter(value => !values.has(value)).map(value => [value])];
+}
+
+/**
+ * Sample values for an MJML attribute type, as [value, reason] pairs
+ */
+function typeSamples(mjmlType) {
+    if (/^(unit|unitWithNegative)\(/.test(mjmlType)) {
+        return unitSamples(mjmlType);
+    }
+    if (mjmlType.startsWith('enum(')) {
+        const values = mjmlType.match(/^enum\((.*)\)$/)[1].split(',');
+        const samples = values.map(value => [value]);
+        const first = values.find(value => value.length > 0);
+        samples.push([first.toUpperCase()], [`${first} `], [`${first}-x`], ['unknown']);
+        if (!values.includes('')) {
+            samples.push(['']);
+        }
+        return samples;
+    }
+    switch (mjmlType) {
+        case 'color':
+            return [
+                ['#fff'], ['#FFF'], ['#a1b2c3'], ['#A1B2C3'], ['rgb(255,255,255)'], ['rgb(255, 255, 255)'],
+                ['rgba(0, 0, 0, 0.5)'], ['rgba(0,0,0,1)'], ['red'], ['transparent'], ['rebeccapurple'],
+                [''], ['#ff'], ['#gggggg'], ['#ff000088'], ['#ffff'], ['hsl(120, 100%, 50%)'], ['hsla(120, 100%, 50%, 0.5)'],
+                ['RED'], ['Red'], ['rgb(1,  2,3)'], ['rgb(100%, 50%, 0%)'], ['rgba(0,0,0,.5)'], ['rgb(0,0,0,0)'], ['red blue'],
+                ['notacolor'], ['banana'], ['x rgba(1,2,3,0.5) y', UNANCHORED_RGBA]
+            ];
+        case 'boolean':
+            return [['true'], ['false'], ['TRUE'], ['yes'], ['1'], ['']];
+        case 'integer':
+            return [
+                ['0'], ['3'], ['10'], [''], ['abc'], ['px'],
+                ['1.5', UNANCHORED_INTEGER], ['a1', UNANCHORED_INTEGER], ['10px', UNANCHORED_INTEGER]
+            ];
+        case 'string':
+            return [
+                [''], [' '], ['solid'], ['cover'], ['none'], ['0'], ['1px solid #ccc'], ['(max-width: 600px) 100vw'],
+                ['https://example.com/a.png'], ['{{ url }}'], ['Ubuntu, Helvetica, Arial, sans-serif'], ['<b>bold</b>'], ['a; b: {c}']
+            ];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Whether MJML's type checker accepts a value. Attribute values pass
+ * through mjml-parser-xml first, which turns "true" and "false" into
+ * booleans.
+ */
+function mjmlVerdict(Type, value) {
+    const parsed = value === 'true' ? true : value === 'false' ? false : value;
+    return Boolean(new Type(parsed).isValid());
+}
+
+/**
+ * Run every sample of every typed attribute through both checkers.
+ *
+ * Options:
+ * - specs: raw specs (default: the bundled mjml-specs-raw.json)
+ * - corpus: the regression corpus to compare with (default: none)
+ *
+ * Returns { corpus, failures, attributes }: the corpus of this run ({
+ * mjmlCoreVersion, types: { <type>: [{ value, mjml, schema, reason? }] } }),
+ * the failures as messages (disagreements without a reason, attributes of
+ * one type whose definitions judge a sample differently, and verdicts that
+ * changed from the given corpus) and the number of attributes checked.
+ */
+export function runConformance({ specs = null, corpus = null } = {}) {
+    const { initializeType } = require('mjml-core/lib/types/type');
+    const rawSpecs = specs || JSON.parse(fs.readFileSync(SPECS_FILE, 'utf8'));
+    const ajv = new Ajv2020({ allErrors: true, strict: false });
+    const validators = new Map();
+    const getValidator = definition => {
+        const key = JSON.stringify(definition);
+        if (!validators.has(key)) {
+            validators.set(key, ajv.compile(definition));
+        }
+        return validators.get(key);
+    };
+
+    // Every component's defaults are samples for all attributes of their type
+    const defaultsByType = new Map();
+    for (const spec of Object.values(rawSpecs)) {
+        for (const [attrName, mjmlType] of Object.entries(spec.allowedAttributes || {})) {
+            const defaultValue = (spec.defaultAttributes || {})[attrName];
+            if (defaultValue === undefined || defaultValue === null) {
+                continue;
+            }
+            if (!defaultsByType.has(mjmlType)) {
+                defaultsByType.set(mjmlType, []);
+            }
+            if (!defaultsByType.get(mjmlType).includes(String(defaultValue))) {
+                defaultsByType.get(mjmlType).push(String(defaultValue));
+            }
+        }
+    }
+
+    const types = {};
+    const failures = [];
+    let attributes = 0;
+
+    for (const [componentName, spec] of Object.entries(rawSpecs)) {
+        for (const [attrName, mjmlType] of Object.entries(spec.allowedAttributes || {})) {
+            const samples = generateSamples(mjmlType, defaultsByType.get(mjmlType));
+            if (samples.length === 0) {
+                continue;
+            }
+            attributes++;
+            const Type = initializeType(mjmlType);
+            const definition = mjmlTypeToJsonSchema(mjmlType, attrName, (spec.defaultAttributes || {})[attrName]);
+            const validator = getValidator(definition);
+
+            // Samples stay strings for the schema too: MJML receives every attribute value as one
+            const cases = samples.map(([value, reason]) => {
+                const entry = { value, mjml: mjmlVerdict(Type, value), schema: validator(value) };
+                return reason ? { ...entry, reason } : entry;
+            });
+
+            if (types[mjmlType]) {
+                types[mjmlType].forEach((known, index) => {
+                    if (known.schema !== cases[index].schema) {
+                        failures.push(`${componentName} ${attrName}: the schema ${cases[index].schema ? 'accepts' : 'rejects'} "${known.value}", unlike other ${mjmlType} attributes`);
+                    }
+                });
+                continue;
+            }
+            types[mjmlType] = cases;
+
+            for (const entry of cases) {
+                if (entry.mjml !== entry.schema && !entry.reason) {
+                    failures.push(`${mjmlType} (${componentName} ${attrName}): "${entry.value}" is ${entry.mjml ? 'accepted' : 'rejected'} by MJML but ${entry.schema ? 'accepted' : 'rejected'} by the schema`);
+                }
+                if (entry.mjml === entry.schema && entry.reason) {
+                    failures.push(`${mjmlType}: "${entry.value}" is expected to differ (${entry.reason}) but both ${entry.mjml ? 'accept' : 'reject'} it`);
+                }
+            }
+        }
+    }
+
+    if (corpus) {
+        for (const [mjmlType, cases] of Object.entries(types)) {
+            const known = new Map((corpus.types[mjmlType] || []).map(entry => [entry.value, entry]));
+            for (const entry of cases) {
+                const previous = known.get(entry.value);
+                if (previous && (previous.mjml !== entry.mjml || previous.schema !== entry.schema)) {
+                    failures.push(`${mjmlType}: "${entry.value}" changed from mjml=${previous.mjml} schema=${previous.schema} to mjml=${entry.mjml} schema=${entry.schema}`);
+                }
+            }
+        }
+        for (const mjmlType of Object.keys(corpus.types)) {
+            if (!types[mjmlType]) {
+                failures.push(`${mjmlType}: in the corpus but no longer used by any attribute`);
+            }
+        }
+    }
+
+    const mjmlCoreVersion = require('mjml-core/package.json').version;
+    return { corpus: { mjmlCoreVersion, types }, failures, attributes };
+}
+
+async function main() {
+    const update = process.argv.includes('--update');
+    const corpus = !update && fs.existsSync(CORPUS_FILE) ? JSON.parse(fs.readFileSync(CORPUS_FILE, 'utf8')) : null;
+
+    const result = runConformance({ corpus });
+    const cases = Object.values(result.corpus.types).flat();
+    console.log(`Checked ${cases.length} samples of ${Object.keys(result.corpus.types).length} types (${result.attributes} attributes) against mjml-core@${result.corpus.mjmlCoreVersion}`);
+    console.log(`  ${cases.filter(entry => entry.reason).length} known differences`);
+    if (corpus && corpus.mjmlCoreVersion !== result.corpus.mjmlCoreVersion) {
+        console.log(`  ⚠️  Corpus was recorded with mjml-core@${corpus.mjmlCoreVersion}`);
+    }
+
+    if (result.failures.length > 0) {
+        console.log('');
+        for (const failure of result.failures) {
+            console.log(`  ✗ ${failure}`);
+        }
+        console.log(`\n❌ ${result.failures.length} conformance failure(s)`);
+        process.exit(1);
+    }
+
+    if (update || !corpus) {
+        fs.writeFileSync(CORPUS_FILE, JSON.stringify(result.corpus, null, 2) + '\n');
+        console.log(`✓ Corpus written to: ${CORPUS_FILE}`);
+    }
+    console.log('\n✅ Schema patterns agree with MJML');
+}
+
+// Run the script when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    });
+}
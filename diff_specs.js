@@ -0,0 +1,207 @@
+/**
+ * Spec Snapshot Diffing
+ *
+ * Compares two mjml-specs-raw.json snapshots (e.g. before and after an MJML
+ * upgrade) and classifies each change as breaking or non-breaking for
+ * templates that validated against the old snapshot.
+ */
+
+/**
+ * Parse an MJML type definition ("unit(px,%){1,4}", "enum(a,b)", "color")
+ */
+function parseMjmlType(mjmlType) {
+    const type = String(mjmlType || 'string');
+
+    const enumMatch = type.match(/^enum\((.*)\)$/);
+    if (enumMatch) {
+        return { kind: 'enum', values: enumMatch[1].split(',').map(value => value.trim()) };
+    }
+
+    // An empty unit (unit(px,%,)) accepts unitless numbers
+    const unitMatch = type.match(/^(unit|unitWithNegative)\((.*?)\)(?:\{(\d+),(\d+)\})?$/);
+    if (unitMatch) {
+        return {
+            kind: 'unit',
+            negative: unitMatch[1] === 'unitWithNegative',
+            units: unitMatch[2].split(',').map(unit => unit.trim()),
+            min: unitMatch[3] ? Number(unitMatch[3]) : 1,
+            max: unitMatch[4] ? Number(unitMatch[4]) : 1
+        };
+    }
+
+    return { kind: type };
+}
+
+/**
+ * Whether every value accepted by the old type is still accepted by the new one
+ */
+function isWidening(oldType, newType) {
+    const from = parseMjmlType(oldType);
+    const to = parseMjmlType(newType);
+
+    if (to.kind === 'string') {
+        return true;
+    }
+    if (from.kind !== to.kind) {
+        return false;
+    }
+    if (from.kind === 'enum') {
+        return from.values.every(value => to.values.includes(value));
+    }
+    if (from.kind === 'unit') {
+        return from.units.every(unit => to.units.includes(unit))
+            && (to.negative || !from.negative)
+            && to.min <= from.min && to.max >= from.max;
+    }
+    return true;
+}
+
+/**
+ * Map each package name to the version recorded in a snapshot, including
+ * the mjml-validator version the nesting rules were read from
+ */
+function collectVersions(specs) {
+    const versions = {};
+    for (const spec of Object.values(specs)) {
+        if (spec.packageName && !versions[spec.packageName]) {
+            versions[spec.packageName] = spec.packageVersion || null;
+        }
+        if (spec.validatorVersion && !versions['mjml-validator']) {
+            versions['mjml-validator'] = spec.validatorVersion;
+        }
+    }
+    return versions;
+}
+
+/**
+ * Compare two spec snapshots.
+ *
+ * Returns { versions, changes, breaking } where versions maps each package
+ * whose version changed to { from, to }, and each change is
+ * { kind, component, attribute, from, to, breaking, message }.
+ *
+ * Change kinds: component-added, component-removed, attribute-added,
+ * attribute-removed, type-changed, default-changed, child-added, child-removed.
+ * Removals, narrowed types and removed children are breaking; additions,
+ * widened types and default changes (which only affect rendering) are not.
+ */
+export function diffSpecs(oldSpecs, newSpecs) {
+    const changes = [];
+    const add = (kind, component, attribute, from, to, breaking, message) => {
+        changes.push({ kind, component, attribute, from, to, breaking, message });
+    };
+
+    for (const component of Object.keys(oldSpecs)) {
+        if (!newSpecs[component]) {
+            add('component-removed', component, null, null, null, true,
+                `${component} was removed; templates using it no longer validate`);
+        }
+    }
+    for (const component of Object.keys(newSpecs)) {
+        if (!oldSpecs[component]) {
+            add('component-added', component, null, null, null, false, `${component} was added`);
+        }
+    }
+
+    for (const [component, oldSpec] of Object.entries(oldSpecs)) {
+        const newSpec = newSpecs[component];
+        if (!newSpec) {
+            continue;
+        }
+
+        const oldAttributes = oldSpec.allowedAttributes || {};
+        const newAttributes = newSpec.allowedAttributes || {};
+        const oldDefaults = oldSpec.defaultAttributes || {};
+        const newDefaults = newSpec.defaultAttributes || {};
+
+        for (const [attribute, oldType] of Object.entries(oldAttributes)) {
+            if (!(attribute in newAttributes)) {
+                add('attribute-removed', component, attribute, oldType, null, true,
+                    `${component}: attribute "${attribute}" was removed`);
+                continue;
+            }
+
+            const newType = newAttributes[attribute];
+            if (newType !== oldType) {
+                const breaking = !isWidening(oldType, newType);
+                add('type-changed', component, attribute, oldType, newType, breaking,
+                    `${component}: attribute "${attribute}" changed from ${oldType} to ${newType}${breaking ? ' (some existing values are no longer accepted)' : ''}`);
+            }
+
+            if (oldDefaults[attribute] !== newDefaults[attribute]) {
+                const from = oldDefaults[attribute] === undefined ? null : oldDefaults[attribute];
+                const to = newDefaults[attribute] === undefined ? null : newDefaults[attribute];
+                add('default-changed', component, attribute, from, to, false,
+                    `${component}: default of "${attribute}" changed from ${JSON.stringify(from)} to ${JSON.stringify(to)}; templates relying on it render differently`);
+            }
+        }
+
+        for (const [attribute, newType] of Object.entries(newAttributes)) {
+            if (!(attribute in oldAttributes)) {
+                add('attribute-added', component, attribute, null, newType, false,
+                    `${component}: attribute "${attribute}" (${newType}) was added`);
+            }
+        }
+
+        const oldChildren = oldSpec.allowedChildren || [];
+        const newChildren = newSpec.allowedChildren || [];
+        for (const child of oldChildren) {
+            if (!newChildren.includes(child)) {
+                add('child-removed', component, null, child, null, true,
+                    `${component}: ${child} is no longer an allowed child`);
+            }
+        }
+        for (const child of newChildren) {
+            if (!oldChildren.includes(child)) {
+                add('child-added', component, null, null, child, false,
+                    `${component}: ${child} is now an allowed child`);
+            }
+        }
+    }
+
+    const oldVersions = collectVersions(oldSpecs);
+    const newVersions = collectVersions(newSpecs);
+    const versions = {};
+    for (const packageName of new Set([...Object.keys(oldVersions), ...Object.keys(newVersions)])) {
+        const from = oldVersions[packageName] || null;
+        const to = newVersions[packageName] || null;
+        if (from !== to) {
+            versions[packageName] = { from, to };
+        }
+    }
+
+    return { versions, changes, breaking: changes.some(change => change.breaking) };
+}
+
+/**
+ * Render a diff as a Markdown changelog
+ */
+export function formatChangelog(diff, { title = 'MJML spec changes' } = {}) {
+    const lines = [`# ${title}`, ''];
+
+    const packages = Object.entries(diff.versions);
+    if (packages.length > 0) {
+        lines.push('## Package versions', '');
+        for (const [packageName, { from, to }] of packages) {
+            lines.push(`- ${packageName}: ${from || 'unknown'} → ${to || 'unknown'}`);
+        }
+        lines.push('');
+    }
+
+    const sections = [
+        ['Breaking changes', diff.changes.filter(change => change.breaking)],
+        ['Non-breaking changes', diff.changes.filter(change => !change.breaking)]
+    ];
+    for (const [heading, changes] of sections) {
+        lines.push(`## ${heading}`, '');
+        if (changes.length === 0) {
+            lines.push('None.');
+        }
+        for (const change of changes) {
+            lines.push(`- ${change.message}`);
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
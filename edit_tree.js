@@ -0,0 +1,428 @@
+/**
+ * Tree Editing
+ *
+ * Applies edits to an existing component tree instead of regenerating it:
+ * RFC 6902 JSON Patch operations and id-addressed operations (insert-child,
+ * move-node, set-attribute, remove-node), the format the ai-edit schema
+ * describes for tool calling. Every operation is checked against the
+ * schema profile (hierarchy, attribute patterns) before it is kept, and the
+ * edit is all or nothing: if one operation fails, the tree is returned
+ * unchanged.
+ */
+
+import { validate, getAttributeNames } from './validate.js';
+import { camelToKebab } from './naming.js';
+
+export const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+export const NODE_OPERATIONS = ['insert-child', 'move-node', 'set-attribute', 'remove-node'];
+
+// Keys that would reach Object.prototype instead of the tree
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Error for an operation that cannot be applied; carries the rule and the
+ * path of the node it is about
+ */
+class EditError extends Error {
+    constructor(message, { rule = 'operation', path = '', node = null } = {}) {
+        super(message);
+        this.rule = rule;
+        this.path = path;
+        this.node = node;
+    }
+}
+
+/**
+ * Split a JSON Pointer into its unescaped tokens
+ */
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new EditError(`Invalid JSON Pointer ${JSON.stringify(pointer)}`);
+    }
+    const tokens = pointer === '' ? [] : pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const reserved = tokens.find(token => RESERVED_KEYS.includes(token));
+    if (reserved !== undefined) {
+        throw new EditError(`Invalid JSON Pointer ${JSON.stringify(pointer)}: ${JSON.stringify(reserved)} is not allowed`);
+    }
+    return tokens;
+}
+
+/**
+ * Check that a pointer addresses a part of a component node: a node
+ * (/children/N/...), one of its known attributes (/attributes/<name>), its
+ * content or its id. knownAttribute(type, name) tells whether the schema
+ * defines the attribute for the component type.
+ */
+function checkNodePath(root, tokens, pointer, knownAttribute) {
+    const fits = () => {
+        let node = root;
+        for (let i = 0; i < tokens.length; i += 2) {
+            const [field, key] = [tokens[i], tokens[i + 1]];
+            if (field === 'content' || field === 'id') {
+                return key === undefined;
+            }
+            if (field === 'attributes') {
+                return key !== undefined && i + 2 === tokens.length && knownAttribute(node && node.type, key);
+            }
+            if (field !== 'children' || !/^(0|[1-9]\d*|-)$/.test(key ?? '')) {
+                return false;
+            }
+            node = node && Array.isArray(node.children) && Object.hasOwn(node.children, key) ? node.children[key] : null;
+        }
+        return true;
+    };
+    if (!fits()) {
+        throw new EditError(`Path ${JSON.stringify(pointer)} does not address a node, a known attribute, content or id`);
+    }
+}
+
+/**
+ * Read an array index token: a whole number within bounds (the length
+ * itself, or '-', only when adding)
+ */
+function arrayIndex(array, token, pointer, { adding = false } = {}) {
+    if (adding && token === '-') {
+        return array.length;
+    }
+    const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : NaN;
+    if (!(index <= (adding ? array.length : array.length - 1))) {
+        throw new EditError(`Path ${JSON.stringify(pointer)} does not exist: index ${JSON.stringify(token)} is out of bounds`);
+    }
+    return index;
+}
+
+/**
+ * Deep equality of JSON values (object key order does not matter)
+ */
+function jsonEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && jsonEqual(a[key], b[key]));
+}
+
+/**
+ * JSON Patch over a document held as { root }, so the root itself can be
+ * replaced. Paths are limited to the node shape (see checkNodePath).
+ */
+function createPatcher(document, knownAttribute) {
+    const resolve = pointer => {
+        const tokens = parsePointer(pointer);
+        checkNodePath(document.root, tokens, pointer, knownAttribute);
+        let parent = document;
+        let key = 'root';
+        for (const token of tokens) {
+            const current = Object.hasOwn(parent, key) ? parent[key] : undefined;
+            if (current === null || typeof current !== 'object') {
+                throw new EditError(`Path ${JSON.stringify(pointer)} does not exist`);
+            }
+            parent = current;
+            key = token;
+        }
+        return { parent, key };
+    };
+
+    const get = pointer => {
+        const { parent, key } = resolve(pointer);
+        if (Array.isArray(parent)) {
+            return parent[arrayIndex(parent, key, pointer)];
+        }
+        if (!Object.hasOwn(parent, key)) {
+            throw new EditError(`Path ${JSON.stringify(pointer)} does not exist`);
+        }
+        return parent[key];
+    };
+
+    const add = (pointer, value) => {
+        const { parent, key } = resolve(pointer);
+        if (Array.isArray(parent)) {
+            parent.splice(arrayIndex(parent, key, pointer, { adding: true }), 0, value);
+        } else {
+            parent[key] = value;
+        }
+    };
+
+    const remove = pointer => {
+        if (pointer === '') {
+            throw new EditError('The root cannot be removed');
+        }
+        const value = get(pointer);
+        const { parent, key } = resolve(pointer);
+        if (Array.isArray(parent)) {
+            parent.splice(Number(key), 1);
+        } else {
+            delete parent[key];
+        }
+        return value;
+    };
+
+    return {
+        add(operation) {
+            add(operation.path, structuredClone(operation.value));
+        },
+        remove(operation) {
+            remove(operation.path);
+        },
+        replace(operation) {
+            get(operation.path);
+            const { parent, key } = resolve(operation.path);
+            parent[key] = structuredClone(operation.value);
+        },
+        move(operation) {
+            if (operation.path.startsWith(`${operation.from}/`)) {
+                throw new EditError(`Cannot move ${JSON.stringify(operation.from)} into itself`);
+            }
+            add(operation.path, remove(operation.from));
+        },
+        copy(operation) {
+            add(operation.path, structuredClone(get(operation.from)));
+        },
+        test(operation) {
+            if (!jsonEqual(get(operation.path), operation.value)) {
+                throw new EditError(`Test failed: ${JSON.stringify(operation.path)} is not ${JSON.stringify(operation.value)}`, { rule: 'test' });
+            }
+        }
+    };
+}
+
+/**
+ * Index the nodes of a tree by id, with their parent and path
+ */
+function indexNodes(tree) {
+    const byId = new Map();
+    const visit = (node, parent, path) => {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (typeof node.id === 'string') {
+            if (!byId.has(node.id)) {
+                byId.set(node.id, []);
+            }
+            byId.get(node.id).push({ node, parent, path });
+        }
+        (Array.isArray(node.children) ? node.children : []).forEach((child, index) => visit(child, node, `${path}/children/${index}`));
+    };
+    visit(tree, null, '');
+    return byId;
+}
+
+/**
+ * Label a node for messages: type plus id
+ */
+function describeNode(node) {
+    return `${node.type || 'node'}${node.id ? ` "${node.id}"` : ''}`;
+}
+
+/**
+ * Apply one id-addressed operation to the document. attributeName(type,
+ * name) gives the schema's name for an attribute of a component type
+ * under either naming, or null when the schema does not define it.
+ */
+function applyNodeOperation(document, operation, attributeName) {
+    const byId = indexNodes(document.root);
+    const find = (id, field) => {
+        const entries = byId.get(id);
+        if (typeof id !== 'string' || !entries) {
+            throw new EditError(`${field} ${JSON.stringify(id)}: no node has this id`);
+        }
+        if (entries.length > 1) {
+            throw new EditError(`${field} ${JSON.stringify(id)} is used by ${entries.length} nodes`, { rule: 'duplicate-id', path: entries[1].path, node: entries[1].node });
+        }
+        return entries[0];
+    };
+    const insert = (parent, node, index) => {
+        const children = Array.isArray(parent.node.children) ? parent.node.children : (parent.node.children = []);
+        const position = index === undefined ? children.length : index;
+        if (!Number.isInteger(position) || position < 0 || position > children.length) {
+            throw new EditError(`index ${JSON.stringify(index)} is out of bounds (${describeNode(parent.node)} has ${children.length} children)`, parent);
+        }
+        children.splice(position, 0, node);
+    };
+    const detach = target => {
+        if (!target.parent) {
+            throw new EditError('The root cannot be moved or removed', target);
+        }
+        target.parent.children.splice(target.parent.children.indexOf(target.node), 1);
+    };
+
+    switch (operation.op) {
+        case 'insert-child': {
+            const parent = find(operation.parentId, 'parentId');
+            if (!operation.node || typeof operation.node !== 'object' || Array.isArray(operation.node)) {
+                throw new EditError('node must be a component node object', parent);
+            }
+            insert(parent, structuredClone(operation.node), operation.index);
+            return;
+        }
+        case 'move-node': {
+            const target = find(operation.id, 'id');
+            const parent = find(operation.parentId, 'parentId');
+            if (parent.path === target.path || parent.path.startsWith(`${target.path}/`)) {
+                throw new EditError(`Cannot move ${describeNode(target.node)} into itself`, target);
+            }
+            detach(target);
+            insert(parent, target.node, operation.index);
+            return;
+        }
+        case 'set-attribute': {
+            const target = find(operation.id, 'id');
+            if (typeof operation.attribute !== 'string' || operation.attribute.length === 0 || RESERVED_KEYS.includes(operation.attribute)) {
+                throw new EditError('attribute must be an attribute name', target);
+            }
+            const schemaName = attributeName(target.node.type, operation.attribute);
+            if (!schemaName) {
+                throw new EditError(`${describeNode(target.node)} has no attribute ${JSON.stringify(operation.attribute)}`, target);
+            }
+            if (operation.value !== null && typeof operation.value !== 'string') {
+                throw new EditError('value must be a string, or null to remove the attribute', target);
+            }
+            const attributes = target.node.attributes && typeof target.node.attributes === 'object' ? target.node.attributes : {};
+            // Keep the key the tree already uses for the attribute, else the schema's
+            const name = camelToKebab(operation.attribute);
+            const existing = Object.keys(attributes).filter(key => camelToKebab(key) === name);
+            const key = existing[0] || schemaName;
+            for (const other of existing) {
+                delete attributes[other];
+            }
+            if (operation.value !== null) {
+                attributes[key] = operation.value;
+            }
+            if (Object.keys(attributes).length > 0) {
+                target.node.attributes = attributes;
+            } else {
+                delete target.node.attributes;
+            }
+            return;
+        }
+        case 'remove-node':
+            detach(find(operation.id, 'id'));
+            return;
+        default:
+            throw new EditError(`Unknown operation ${JSON.stringify(operation.op)}`);
+    }
+}
+
+/**
+ * Issue key that survives nodes moving: the node's id where it has one
+ */
+function issueKey(issue) {
+    return `${issue.nodeId ?? issue.path}|${issue.attribute}|${issue.rule}`;
+}
+
+/**
+ * Ids used by more than one node, as issues on the later nodes
+ */
+function duplicateIdIssues(tree) {
+    const issues = [];
+    for (const [id, entries] of indexNodes(tree)) {
+        for (const { node, path } of entries.slice(1)) {
+            issues.push({ path, nodeId: id, type: typeof node.type === 'string' ? node.type : null, attribute: null, rule: 'duplicate-id', message: `${describeNode(node)}: id is already used by ${describeNode(entries[0].node)} at ${entries[0].path || '/'}` });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Apply a list of edit operations to a component tree.
+ *
+ * Operations are RFC 6902 JSON Patch operations ({ op: 'add' | 'remove' |
+ * 'replace' | 'move' | 'copy' | 'test', path, from?, value? }) and
+ * id-addressed operations:
+ * - { op: 'insert-child', parentId, node, index? }: insert node (with its
+ *   subtree) at index among the parent's children (default: last)
+ * - { op: 'move-node', id, parentId, index? }: move a node under a parent;
+ *   index counts the parent's children once the node is taken out
+ * - { op: 'set-attribute', id, attribute, value }: set an attribute the
+ *   schema defines for the node's type to a string value, or remove it with
+ *   null. The attribute may be named under either naming; the node keeps
+ *   the key it already has for it, or gets the schema's.
+ * - { op: 'remove-node', id }: remove a node and its subtree
+ *
+ * The operations are applied in order to a copy of the tree. After each one
+ * the copy is validated against the profile; an operation that fails, or
+ * that leaves issues the tree did not already have (hierarchy, attribute
+ * patterns, unknown attributes, duplicate ids), rejects the whole edit.
+ *
+ * Options:
+ * - profile: 'full', 'ai' or 'strict' (default: 'full')
+ * - schema: validate against this schema object instead of a profile's file
+ *
+ * Returns { applied, tree, issues }: whether the edit was applied, the
+ * edited copy (or the input tree, unmodified, when rejected) and the
+ * issues that rejected it, each with the index of the operation
+ * (operation) and the rule: the validation rule, 'operation' (malformed
+ * operation, or a path or id that does not exist), 'test' (a failed JSON
+ * Patch test) or 'duplicate-id'.
+ */
+export function applyEdits(tree, operations, { profile = 'full', schema = null } = {}) {
+    if (!Array.isArray(operations)) {
+        throw new TypeError('operations must be an array');
+    }
+
+    const check = subject => [
+        ...validate(subject, { profile, schema }).issues,
+        ...duplicateIdIssues(subject)
+    ];
+    const known = new Set(check(tree).map(issueKey));
+    const document = { root: structuredClone(tree) };
+    // Schema attribute names per type, keyed by their kebab-case form
+    const attributeNames = new Map();
+    const attributeName = (type, name) => {
+        if (typeof type !== 'string') {
+            return null;
+        }
+        if (!attributeNames.has(type)) {
+            attributeNames.set(type, new Map(getAttributeNames(type, profile, schema).map(schemaName => [camelToKebab(schemaName), schemaName])));
+        }
+        return attributeNames.get(type).get(camelToKebab(name)) || null;
+    };
+    const patcher = createPatcher(document, (type, name) => attributeName(type, name) !== null);
+
+    for (const [index, operation] of operations.entries()) {
+        const op = operation && typeof operation === 'object' ? operation.op : undefined;
+        const reject = issues => ({
+            applied: false,
+            tree,
+            issues: issues.map(issue => ({ operation: index, op: op ?? null, ...issue, message: `Operation ${index} (${op}): ${issue.message}` }))
+        });
+
+        try {
+            if (JSON_PATCH_OPERATIONS.includes(op)) {
+                for (const field of ['path', ...(op === 'move' || op === 'copy' ? ['from'] : [])]) {
+                    parsePointer(operation[field]);
+                }
+                if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operation, 'value')) {
+                    throw new EditError(`"${op}" needs a value`);
+                }
+                patcher[op](operation);
+            } else {
+                applyNodeOperation(document, operation || {}, attributeName);
+            }
+        } catch (error) {
+            if (!(error instanceof EditError)) {
+                throw error;
+            }
+            const node = error.node || {};
+            return reject([{
+                path: error.path,
+                nodeId: typeof node.id === 'string' ? node.id : null,
+                type: typeof node.type === 'string' ? node.type : null,
+                attribute: null,
+                rule: error.rule,
+                message: error.message
+            }]);
+        }
+
+        const introduced = check(document.root).filter(issue => !known.has(issueKey(issue)));
+        if (introduced.length > 0) {
+            return reject(introduced);
+        }
+    }
+
+    return { applied: true, tree: document.root, issues: [] };
+}
@@ -0,0 +1,151 @@
+/**
+ * Email Size Estimator
+ *
+ * Compiles a component tree with the installed mjml and measures the HTML
+ * it produces, overall and per node, against a size budget. Gmail clips
+ * messages whose HTML is larger than about 102KB and hides the rest
+ * (including tracking pixels and unsubscribe links) behind a link.
+ */
+
+import fs from 'fs';
+import { minify } from 'html-minifier-terser';
+import { toHtml } from './to_mjml.js';
+
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+
+// Minification settings of the mjml CLI's --minify
+const MINIFY_OPTIONS = {
+    collapseWhitespace: true,
+    minifyCSS: false,
+    caseSensitive: true,
+    removeEmptyAttributes: true
+};
+
+const SPECS_FILE = new URL('./mjml-specs-raw.json', import.meta.url);
+
+const MARKER_PATTERN = /<!--\/?mjml-size:\d+-->/g;
+
+let bundledSpecs = null;
+
+/**
+ * Load (once) the bundled raw specs
+ */
+function loadSpecs() {
+    if (!bundledSpecs) {
+        bundledSpecs = JSON.parse(fs.readFileSync(SPECS_FILE, 'utf8'));
+    }
+    return bundledSpecs;
+}
+
+const byteLength = html => Buffer.byteLength(html, 'utf8');
+
+/**
+ * Copy the tree with mj-raw comment markers around every node that can be
+ * measured: nodes in mj-body down to the given depth whose parent accepts
+ * mj-raw children (mj-raw renders its content in place, unwrapped).
+ * Returns the marked tree and the measured nodes, indexed by marker number.
+ */
+function markTree(tree, specs, depth) {
+    const measured = [];
+
+    const mark = (node, path, level) => {
+        const spec = specs[node.type] || {};
+        if (!Array.isArray(node.children) || level > depth || !(spec.allowedChildren || []).includes('mj-raw')) {
+            return node;
+        }
+        const children = [];
+        node.children.forEach((child, index) => {
+            const childPath = `${path}/children/${index}`;
+            if (child.type === 'mj-raw') {
+                children.push(child);
+                return;
+            }
+            const marker = measured.length;
+            measured.push({ path: childPath, nodeId: child.id, type: child.type, depth: level });
+            children.push({ id: `mjml-size-${marker}`, type: 'mj-raw', content: `<!--mjml-size:${marker}-->` });
+            children.push(mark(child, childPath, level + 1));
+            children.push({ id: `mjml-size-${marker}-end`, type: 'mj-raw', content: `<!--/mjml-size:${marker}-->` });
+        });
+        return { ...node, children };
+    };
+
+    const marked = {
+        ...tree,
+        children: (tree.children || []).map((child, index) => (
+            child.type === 'mj-body' ? mark(child, `/children/${index}`, 1) : child
+        ))
+    };
+    return { marked, measured };
+}
+
+/**
+ * Bytes between a node's start and end markers, without nested markers
+ */
+function measureMarker(html, marker) {
+    const start = html.indexOf(`<!--mjml-size:${marker}-->`);
+    const end = html.indexOf(`<!--/mjml-size:${marker}-->`);
+    if (start === -1 || end === -1) {
+        return 0;
+    }
+    const inner = html.slice(start + `<!--mjml-size:${marker}-->`.length, end);
+    return byteLength(inner.replace(MARKER_PATTERN, ''));
+}
+
+/**
+ * Format a byte count in KB (1KB = 1024 bytes)
+ */
+export function formatBytes(bytes) {
+    return `${(bytes / 1024).toFixed(1)}KB`;
+}
+
+/**
+ * Estimate the size of the email a component tree compiles to.
+ *
+ * Options:
+ * - budget: size limit in bytes for the minified HTML (default: GMAIL_CLIP_BYTES)
+ * - depth: how many levels below mj-body to measure per node (default: 2,
+ *   i.e. sections and wrappers and their direct children)
+ * - minifyOptions: html-minifier-terser options (default: those of mjml --minify)
+ * - mjmlOptions: options passed to mjml2html (validationLevel defaults to 'skip')
+ * - specs: raw specs for the hierarchy rules (default: the bundled mjml-specs-raw.json)
+ *
+ * Resolves to { bytes, minifiedBytes, budget, overBudget, nodes, warnings, errors }
+ * where bytes and minifiedBytes are the UTF-8 size of the HTML as compiled
+ * and minified, nodes lists { path, nodeId, type, depth, bytes,
+ * minifiedBytes, share } for each measured node (share of the minified
+ * total), warnings are messages about the budget and errors are mjml's
+ * errors. Per-node sizes are approximate: markers keep mjml from merging
+ * adjacent Outlook conditional comments, and CSS in the head is not
+ * attributed to any node.
+ */
+export async function estimateSize(tree, { budget = GMAIL_CLIP_BYTES, depth = 2, minifyOptions = MINIFY_OPTIONS, mjmlOptions = {}, specs = null } = {}) {
+    const compileOptions = { validationLevel: 'skip', ...mjmlOptions };
+    const { html, errors } = toHtml(tree, compileOptions);
+    const bytes = byteLength(html);
+    const minifiedBytes = byteLength(await minify(html, minifyOptions));
+
+    const { marked, measured } = markTree(tree, specs || loadSpecs(), depth);
+    const markedHtml = toHtml(marked, compileOptions).html;
+    const markedMinified = await minify(markedHtml, minifyOptions);
+    const nodes = measured.map((node, marker) => {
+        const nodeMinified = measureMarker(markedMinified, marker);
+        return {
+            ...node,
+            bytes: measureMarker(markedHtml, marker),
+            minifiedBytes: nodeMinified,
+            share: minifiedBytes > 0 ? Math.round((nodeMinified / minifiedBytes) * 1000) / 10 : 0
+        };
+    });
+
+    const warnings = [];
+    if (minifiedBytes > budget) {
+        const largest = nodes.filter(node => node.depth === 1).sort((a, b) => b.minifiedBytes - a.minifiedBytes)[0];
+        warnings.push(`Minified HTML is ${formatBytes(minifiedBytes)}, over the budget of ${formatBytes(budget)}`
+            + (minifiedBytes > GMAIL_CLIP_BYTES ? '; Gmail will clip this message' : '')
+            + (largest ? ` (largest: ${largest.type}${largest.nodeId ? ` "${largest.nodeId}"` : ''}, ${formatBytes(largest.minifiedBytes)})` : ''));
+    } else if (bytes > budget) {
+        warnings.push(`HTML is ${formatBytes(bytes)}, over the budget of ${formatBytes(budget)}; it only fits when minified (${formatBytes(minifiedBytes)})`);
+    }
+
+    return { bytes, minifiedBytes, budget, overBudget: minifiedBytes > budget, nodes, warnings, errors };
+}
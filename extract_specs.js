@@ -10,128 +10,181 @@
 
 import fs from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
+import { NAMING_MODES, convertAttributeName, convertTree } from './naming.js';
+import { resolveProfileRules } from './profiles.js';
+import { loadConfig, importComponentModules, checkConfig } from './plugins.js';
+import { checkStrictSchema } from './strict_mode.js';
+import { getAttributeSupport, getComponentSupport } from './compatibility.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-
-// Component mapping: component name to npm package name
-const COMPONENT_PACKAGES = {
-    'mj-accordion': 'mjml-accordion',
-    'mj-accordion-element': 'mjml-accordion',
-    'mj-accordion-title': 'mjml-accordion',
-    'mj-accordion-text': 'mjml-accordion',
-    'mj-body': 'mjml-body',
-    'mj-button': 'mjml-button',
-    'mj-carousel': 'mjml-carousel',
-    'mj-carousel-image': 'mjml-carousel',
-    'mj-column': 'mjml-column',
-    'mj-divider': 'mjml-divider',
-    'mj-group': 'mjml-group',
-    'mj-hero': 'mjml-hero',
-    'mj-image': 'mjml-image',
-    'mj-navbar': 'mjml-navbar',
-    'mj-navbar-link': 'mjml-navbar',
-    'mj-raw': 'mjml-raw',
-    'mj-section': 'mjml-section',
-    'mj-social': 'mjml-social',
-    'mj-social-element': 'mjml-social',
-    'mj-spacer': 'mjml-spacer',
-    'mj-table': 'mjml-table',
-    'mj-text': 'mjml-text',
-    'mj-wrapper': 'mjml-wrapper',
-    'mj-head': 'mjml-head',
-    'mj-attributes': 'mjml-head-attributes',
-    'mj-breakpoint': 'mjml-head-breakpoint',
-    'mj-font': 'mjml-head-font',
-    'mj-html-attributes': 'mjml-head-html-attributes',
-    'mj-preview': 'mjml-head-preview',
-    'mj-style': 'mjml-head-style',
-    'mj-title': 'mjml-head-title',
-    'mjml': 'mjml-core'
+const require = createRequire(import.meta.url);
+
+// The color names mjml-core's color type accepts
+const COLOR_NAMES = require('mjml-core/lib/types/helpers/colors');
+
+// npm packages providing the MJML components. Each package exports one or
+// more component classes; the component name comes from the class itself.
+const COMPONENT_PACKAGES = [
+    'mjml-accordion',
+    'mjml-body',
+    'mjml-button',
+    'mjml-carousel',
+    'mjml-column',
+    'mjml-divider',
+    'mjml-group',
+    'mjml-hero',
+    'mjml-image',
+    'mjml-navbar',
+    'mjml-raw',
+    'mjml-section',
+    'mjml-social',
+    'mjml-spacer',
+    'mjml-table',
+    'mjml-text',
+    'mjml-wrapper',
+    'mjml-head',
+    'mjml-head-attributes',
+    'mjml-head-breakpoint',
+    'mjml-head-font',
+    'mjml-head-html-attributes',
+    'mjml-head-preview',
+    'mjml-head-style',
+    'mjml-head-title'
+];
+
+// The <mjml> root is not a component class: mjml-core reads these
+// attributes directly when rendering (see mjml-core/lib/index.js)
+const ROOT_COMPONENT = {
+    name: 'mjml',
+    packageName: 'mjml-core',
+    allowedAttributes: {
+        'owa': 'string',
+        'lang': 'string',
+        'dir': 'string'
+    },
+    defaultAttributes: {
+        'lang': 'und',
+        'dir': 'auto'
+    }
 };
 
-/**
- * Generate regex pattern for format validation
- */
-function generatePattern(mjmlType, attrName) {
-    if (!mjmlType || typeof mjmlType !== 'string') {
-        return null;
+// Children of <mj-attributes> that are not component classes: mjml-head-attributes
+// stores mj-all as defaults for every component and mj-class as a named attribute set
+const ATTRIBUTE_ELEMENTS = {
+    'mj-all': {
+        description: 'Default attributes for all MJML components, overridden by type-level defaults, mj-class and inline attributes.',
+        allowedAttributes: {},
+        requiredAttributes: []
+    },
+    'mj-class': {
+        description: 'Named group of attributes applied to body components with mj-class="<name>". Children set per-type defaults for the descendants of those components.',
+        allowedAttributes: { 'name': 'string' },
+        requiredAttributes: ['name']
     }
+};
 
-    const name = attrName.toLowerCase();
-
-    // Handle unit types with specific units
-    if (mjmlType.startsWith('unit(')) {
-        const unitsMatch = mjmlType.match(/unit\((.*?)\)/);
-        if (unitsMatch) {
-            const units = unitsMatch[1].split(',').map(u => u.trim()).filter(u => u.length > 0);
-
-            // Check if there's a multiplicity indicator like {1,4}
-            const hasMultiplicity = mjmlType.includes('{');
+// <mj-include> is replaced by mjml-parser-xml before validation, so it has
+// no component class; these are the attributes the parser reads
+const INCLUDE_ELEMENT = {
+    name: 'mj-include',
+    packageName: 'mjml-parser-xml',
+    allowedAttributes: {
+        'path': 'string',
+        'type': 'enum(mjml,html,css)',
+        'css-inline': 'enum(inline)'
+    },
+    defaultAttributes: {
+        'type': 'mjml'
+    },
+    requiredAttributes: ['path'],
+    descriptions: {
+        'path': 'Path of the file to include, relative to the including file.',
+        'type': 'mjml includes the body (and head) of an MJML file, html inserts the file as mj-raw, css adds it as mj-style.',
+        'css-inline': 'With type="css", inline the styles like mj-style inline="inline".'
+    }
+};
 
-            if (hasMultiplicity) {
-                // For padding-like attributes that can have multiple values
-                // e.g., "10px", "10px 20px", "10px 20px 30px", "10px 20px 30px 40px"
-                const unitPattern = units.join('|');
-                return `^\\d+(\\.\\d+)?(${unitPattern})(\\s+\\d+(\\.\\d+)?(${unitPattern}))*$`;
-            }
+// Template expressions accepted in any attribute in templating mode
+const TEMPLATE_EXPRESSIONS = {
+    liquid: '\\{\\{.*?\\}\\}|\\{%.*?%\\}'
+};
 
-            // Single value with specific units
-            // Handle special case: "auto" can stand alone, other units need numbers
-            // Also allow empty string with trailing |
-            if (units.length > 0) {
-                // If "auto" is one of the units, allow it standalone
-                if (units.includes('auto')) {
-                    const otherUnits = units.filter(u => u !== 'auto');
-                    if (otherUnits.length > 0) {
-                        const otherPattern = otherUnits.join('|');
-                        return `^(\\d+(\\.\\d+)?(${otherPattern})|auto|)$`;
-                    } else {
-                        return `^(auto|)$`;
-                    }
-                } else {
-                    const unitPattern = units.join('|');
-                    return `^(\\d+(\\.\\d+)?(${unitPattern})|)$`;
-                }
-            } else {
-                // Unitless number (e.g., line-height: 1.5)
-                return `^(\\d+(\\.\\d+)?|)$`;
-            }
-        }
+// Attributes mjml-validator accepts on every component
+const GLOBAL_ATTRIBUTES = {
+    'css-class': {
+        type: 'string',
+        description: 'Class name, added to the root HTML element created.'
     }
+};
 
-    // Color format validation (hex, rgb, rgba, hsl, hsla, or named colors)
-    if (mjmlType === 'color' || name.includes('color')) {
-        // Accept: #fff, #ffffff, rgb(255,255,255), rgba(255,255,255,0.5), hsl(), hsla(), or color names
-        return '^(#([0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})|rgba?\\s*\\([^)]+\\)|hsla?\\s*\\([^)]+\\)|[a-zA-Z]+)$';
+// Attributes body components accept besides their own
+const BODY_ATTRIBUTES = {
+    'mj-class': {
+        type: 'string',
+        description: 'Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.'
     }
+};
 
-    // Border format validation (e.g., "1px solid #ccc")
-    if (name.includes('border') && !name.includes('radius')) {
-        return '^(\\d+(\\.\\d+)?(px|em|rem)\\s+(solid|dashed|dotted|double|groove|ridge|inset|outset|none|hidden)\\s+.+|none)$';
+/**
+ * Read a unit type the way mjml-core's unit type does: one value unless a
+ * {min,max} count is given, values separated by a space, a bare 0 (and
+ * auto when listed) accepted, negative numbers only for unitWithNegative
+ * and unitless numbers only when the unit list has an empty entry.
+ *
+ * Returns { units, unitless, auto, negative, min, max }, or null for other
+ * types. The schema patterns and the TypeScript types are both built from it.
+ */
+function parseUnitType(mjmlType) {
+    const match = typeof mjmlType === 'string' && mjmlType.match(/^(unit|unitWithNegative)\((.*?)\)(?:\{(\d+),(\d+)\})?$/);
+    if (!match) {
+        return null;
     }
+    const units = match[2].split(',').map(u => u.trim());
+    return {
+        units: units.filter(u => u.length > 0 && u !== 'auto'),
+        unitless: units.includes(''),
+        auto: units.includes('auto'),
+        negative: match[1] === 'unitWithNegative',
+        min: match[3] ? Number(match[3]) : 1,
+        max: match[4] ? Number(match[4]) : 1
+    };
+}
 
-    // URL validation for href, src, srcset, background-url
-    if (name.includes('url') || name.includes('href') || name.includes('src')) {
-        // Very permissive: Allow full URLs, data URIs, Liquid templates ({{ or {%),
-        // relative paths, empty strings, etc. Just exclude dangerous characters for basic safety.
-        return '^[^<>]*$'; // Allow anything except < > (prevent HTML injection)
+/**
+ * Generate regex pattern for format validation. Patterns come from the
+ * MJML type only: string attributes accept any value in MJML, so they get
+ * none, whatever their name suggests.
+ */
+function generatePattern(mjmlType) {
+    if (!mjmlType || typeof mjmlType !== 'string') {
+        return null;
     }
 
-    // Font family validation (allow multiple fonts separated by commas)
-    if (name.includes('font') && name.includes('family')) {
-        return '^[^;{}]+$'; // Prevent CSS injection
+    const unitType = parseUnitType(mjmlType);
+    if (unitType) {
+        const { units, unitless, auto, negative, min, max } = unitType;
+        const number = `${negative ? '-?' : ''}(\\d+(\\.\\d+)?|\\.\\d+)`;
+        const unit = units.length > 0 ? `(${units.join('|')})${unitless ? '?' : ''}` : '';
+        const alternatives = [`${number}${unit}`, '0'];
+        if (auto) {
+            alternatives.push('auto');
+        }
+        const value = `(${alternatives.join('|')})`;
+        return max > 1 ? `^${value}( ${value}){${Math.max(min - 1, 0)},${max - 1}}$` : `^${value}$`;
     }
 
-    // Generic pixel/percentage validation if name suggests it
-    if ((name.includes('width') || name.includes('height') || name.includes('size')) && !mjmlType.startsWith('unit(')) {
-        return '^(\\d+(\\.\\d+)?(px|%|em|rem|auto)|auto|)$'; // Allow empty string with trailing |
+    // Integers as digit strings, the way attribute values reach MJML
+    if (mjmlType === 'integer') {
+        return '^\\d+$';
     }
 
-    // Padding/margin/spacing validation
-    if ((name.includes('padding') || name.includes('margin') || name.includes('spacing')) && !mjmlType.startsWith('unit(')) {
-        return '^\\d+(\\.\\d+)?(px|%|em|rem)(\\s+\\d+(\\.\\d+)?(px|%|em|rem))*$';
+    // Colors as mjml-core's color type accepts them: 3- or 6-digit hex,
+    // rgb(), rgba() and its color names
+    if (mjmlType === 'color') {
+        return `^(#([0-9a-fA-F]{3}){1,2}|rgba\\(\\d{1,3},\\s?\\d{1,3},\\s?\\d{1,3},\\s?\\d(\\.\\d{1,3})?\\)|rgb\\(\\d{1,3},\\s?\\d{1,3},\\s?\\d{1,3}\\)|${COLOR_NAMES.join('|')})$`;
     }
 
     return null;
@@ -145,7 +198,6 @@ function mjmlTypeToJsonSchema(mjmlType, attrName, defaultValue) {
         return { type: 'string' };
     }
 
-    const name = attrName.toLowerCase();
     const result = { type: 'string' };
 
     // Handle enum types
@@ -161,13 +213,8 @@ function mjmlTypeToJsonSchema(mjmlType, attrName, defaultValue) {
         return result;
     }
 
-    // Handle integer
-    if (mjmlType === 'integer') {
-        return { type: 'integer' };
-    }
-
     // Add pattern validation
-    const pattern = generatePattern(mjmlType, attrName);
+    const pattern = generatePattern(mjmlType);
     if (pattern) {
         result.pattern = pattern;
     }
@@ -176,24 +223,58 @@ function mjmlTypeToJsonSchema(mjmlType, attrName, defaultValue) {
 }
 
 /**
- * Generate description for an attribute
+ * Wrap an attribute definition so values containing a template expression
+ * validate: patterns get an alternative for such values, and enums and
+ * non-string types are combined with it in an anyOf
  */
-function generateAttributeDescription(attrName, defaultValue, mjmlType) {
-    const name = attrName.toLowerCase();
+function applyTemplating(attrDef, templating) {
+    if (!templating) {
+        return attrDef;
+    }
 
-    // Generate format hint from MJML type
-    let formatHint = '';
+    const containsExpression = `.*(${TEMPLATE_EXPRESSIONS[templating]}).*`;
+    if (attrDef.pattern) {
+        const strictPattern = attrDef.pattern.replace(/^\^/, '').replace(/\$$/, '');
+        return { ...attrDef, pattern: `^(?:${strictPattern}|${containsExpression})$` };
+    }
+
+    if (attrDef.enum || attrDef.type !== 'string') {
+        const { description, default: defaultValue, ...valueSchema } = attrDef;
+        return {
+            ...(description !== undefined && { description }),
+            ...(defaultValue !== undefined && { default: defaultValue }),
+            anyOf: [valueSchema, { type: 'string', pattern: `^${containsExpression}$` }]
+        };
+    }
+
+    return attrDef;
+}
+
+/**
+ * Generate format hint (allowed units) from an MJML type
+ */
+function generateFormatHint(mjmlType) {
     if (mjmlType && mjmlType.startsWith('unit(')) {
         const unitsMatch = mjmlType.match(/unit\((.*?)\)/);
         if (unitsMatch) {
             const units = unitsMatch[1].split(',').map(u => u.trim()).filter(u => u.length > 0);
             if (units.length > 0) {
-                formatHint = ` Units: ${units.join(', ')}.`;
-            } else {
-                formatHint = ' Unitless number.';
+                return ` Units: ${units.join(', ')}.`;
             }
+            return ' Unitless number.';
         }
     }
+    return '';
+}
+
+/**
+ * Generate description for an attribute
+ */
+function generateAttributeDescription(attrName, defaultValue, mjmlType) {
+    const name = attrName.toLowerCase();
+
+    // Generate format hint from MJML type
+    const formatHint = generateFormatHint(mjmlType);
 
     if (name.includes('color')) return `Color value (e.g., "#ffffff", "red", "rgb(255,255,255)").${formatHint}`;
     if (name.includes('width')) return `Width value (e.g., "100px", "50%", "auto").${formatHint}`;
@@ -225,166 +306,662 @@ function generateAttributeDescription(attrName, defaultValue, mjmlType) {
 }
 
 /**
- * Convert camelCase attribute name to kebab-case
+ * Convert an HTML fragment from the docs to plain text
  */
-function camelToKebab(str) {
-    return str.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+function htmlToText(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
 }
 
 /**
- * Extract component specifications
+ * Parse component summaries and attribute tables from the MJML docs
+ * (mjml_specs.html). Each component heading (h2, or h3 for sub-components)
+ * starts a section that runs until the next component heading. Components
+ * without an attribute table (mj-include) are documented by example: the
+ * attributes on their own tag in the section's code samples count as
+ * documented, without a description.
  */
-async function extractComponentSpecs() {
-    const specs = {};
-
-    console.log('Extracting MJML component specifications...\n');
+function parseComponentDocs(htmlPath) {
+    const html = fs.readFileSync(htmlPath, 'utf8');
+    const headings = [...html.matchAll(/<h([23]) id='[^']*'>([^<]*)<\/h\1>/g)]
+        .filter(match => /^mj(ml|-[a-z-]+)$/.test(match[2].trim()));
+
+    const docs = {};
+    headings.forEach((heading, index) => {
+        const componentName = heading[2].trim();
+        const start = heading.index + heading[0].length;
+        const end = index + 1 < headings.length ? headings[index + 1].index : html.length;
+        const section = html.slice(start, end);
+
+        // A component may be documented under several headings (e.g. mj-navbar)
+        const doc = docs[componentName] || (docs[componentName] = { description: null, attributes: {} });
+
+        // Summary: first plain paragraph (styled ones hold images and captions)
+        if (!doc.description) {
+            const paragraphs = [...section.matchAll(/<p>([\s\S]*?)<\/p>/g)]
+                .map(match => htmlToText(match[1]))
+                .filter(text => text.length > 0);
+            doc.description = paragraphs[0] || null;
+        }
 
-    for (const [componentName, packageName] of Object.entries(COMPONENT_PACKAGES)) {
-        try {
-            // Try to import the component package
-            const modulePath = `mjml-core`;
-            let componentModule;
-
-            try {
-                // Most components are in their own packages
-                componentModule = await import(packageName);
-            } catch (err) {
-                // Some components might be in mjml-core
-                try {
-                    componentModule = await import('mjml-core');
-                } catch (err2) {
-                    console.log(`  ⚠️  Could not import ${packageName} for ${componentName}`);
-                    continue;
-                }
+        // Attribute tables: attribute | unit | description | default value
+        for (const row of section.matchAll(/<tr>([\s\S]*?)<\/tr>/g)) {
+            const cells = [...row[1].matchAll(/<td>([\s\S]*?)<\/td>/g)].map(match => htmlToText(match[1]));
+            if (cells.length !== 4) {
+                continue;
             }
 
-            // Get the component class
-            let Component = componentModule.default || componentModule[componentName] || componentModule;
-
-            // If it's the main export, look for the component
-            if (Component && typeof Component === 'object' && !Component.allowedAttributes) {
-                // Try to find the component in the exports
-                for (const key of Object.keys(Component)) {
-                    if (key.toLowerCase().includes(componentName.replace('mj-', ''))) {
-                        Component = Component[key];
-                        break;
-                    }
+            const [attrName, unit, description, defaultValue] = cells;
+            // Normalize typos such as "base url"
+            doc.attributes[attrName.toLowerCase().replace(/\s+/g, '-')] = {
+                unit,
+                description,
+                default: defaultValue
+            };
+        }
+
+        const code = [...section.matchAll(/<pre[^>]*>([\s\S]*?)<\/pre>/g)].map(match => htmlToText(match[1])).join('\n');
+        for (const tag of code.matchAll(new RegExp(`<${componentName}((?:\\s+[\\w-]+="[^"]*")*)\\s*/?>`, 'g'))) {
+            for (const [, attrName] of tag[1].matchAll(/([\w-]+)="/g)) {
+                if (!doc.attributes[attrName]) {
+                    doc.attributes[attrName] = { unit: null, description: null, default: null };
                 }
             }
+        }
+    });
 
-            if (!Component || typeof Component !== 'function') {
-                console.log(`  ⚠️  Could not find component class for ${componentName}`);
+    return docs;
+}
+
+/**
+ * Merge docs descriptions into extracted specs. Returns the attributes found
+ * only in the docs or only in the package, per component.
+ */
+function mergeComponentDocs(specs, docs) {
+    const report = {};
+
+    for (const [componentName, spec] of Object.entries(specs)) {
+        const doc = docs[componentName];
+        if (!doc) {
+            continue;
+        }
+
+        if (doc.description) {
+            spec.description = doc.description;
+        }
+
+        for (const [attrName, attrDef] of Object.entries(spec.attributes)) {
+            const attrDoc = doc.attributes[attrName];
+            if (!attrDoc || !attrDoc.description) {
                 continue;
             }
 
-            // Extract allowed attributes and default attributes
-            const allowedAttributes = Component.allowedAttributes || {};
-            const defaultAttributes = Component.defaultAttributes || {};
+            let description = attrDoc.description.charAt(0).toUpperCase() + attrDoc.description.slice(1);
+            if (!/[.!?]$/.test(description)) {
+                description += '.';
+            }
+            attrDef.description = description + generateFormatHint(spec.allowedAttributes[attrName]);
+        }
 
-            // allowedAttributes is an object where keys are attribute names
-            // and values are type definitions (e.g., "color", "unit(px,%)", "enum(left,right)")
-            const attrNames = Object.keys(allowedAttributes);
+        // css-class and mj-class are added to every component later (GLOBAL_ATTRIBUTES, BODY_ATTRIBUTES)
+        const docsOnly = Object.keys(doc.attributes)
+            .filter(attr => !(attr in spec.allowedAttributes) && !(attr in GLOBAL_ATTRIBUTES) && !(attr in BODY_ATTRIBUTES));
+        const packageOnly = Object.keys(spec.allowedAttributes).filter(attr => !(attr in doc.attributes));
+        if (docsOnly.length > 0 || packageOnly.length > 0) {
+            report[componentName] = { docsOnly, packageOnly };
+        }
+    }
 
-            specs[componentName] = {
-                packageName,
-                allowedAttributes,
-                defaultAttributes,
-                attributes: {}
-            };
+    return report;
+}
 
-            // Generate attribute definitions
-            for (const attr of attrNames) {
-                const mjmlType = allowedAttributes[attr];
-                const defaultValue = defaultAttributes[attr];
-                const attrType = mjmlTypeToJsonSchema(mjmlType, attr, defaultValue);
-                const description = generateAttributeDescription(attr, defaultValue, mjmlType);
+/**
+ * Extract parent/child nesting rules from mjml-validator's dependency table.
+ * Regex entries (e.g. mj-attributes accepting any tag) are expanded against
+ * the known component types. Components without an entry accept no children.
+ */
+async function extractHierarchyRules(componentTypes) {
+    // Importing mjml registers mjml-preset-core's dependencies with the validator
+    await import('mjml');
+    const { dependencies } = await import('mjml-validator');
+
+    const rules = {};
+    for (const componentName of componentTypes) {
+        const allowed = [];
+        for (const dep of dependencies[componentName] || []) {
+            if (dep instanceof RegExp) {
+                allowed.push(...componentTypes.filter(type => dep.test(type)));
+            } else {
+                allowed.push(dep);
+            }
+        }
+        rules[componentName] = [...new Set(allowed)];
+    }
 
-                specs[componentName].attributes[attr] = {
-                    ...attrType,
-                    description
-                };
+    return rules;
+}
 
-                if (defaultValue !== undefined && defaultValue !== null) {
-                    specs[componentName].attributes[attr].default = defaultValue;
+/**
+ * Generate children schema from a component's allowed children, restricted
+ * to the component types available in the schema being generated
+ */
+function generateChildrenSchema(allowedChildren, componentTypes) {
+    const children = (allowedChildren || []).filter(child => componentTypes.includes(child));
+
+    if (children.length === 0) {
+        return {
+            "type": "array",
+            "description": "No children allowed",
+            "maxItems": 0
+        };
+    }
+
+    return {
+        "type": "array",
+        "description": `Allowed children: ${children.join(', ')}`,
+        "items": {
+            "properties": {
+                "type": {
+                    "enum": children
                 }
             }
+        }
+    };
+}
 
-            console.log(`  ✓ ${componentName}: ${attrNames.length} attributes`);
+/**
+ * Read the installed version of an MJML package (null for local plugin
+ * modules, which have none)
+ */
+function getPackageVersion(packageName) {
+    if (packageName.startsWith('.') || path.isAbsolute(packageName)) {
+        return null;
+    }
+    return require(`${packageName}/package.json`).version;
+}
 
-        } catch (error) {
-            console.log(`  ✗ Error processing ${componentName}:`, error.message);
-        }
-    }
-
-    // Special handling for mj-social-element (sub-component of mj-social)
-    // It uses many of the same attributes as mj-social but is used as a child element
-    if (specs['mj-social']) {
-        const socialElementAttrs = {
-            'align': 'enum(left,center,right)',
-            'alt': 'string',
-            'background-color': 'color',
-            'border-radius': 'unit(px,%)',
-            'color': 'color',
-            'font-family': 'string',
-            'font-size': 'unit(px)',
-            'font-style': 'string',
-            'font-weight': 'string',
-            'href': 'string',
-            'icon-height': 'unit(px,%)',
-            'icon-padding': 'unit(px,%){1,4}',
-            'icon-size': 'unit(px,%)',
-            'line-height': 'unit(px,%)',
-            'name': 'string',
-            'padding': 'unit(px,%){1,4}',
-            'padding-top': 'unit(px,%)',
-            'padding-right': 'unit(px,%)',
-            'padding-bottom': 'unit(px,%)',
-            'padding-left': 'unit(px,%)',
-            'rel': 'string',
-            'sizes': 'string',
-            'src': 'string',
-            'srcset': 'string',
-            'target': 'string',
-            'text-decoration': 'string',
-            'text-padding': 'unit(px,%){1,4}',
-            'title': 'string',
-            'vertical-align': 'enum(top,bottom,middle)'
-        };
+/**
+ * Collect the versions of the MJML packages the specs were extracted from:
+ * mjml itself, mjml-validator (hierarchy rules) and each component package
+ */
+function collectPackageVersions(specs) {
+    const packageNames = new Set(['mjml', 'mjml-validator']);
+    for (const spec of Object.values(specs)) {
+        packageNames.add(spec.packageName);
+    }
 
-        specs['mj-social-element'] = {
-            packageName: 'mjml-social',
-            allowedAttributes: socialElementAttrs,
-            defaultAttributes: {},
-            attributes: {}
+    const versions = {};
+    for (const packageName of [...packageNames].sort()) {
+        const version = getPackageVersion(packageName);
+        if (version !== null) {
+            versions[packageName] = version;
+        }
+    }
+    return versions;
+}
+
+/**
+ * Find the component classes a package exports: a class with a
+ * componentName, either as the default export or as named exports
+ * (mjml-accordion, mjml-navbar, mjml-carousel and mjml-social export several)
+ */
+function findComponentClasses(componentModule) {
+    const candidates = [componentModule.default, ...Object.values(componentModule)];
+    if (componentModule.default && typeof componentModule.default === 'object') {
+        candidates.push(...Object.values(componentModule.default));
+    }
+
+    const classes = new Set();
+    for (const candidate of candidates) {
+        if (typeof candidate === 'function' && typeof candidate.componentName === 'string') {
+            classes.add(candidate);
+        }
+    }
+    return [...classes];
+}
+
+/**
+ * Build the spec of one component from its MJML type definitions and defaults
+ */
+function buildComponentSpec(packageName, kind, { allowedAttributes = {}, defaultAttributes = {}, requiredAttributes = [], endingTag = false }) {
+    const spec = {
+        packageName,
+        packageVersion: getPackageVersion(packageName),
+        kind,
+        endingTag: Boolean(endingTag),
+        allowedAttributes,
+        defaultAttributes,
+        attributes: {}
+    };
+    if (requiredAttributes.length > 0) {
+        spec.requiredAttributes = requiredAttributes;
+    }
+
+    // allowedAttributes is an object where keys are attribute names
+    // and values are type definitions (e.g., "color", "unit(px,%)", "enum(left,right)")
+    for (const [attr, mjmlType] of Object.entries(allowedAttributes)) {
+        const defaultValue = defaultAttributes[attr];
+        const attrType = mjmlTypeToJsonSchema(mjmlType, attr, defaultValue);
+        const description = generateAttributeDescription(attr, defaultValue, mjmlType);
+
+        spec.attributes[attr] = {
+            ...attrType,
+            description
         };
 
-        // Generate attribute definitions for mj-social-element
-        for (const [attr, mjmlType] of Object.entries(socialElementAttrs)) {
-            const attrType = mjmlTypeToJsonSchema(mjmlType, attr, undefined);
-            const description = generateAttributeDescription(attr, undefined, mjmlType);
+        if (defaultValue !== undefined && defaultValue !== null) {
+            spec.attributes[attr].default = defaultValue;
+        }
+    }
+
+    return spec;
+}
 
-            specs['mj-social-element'].attributes[attr] = {
-                ...attrType,
-                description
-            };
+/**
+ * Extract component specifications.
+ *
+ * Options:
+ * - config: extractor config (see plugins.js) whose component modules are
+ *   read like the MJML packages and whose hierarchy declarations are added
+ *   to mjml-validator's
+ *
+ * Throws when a package cannot be imported or exports no component class,
+ * when two packages register the same component, when a component
+ * registered with mjml-core is not provided by any listed package or
+ * config module, or when the config names unknown components.
+ */
+async function extractComponentSpecs({ config = null } = {}) {
+    const specs = {};
+
+    console.log('Extracting MJML component specifications...\n');
+
+    const { HeadComponent } = await import('mjml-core');
+
+    specs[ROOT_COMPONENT.name] = buildComponentSpec(ROOT_COMPONENT.packageName, 'root', ROOT_COMPONENT);
+    console.log(`  ✓ ${ROOT_COMPONENT.name}: ${Object.keys(ROOT_COMPONENT.allowedAttributes).length} attributes (read by ${ROOT_COMPONENT.packageName})`);
+
+    const componentModules = [];
+    for (const packageName of COMPONENT_PACKAGES) {
+        try {
+            componentModules.push({ packageName, componentModule: await import(packageName) });
+        } catch (error) {
+            throw new Error(`Could not import ${packageName}: ${error.message}`);
+        }
+    }
+    // In-house components come after the official ones and cannot replace them
+    componentModules.push(...await importComponentModules(config));
+
+    for (const { packageName, componentModule } of componentModules) {
+        const componentClasses = findComponentClasses(componentModule);
+        if (componentClasses.length === 0) {
+            throw new Error(`${packageName} does not export any component class`);
         }
 
-        console.log(`  ✓ mj-social-element: ${Object.keys(socialElementAttrs).length} attributes (manually added)`);
+        for (const Component of componentClasses) {
+            const componentName = Component.componentName;
+            if (specs[componentName]) {
+                throw new Error(`${componentName} is exported by both ${specs[componentName].packageName} and ${packageName}`);
+            }
+
+            const kind = Component.prototype instanceof HeadComponent ? 'head' : 'body';
+            specs[componentName] = buildComponentSpec(packageName, kind, Component);
+            console.log(`  ✓ ${componentName}: ${Object.keys(specs[componentName].allowedAttributes).length} attributes${COMPONENT_PACKAGES.includes(packageName) ? '' : ` (from ${packageName})`}`);
+        }
+    }
+
+    // Every component mjml registers must come from one of the packages above
+    await import('mjml');
+    const { components } = await import('mjml-core');
+    const unresolved = Object.keys(components).filter(componentName => !specs[componentName]);
+    if (unresolved.length > 0) {
+        throw new Error(`Components registered with mjml-core but not found in COMPONENT_PACKAGES or the config's components: ${unresolved.join(', ')}`);
+    }
+
+    for (const [elementName, definition] of Object.entries(ATTRIBUTE_ELEMENTS)) {
+        specs[elementName] = buildComponentSpec('mjml-head-attributes', 'attributes', definition);
+        specs[elementName].description = definition.description;
+        console.log(`  ✓ ${elementName}: attribute definition element of mj-attributes`);
+    }
+
+    // Attach nesting rules from mjml-validator
+    const hierarchyRules = await extractHierarchyRules(Object.keys(specs));
+    for (const [componentName, allowedChildren] of Object.entries(hierarchyRules)) {
+        specs[componentName].allowedChildren = allowedChildren;
+    }
+
+    // Hierarchy declared in the config, in mjml-validator's format (parent → children)
+    if (config) {
+        checkConfig(config, specs);
+        for (const [parent, children] of Object.entries(config.hierarchy)) {
+            specs[parent].allowedChildren = [...new Set([...specs[parent].allowedChildren, ...children])];
+        }
+    }
+
+    // mj-include can stand in for children wherever a body or head component has them
+    specs[INCLUDE_ELEMENT.name] = buildComponentSpec(INCLUDE_ELEMENT.packageName, 'include', INCLUDE_ELEMENT);
+    specs[INCLUDE_ELEMENT.name].allowedChildren = [];
+    for (const [attrName, description] of Object.entries(INCLUDE_ELEMENT.descriptions)) {
+        specs[INCLUDE_ELEMENT.name].attributes[attrName].description = description;
+    }
+    for (const spec of Object.values(specs)) {
+        if ((spec.kind === 'body' || spec.kind === 'head') && spec.allowedChildren.length > 0) {
+            spec.allowedChildren.push(INCLUDE_ELEMENT.name);
+        }
+    }
+    console.log(`  ✓ ${INCLUDE_ELEMENT.name}: ${Object.keys(INCLUDE_ELEMENT.allowedAttributes).length} attributes (read by ${INCLUDE_ELEMENT.packageName})`);
+
+    // mjml-validator accepts any tag in mj-attributes; mjml-head-attributes only
+    // uses mj-all, mj-class and body component types (type-level defaults).
+    // Children of an mj-class are per-type defaults for descendants of its users.
+    const bodyTypes = Object.keys(specs).filter(componentName => specs[componentName].kind === 'body');
+    specs['mj-attributes'].allowedChildren = ['mj-all', 'mj-class', ...bodyTypes];
+    specs['mj-class'].allowedChildren = bodyTypes;
+    specs['mj-all'].allowedChildren = [];
+
+    // Stamp the mjml-validator version the nesting rules come from, so
+    // diffs between snapshots show when it changed
+    const validatorVersion = getPackageVersion('mjml-validator');
+    for (const spec of Object.values(specs)) {
+        spec.validatorVersion = validatorVersion;
     }
 
     return specs;
 }
 
 /**
- * Generate JSON Schema from component specifications
+ * Union of the attributes of every body component, for mj-all and mj-class.
+ * Attributes whose definitions differ between components fall back to a
+ * plain string; component defaults are dropped.
+ */
+function collectBodyAttributes(specs) {
+    const union = {};
+    const acceptedBy = {};
+
+    for (const [componentName, spec] of Object.entries(specs)) {
+        if (spec.kind !== 'body') {
+            continue;
+        }
+        for (const [attrName, attrDef] of Object.entries(spec.attributes)) {
+            const { description, default: _default, ...definition } = attrDef;
+            if (!union[attrName]) {
+                union[attrName] = definition;
+                acceptedBy[attrName] = [];
+            } else if (JSON.stringify(union[attrName]) !== JSON.stringify(definition)) {
+                union[attrName] = { type: 'string' };
+            }
+            acceptedBy[attrName].push(componentName);
+        }
+    }
+
+    for (const [attrName, attrDef] of Object.entries(union)) {
+        attrDef.description = `Accepted by: ${acceptedBy[attrName].join(', ')}.`;
+    }
+
+    return union;
+}
+
+/**
+ * All attributes a node of this component accepts: its own, the global
+ * ones, mj-class on body components, and every body attribute on mj-all
+ * and mj-class definitions. mj-include only takes its own.
+ */
+function getComponentAttributes(spec, specs) {
+    let attributes;
+    if (spec.kind === 'attributes') {
+        attributes = { ...collectBodyAttributes(specs), ...spec.attributes, ...GLOBAL_ATTRIBUTES };
+    } else if (spec.kind === 'include') {
+        attributes = { ...spec.attributes };
+    } else {
+        attributes = { ...spec.attributes, ...GLOBAL_ATTRIBUTES, ...(spec.kind === 'body' && BODY_ATTRIBUTES) };
+    }
+    // A profile can also exclude the global attributes (see filterProfileSpecs)
+    for (const attrName of spec.excludedAttributes || []) {
+        delete attributes[attrName];
+    }
+    return attributes;
+}
+
+/**
+ * MJML type of each attribute getComponentAttributes() returns. mj-all and
+ * mj-class take the type body components declare (string on conflicts).
+ */
+function getAttributeTypes(spec, specs) {
+    const types = {};
+    if (spec.kind === 'attributes') {
+        for (const bodySpec of Object.values(specs).filter(other => other.kind === 'body')) {
+            for (const [attrName, mjmlType] of Object.entries(bodySpec.allowedAttributes)) {
+                types[attrName] = types[attrName] && types[attrName] !== mjmlType ? 'string' : mjmlType;
+            }
+        }
+    }
+    return { ...types, ...spec.allowedAttributes };
+}
+
+// Property-panel groups, in display order; an attribute goes in the first
+// group (after general) whose test matches its name
+const UI_GROUPS = [
+    ['general', () => false],
+    ['link', name => ['href', 'rel', 'target', 'title', 'base-url'].includes(name)],
+    ['image', name => ['src', 'srcset', 'sizes', 'alt', 'usemap', 'thumbnails-src'].includes(name)],
+    ['layout', name => /^(width|height|max-height|align|vertical-align|direction|full-width|mode|position|table-layout|fluid-on-mobile)$/.test(name)],
+    ['typography', name => !/background|border|padding/.test(name)
+        && /(^|-)(font-|line-height|letter-spacing|text-decoration|text-transform|text-align)|(^|-)color$/.test(name)],
+    ['spacing', name => name.includes('padding')],
+    ['background', name => name.includes('background')],
+    ['border', name => name.includes('border')]
+];
+
+// Explicit siblings of a compound attribute, e.g. padding → padding-top
+const COMPOUND_SIDES = [
+    ['top', 'right', 'bottom', 'left'],
+    ['x', 'y']
+];
+
+// String attributes holding a URL
+const URL_ATTRIBUTES = ['href', 'src', 'background-url', 'base-url', 'thumbnails-src', 'left-icon', 'right-icon'];
+
+/**
+ * Form widget for an attribute, from its MJML type (and name for strings)
+ */
+function generateUiWidget(attrName, mjmlType) {
+    const type = String(mjmlType || 'string');
+
+    if (type === 'color') {
+        return { widget: 'color' };
+    }
+    if (type.startsWith('enum(')) {
+        return { widget: 'select' };
+    }
+    if (type === 'boolean') {
+        return { widget: 'toggle' };
+    }
+    if (type === 'integer') {
+        return { widget: 'number' };
+    }
+
+    const unitMatch = type.match(/^(unit|unitWithNegative)\((.*?)\)(?:\{(\d+),(\d+)\})?$/);
+    if (unitMatch) {
+        const widget = { widget: 'unit', units: unitMatch[2].split(',').map(unit => unit.trim()).filter(Boolean) };
+        if (unitMatch[4] && Number(unitMatch[4]) > 1) {
+            widget.values = { min: Number(unitMatch[3]), max: Number(unitMatch[4]) };
+        }
+        if (unitMatch[1] === 'unitWithNegative') {
+            widget.negative = true;
+        }
+        return widget;
+    }
+
+    if (URL_ATTRIBUTES.includes(attrName) || attrName.endsWith('-url')) {
+        return { widget: 'url' };
+    }
+    if (attrName.endsWith('font-family')) {
+        return { widget: 'font-family' };
+    }
+    if (/(^|-)border(-(top|right|bottom|left))?$/.test(attrName)) {
+        return { widget: 'border' };
+    }
+    return { widget: 'text' };
+}
+
+/**
+ * Editor hints for a component's attributes: widget, group, order (1-based,
+ * by group, with the sides of a compound attribute right after it) and the
+ * links between compound attributes and their sides. Returns a map from
+ * attribute name to its x-ui object.
+ */
+function generateUiHints(attributeTypes, naming) {
+    const names = Object.keys(attributeTypes);
+    const hints = {};
+
+    for (const attrName of names) {
+        const groupIndex = UI_GROUPS.findIndex(([, test]) => test(attrName));
+        hints[attrName] = {
+            ...generateUiWidget(attrName, attributeTypes[attrName]),
+            group: UI_GROUPS[Math.max(groupIndex, 0)][0]
+        };
+    }
+
+    for (const compound of names) {
+        for (const suffixes of COMPOUND_SIDES) {
+            const sides = suffixes.map(suffix => `${compound}-${suffix}`);
+            if (sides.every(side => side in hints)) {
+                hints[compound].sides = sides.map(side => convertAttributeName(side, naming));
+                for (const side of sides) {
+                    hints[side].compound = convertAttributeName(compound, naming);
+                }
+            }
+        }
+    }
+
+    // Sides follow their compound; groups keep the declaration order otherwise
+    const ordered = [];
+    for (const attrName of names) {
+        if (hints[attrName].compound) {
+            continue;
+        }
+        ordered.push(attrName);
+        for (const side of hints[attrName].sides || []) {
+            ordered.push(names.find(name => convertAttributeName(name, naming) === side));
+        }
+    }
+    const groupNames = UI_GROUPS.map(([group]) => group);
+    ordered
+        .map((attrName, index) => ({ attrName, index }))
+        .sort((a, b) => groupNames.indexOf(hints[a.attrName].group) - groupNames.indexOf(hints[b.attrName].group) || a.index - b.index)
+        .forEach(({ attrName }, position) => {
+            hints[attrName].order = position + 1;
+        });
+
+    return hints;
+}
+
+/**
+ * Generate the attributes object schema for a component. In camelCase
+ * naming mode keys are converted and unknown attributes are rejected.
+ *
+ * Options:
+ * - requiredAttributes: attribute names the component requires
+ * - templating: template expression mode (see applyTemplating)
+ * - supportComponent: add x-support and x-support-note from compatibility.js for this component
+ * - attributeTypes: MJML types by attribute name; when given, add x-ui editor hints
+ */
+function generateAttributesSchema(attributes, naming, { requiredAttributes = [], templating = null, supportComponent = null, attributeTypes = null } = {}) {
+    const attributesSchema = {
+        "type": "object",
+        "additionalProperties": naming !== 'camel',
+        "properties": {}
+    };
+
+    const uiHints = attributeTypes && generateUiHints(
+        Object.fromEntries(Object.keys(attributes).map(attrName => [attrName, attributeTypes[attrName] || 'string'])),
+        naming
+    );
+
+    for (const [attrName, attrDef] of Object.entries(attributes)) {
+        const property = applyTemplating({ ...attrDef }, templating);
+        if (uiHints) {
+            property["x-ui"] = uiHints[attrName];
+        }
+        const attributeSupport = supportComponent && getAttributeSupport(supportComponent, attrName);
+        if (attributeSupport) {
+            property["x-support"] = attributeSupport.support;
+            property["x-support-note"] = attributeSupport.note;
+        }
+        attributesSchema.properties[convertAttributeName(attrName, naming)] = property;
+    }
+
+    if (requiredAttributes.length > 0) {
+        attributesSchema.required = requiredAttributes.map(attrName => convertAttributeName(attrName, naming));
+    }
+
+    return attributesSchema;
+}
+
+/**
+ * Generate the if/then branch validating one component type, optionally
+ * annotated with email-client support and editor hints
+ */
+function generateComponentBranch(componentName, spec, specs, naming, templating, annotate = false) {
+    const componentSchema = {
+        // required keeps the branch from matching nodes without a type
+        "if": {
+            "properties": {
+                "type": { "const": componentName }
+            },
+            "required": ["type"]
+        },
+        "then": {
+            "description": spec.description ? `${componentName} component. ${spec.description}` : `${componentName} component`,
+            "properties": {
+                "attributes": generateAttributesSchema(getComponentAttributes(spec, specs), naming, {
+                    requiredAttributes: spec.requiredAttributes,
+                    templating,
+                    supportComponent: annotate && spec.kind !== 'attributes' ? componentName : null,
+                    attributeTypes: annotate ? getAttributeTypes(spec, specs) : null
+                })
+            }
+        }
+    };
+
+    const componentSupport = annotate && getComponentSupport(componentName);
+    if (componentSupport) {
+        componentSchema.then["x-support"] = componentSupport.support;
+        componentSchema.then["x-support-note"] = componentSupport.note;
+    }
+
+    if (spec.requiredAttributes) {
+        componentSchema.then.required = ['attributes'];
+    }
+
+    // Add children validation from hierarchy rules
+    componentSchema.then.properties.children = generateChildrenSchema(spec.allowedChildren, Object.keys(specs));
+
+    return componentSchema;
+}
+
+/**
+ * Generate JSON Schema from component specifications, with the full
+ * profile's rules applied (by default none; a config can add some)
  */
-function generateJsonSchema(specs) {
+function generateJsonSchema(specs, { naming = 'kebab', versions = null, templating = null, rules = resolveProfileRules('full') } = {}) {
+    specs = filterProfileSpecs(specs, rules);
     const componentTypes = Object.keys(specs);
+    const hasExclusions = rules.excludedComponents.length > 0 || rules.excludedAttributes.length > 0;
 
     const schema = {
         "$schema": "https://json-schema.org/draft/2020-12/schema",
         "$id": "https://notifuse.com/schemas/mjml-components.json",
         "title": "MJML Components Schema",
+        ...(versions && { "x-mjml-versions": versions }),
+        ...(templating && { "x-templating": templating }),
+        ...(hasExclusions && { "x-excluded": describeExclusions(rules) }),
         "description": "Auto-generated JSON Schema for MJML components extracted from official MJML packages",
         "type": "object",
         "required": ["id", "type"],
@@ -418,74 +995,20 @@ function generateJsonSchema(specs) {
 
     // Generate conditional schemas for each component
     for (const [componentName, spec] of Object.entries(specs)) {
-        const componentSchema = {
-            "if": {
-                "properties": {
-                    "type": { "const": componentName }
-                }
-            },
-            "then": {
-                "description": `${componentName} component`,
-                "properties": {
-                    "attributes": {
-                        "type": "object",
-                        "additionalProperties": true,
-                        "properties": {}
-                    }
-                }
-            }
-        };
-
-        // Add attribute definitions
-        if (spec.attributes && Object.keys(spec.attributes).length > 0) {
-            for (const [attrName, attrDef] of Object.entries(spec.attributes)) {
-                componentSchema.then.properties.attributes.properties[attrName] = {
-                    ...attrDef
-                };
-            }
-        }
-
-        schema.allOf.push(componentSchema);
+        schema.allOf.push(generateComponentBranch(componentName, spec, specs, naming, templating, true));
     }
 
     return schema;
 }
 
 /**
- * Generate AI-optimized JSON Schema with hierarchy validation
+ * Apply a profile's rules (see resolveProfileRules) to the specs: drop the
+ * excluded components and attributes, and override component fields and
+ * attribute definitions. An override value of null removes the field.
  */
-function generateAISchema(specs) {
-    // Components to exclude for AI use
-    const excludedComponents = [
-        'mj-table',
-        'mj-accordion',
-        'mj-accordion-element',
-        'mj-accordion-title',
-        'mj-accordion-text',
-        'mj-hero',
-        'mj-navbar',
-        'mj-navbar-link',
-        'mj-carousel',
-        'mj-carousel-image'
-    ];
-
-    // Attributes to exclude (compound and inner- attributes)
-    const excludedAttributes = [
-        'padding',         // Use padding-top, padding-right, etc. instead
-        'border',          // Use border-top, border-right, etc. instead
-        'inner-padding',
-        'inner-padding-top',
-        'inner-padding-right',
-        'inner-padding-bottom',
-        'inner-padding-left',
-        'inner-border',
-        'inner-border-top',
-        'inner-border-right',
-        'inner-border-bottom',
-        'inner-border-left',
-        'inner-border-radius',
-        'inner-background-color'
-    ];
+function filterProfileSpecs(specs, rules) {
+    const { excludedComponents, excludedAttributes } = rules;
+    const withoutNulls = object => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
 
     // Filter specs
     const filteredSpecs = {};
@@ -494,33 +1017,94 @@ function generateAISchema(specs) {
             continue;
         }
 
-        filteredSpecs[componentName] = {
+        filteredSpecs[componentName] = withoutNulls({
             ...spec,
+            ...rules.components[componentName],
             attributes: {}
-        };
+        });
+        if (excludedAttributes.length > 0) {
+            filteredSpecs[componentName].excludedAttributes = excludedAttributes;
+        }
 
-        // Filter attributes
+        // Filter and override attributes
+        const overrides = rules.attributes[componentName] || {};
         for (const [attrName, attrDef] of Object.entries(spec.attributes || {})) {
             if (!excludedAttributes.includes(attrName)) {
-                filteredSpecs[componentName].attributes[attrName] = attrDef;
+                filteredSpecs[componentName].attributes[attrName] = withoutNulls({ ...attrDef, ...overrides[attrName] });
             }
         }
     }
 
-    const componentTypes = Object.keys(filteredSpecs);
+    return filteredSpecs;
+}
 
-    // Hierarchy definitions
-    const hierarchyRules = {
-        'mjml': ['mj-head', 'mj-body'],
-        'mj-head': ['mj-attributes', 'mj-breakpoint', 'mj-font', 'mj-html-attributes', 'mj-preview', 'mj-style', 'mj-title', 'mj-raw'],
-        'mj-body': ['mj-wrapper', 'mj-section', 'mj-raw'],
-        'mj-wrapper': ['mj-section', 'mj-raw'],
-        'mj-section': ['mj-column', 'mj-group', 'mj-raw'],
-        'mj-group': ['mj-column'],
-        'mj-column': ['mj-text', 'mj-button', 'mj-image', 'mj-divider', 'mj-spacer', 'mj-social', 'mj-raw'],
-        'mj-social': ['mj-social-element'],
-        'mj-attributes': ['mj-text', 'mj-button', 'mj-image', 'mj-section', 'mj-column', 'mj-wrapper', 'mj-group', 'mj-divider', 'mj-spacer', 'mj-social', 'mj-social-element']
-    };
+/**
+ * Drop the components and attributes excluded from the AI profile
+ */
+function filterAISpecs(specs, rules = resolveProfileRules('ai')) {
+    return filterProfileSpecs(specs, rules);
+}
+
+/**
+ * The exclusions of a profile as recorded in its schema, for the validator
+ * to tell excluded names from unknown ones
+ */
+function describeExclusions(rules) {
+    return { "components": rules.excludedComponents, "attributes": rules.excludedAttributes };
+}
+
+/**
+ * Word the exclusions of a profile for the AI schema's $comment: explicit
+ * sides instead of compound padding/border, inner-* attributes, other
+ * excluded attributes, and the excluded components (without those only
+ * excluded components contain, e.g. mj-carousel but not mj-carousel-image)
+ */
+function describeRestrictions(specs, rules, naming) {
+    const name = attrName => convertAttributeName(attrName, naming);
+    const excluded = rules.excludedAttributes;
+    const innerAttributes = [...new Set(Object.values(specs).flatMap(spec => Object.keys(spec.attributes || {})))]
+        .filter(attrName => attrName.startsWith('inner-'));
+    const allInnerExcluded = innerAttributes.length > 0 && innerAttributes.every(attrName => excluded.includes(attrName));
+
+    const compounds = [];
+    if (excluded.includes('padding')) {
+        compounds.push(`${['top', 'right', 'bottom', 'left'].map(side => `'${name(`padding-${side}`)}'`).join('/')} instead of 'padding'`);
+    }
+    if (excluded.includes('border')) {
+        compounds.push(`'${name('border-top')}'/'${name('border-right')}' etc instead of 'border'`);
+    }
+    const others = excluded.filter(attrName => !['padding', 'border'].includes(attrName) && !(allInnerExcluded && attrName.startsWith('inner-')));
+
+    let text = '';
+    if (compounds.length > 0) {
+        text += ` Use explicit attributes only: ${compounds.join(', ')}.`;
+    }
+    if (allInnerExcluded) {
+        text += " NO 'inner-*' attributes allowed.";
+    }
+    if (others.length > 0) {
+        text += ` Do NOT use ${others.map(attrName => `'${name(attrName)}'`).join(', ')}.`;
+    }
+
+    const parentsOf = componentName => Object.keys(specs)
+        .filter(parent => specs[parent].kind === 'body' && (specs[parent].allowedChildren || []).includes(componentName));
+    const components = rules.excludedComponents.filter(componentName => {
+        const parents = parentsOf(componentName);
+        return parents.length === 0 || parents.some(parent => !rules.excludedComponents.includes(parent));
+    });
+    if (components.length > 0) {
+        const list = components.length === 1 ? components[0] : `${components.slice(0, -1).join(', ')}, or ${components[components.length - 1]}`;
+        text += ` COMPONENT RESTRICTIONS: Do NOT use ${list} (excluded for simplicity).`;
+    }
+    return text;
+}
+
+/**
+ * Generate AI-optimized JSON Schema with hierarchy validation
+ */
+function generateAISchema(specs, { naming = 'camel', versions = null, templating = null, rules = resolveProfileRules('ai') } = {}) {
+    const filteredSpecs = filterAISpecs(specs, rules);
+    const componentTypes = Object.keys(filteredSpecs);
 
     const basicExample = {
         "description": "Basic 'Hello World' email showing proper hierarchy and explicit attribute usage",
@@ -583,14 +1167,23 @@ function generateAISchema(specs) {
         }
     };
 
+    // Attribute names in the instructions follow the naming mode
+    const namingRule = (naming === 'camel'
+        ? "Attribute names are camelCase (e.g. 'backgroundColor'); unknown attributes are rejected."
+        : "Attribute names are kebab-case as in MJML (e.g. 'background-color').")
+        + (templating === 'liquid' ? " Any attribute value may contain Liquid expressions ('{{ brand.color }}', '{{ width }}px', '{% if %}...{% endif %}')." : '');
+
     const schema = {
         "$schema": "https://json-schema.org/draft/2020-12/schema",
         "$id": "https://notifuse.com/schemas/mjml-components-ai.json",
         "title": "MJML Components Schema (AI-Optimized)",
+        ...(versions && { "x-mjml-versions": versions }),
+        ...(templating && { "x-templating": templating }),
+        "x-excluded": describeExclusions(rules),
         "description": "JSON Schema for generating valid MJML email templates. This schema defines a tree structure where each node has: 'id' (string), 'type' (component name), optional 'children' (array of nodes), optional 'attributes' (object with component-specific properties), and optional 'content' (string for text/HTML). The schema enforces parent-child hierarchy rules and validates attribute formats with regex patterns.",
-        "$comment": "STRUCTURE RULES: Every object MUST have 'id' and 'type'. Root MUST be type='mjml'. Standard email structure: mjml > mj-body > mj-section > mj-column > content components (mj-text, mj-button, mj-image). ATTRIBUTE RULES: Use explicit attributes only: 'paddingTop'/'paddingRight'/'paddingBottom'/'paddingLeft' instead of 'padding', 'borderTop'/'borderRight' etc instead of 'border'. NO 'inner-*' attributes allowed. COMPONENT RESTRICTIONS: Do NOT use mj-table, mj-accordion, mj-hero, mj-navbar, or mj-carousel (excluded for simplicity). HIERARCHY: Check 'Allowed children' in component descriptions for valid nesting. EXAMPLES: See the examples array for a complete 'Hello World' template structure.",
+        "$comment": `STRUCTURE RULES: Every object MUST have 'id' and 'type'. Root MUST be type='mjml'. Standard email structure: mjml > mj-body > mj-section > mj-column > content components (mj-text, mj-button, mj-image). ATTRIBUTE RULES: ${namingRule}${describeRestrictions(specs, rules, naming)} HIERARCHY: Check 'Allowed children' in component descriptions for valid nesting. EXAMPLES: See the examples array for a complete 'Hello World' template structure.`,
         "type": "object",
-        "examples": [basicExample],
+        "examples": [{ ...basicExample, "value": convertTree(basicExample.value, naming) }],
         "required": ["id", "type"],
         "properties": {
             "id": {
@@ -622,95 +1215,557 @@ function generateAISchema(specs) {
 
     // Generate conditional schemas with hierarchy validation
     for (const [componentName, spec] of Object.entries(filteredSpecs)) {
-        const componentSchema = {
-            "if": {
-                "properties": {
-                    "type": { "const": componentName }
-                }
+        schema.allOf.push(generateComponentBranch(componentName, spec, filteredSpecs, naming, templating));
+    }
+
+    return schema;
+}
+
+/**
+ * Allow null in place of a strict-mode subschema, unless it is required
+ */
+function nullableUnless(required, subschema) {
+    return required ? subschema : { "anyOf": [subschema, { "type": "null" }] };
+}
+
+/**
+ * Generate a strict-mode node definition: every property is required,
+ * optional values are nullable and unknown properties are rejected
+ */
+function generateStrictNodeSchema(componentName, spec, specs, naming) {
+    const componentTypes = Object.keys(specs);
+    const requiredAttributes = spec.requiredAttributes || [];
+    const attributeProperties = {};
+    for (const [attrName, attrDef] of Object.entries(getComponentAttributes(spec, specs))) {
+        const nullable = !requiredAttributes.includes(attrName);
+        const property = {
+            "type": nullable ? [attrDef.type, "null"] : attrDef.type
+        };
+        if (attrDef.enum) {
+            property.enum = nullable ? [...attrDef.enum, null] : attrDef.enum;
+        }
+        // pattern and default are not supported in strict mode: keep them as hints
+        const hints = [attrDef.description];
+        if (attrDef.default !== undefined) {
+            hints.push(`Default: ${attrDef.default}.`);
+        }
+        property.description = hints.filter(Boolean).join(' ');
+        attributeProperties[convertAttributeName(attrName, naming)] = property;
+    }
+
+    const children = (spec.allowedChildren || []).filter(child => componentTypes.includes(child));
+    const childRefs = children.map(child => ({ "$ref": `#/$defs/${child}` }));
+
+    return {
+        "type": "object",
+        "description": spec.description ? `${componentName} component. ${spec.description}` : `${componentName} component`,
+        "properties": {
+            "id": {
+                "type": "string",
+                "description": "Unique identifier for the component"
             },
-            "then": {
-                "description": `${componentName} component`,
-                "properties": {
-                    "attributes": {
-                        "type": "object",
-                        "additionalProperties": true,
-                        "properties": {}
-                    }
+            "type": {
+                "type": "string",
+                "enum": [componentName]
+            },
+            "attributes": Object.keys(attributeProperties).length > 0
+                ? nullableUnless(requiredAttributes.length > 0, {
+                    "type": "object",
+                    "properties": attributeProperties,
+                    "required": Object.keys(attributeProperties),
+                    "additionalProperties": false
+                })
+                : { "type": "null" },
+            "content": {
+                "type": ["string", "null"],
+                "description": "Text/HTML content for leaf components"
+            },
+            "children": children.length > 0
+                ? {
+                    "anyOf": [
+                        {
+                            "type": "array",
+                            "description": `Allowed children: ${children.join(', ')}`,
+                            "items": childRefs.length === 1 ? childRefs[0] : { "anyOf": childRefs }
+                        },
+                        { "type": "null" }
+                    ]
                 }
-            }
-        };
+                : { "type": "null", "description": "No children allowed" }
+        },
+        "required": ["id", "type", "attributes", "content", "children"],
+        "additionalProperties": false
+    };
+}
+
+/**
+ * Generate an AI schema for LLM strict structured output / function calling:
+ * per-component definitions under $defs joined with anyOf, no allOf/if/then,
+ * no root recursion, every property required with nullable optionals
+ */
+function generateStrictSchema(specs, { naming = 'camel', rules = resolveProfileRules('strict') } = {}) {
+    const filteredSpecs = filterProfileSpecs(specs, rules);
+
+    const defs = {};
+    for (const [componentName, spec] of Object.entries(filteredSpecs)) {
+        defs[componentName] = generateStrictNodeSchema(componentName, spec, filteredSpecs, naming);
+    }
+
+    const schema = {
+        "$schema": "https://json-schema.org/draft/2020-12/schema",
+        "$id": "https://notifuse.com/schemas/mjml-components-ai-strict.json",
+        "title": "MJML Components Schema (Strict Structured Output)",
+        "x-excluded": describeExclusions(rules),
+        ...defs['mjml'],
+        "description": "MJML email template for strict structured-output and function-calling modes. The document is the root 'mjml' node. Every node has 'id', 'type', 'attributes', 'content' and 'children'; use null for anything not needed (attributes that are not set, content on container components, children on leaf components). Structure: mjml > mj-body > mj-section > mj-column > content components (mj-text, mj-button, mj-image).",
+        "$defs": defs
+    };
+
+    return schema;
+}
+
+// Id-addressed operations of the AI edit schema, in the order they are listed
+const EDIT_OPERATION_DEFS = ['insertChild', 'moveNode', 'setAttribute', 'removeNode', 'jsonPatch'];
+
+/**
+ * Generate the AI edit schema: the arguments of an edit tool call, a list
+ * of id-addressed operations and RFC 6902 JSON Patch operations on a tree
+ * of the AI schema. Inserted nodes are validated by the AI node schema,
+ * kept under $defs/node.
+ */
+function generateAIEditSchema(specs, { naming = 'camel', versions = null, templating = null, rules = resolveProfileRules('ai') } = {}) {
+    const aiSchema = generateAISchema(specs, { naming, versions, templating, rules });
+    const node = {
+        "type": aiSchema.type,
+        "description": "A component node with its subtree, as in the AI schema",
+        "required": aiSchema.required,
+        "properties": {
+            ...aiSchema.properties,
+            "children": { ...aiSchema.properties.children, "items": { "$ref": "#/$defs/node" } }
+        },
+        "allOf": aiSchema.allOf
+    };
+
+    const attributeNames = new Set();
+    for (const branch of aiSchema.allOf) {
+        Object.keys(branch.then.properties.attributes?.properties || {}).forEach(attrName => attributeNames.add(attrName));
+    }
+
+    const nodeId = description => ({ "type": "string", "description": description });
+    const index = {
+        "type": "integer",
+        "minimum": 0,
+        "description": "Position among the parent's children (default: after the last child)"
+    };
+    const operation = (op, description, properties, required) => ({
+        "type": "object",
+        "description": description,
+        "required": ["op", ...required],
+        "properties": { "op": { "const": op }, ...properties },
+        "additionalProperties": false
+    });
 
-        // Add attribute definitions
-        if (spec.attributes && Object.keys(spec.attributes).length > 0) {
-            for (const [attrName, attrDef] of Object.entries(spec.attributes)) {
-                componentSchema.then.properties.attributes.properties[attrName] = {
-                    ...attrDef
-                };
+    return {
+        "$schema": "https://json-schema.org/draft/2020-12/schema",
+        "$id": "https://notifuse.com/schemas/mjml-components-ai-edit.json",
+        "title": "MJML Tree Edit Operations (AI)",
+        ...(versions && { "x-mjml-versions": versions }),
+        ...(templating && { "x-templating": templating }),
+        "description": "Edits to an existing MJML component tree, for tool calling: change only what the user asked for instead of regenerating the template. Nodes are addressed by their 'id'. The operations are applied in order and all of them are rejected if any would break the component hierarchy or an attribute pattern.",
+        "$comment": `Prefer the id-addressed operations (insert-child, move-node, set-attribute, remove-node); use JSON Patch ('add', 'remove', 'replace', 'move', 'copy', 'test' with JSON Pointer paths such as '/children/0/attributes/${convertAttributeName('background-color', naming)}') for anything else. New nodes need an 'id' no other node uses. Set an attribute's value to null to remove it.`,
+        "type": "object",
+        "required": ["operations"],
+        "properties": {
+            "operations": {
+                "type": "array",
+                "minItems": 1,
+                "description": "Operations, applied in order",
+                "items": { "oneOf": EDIT_OPERATION_DEFS.map(name => ({ "$ref": `#/$defs/${name}` })) }
+            }
+        },
+        "additionalProperties": false,
+        "examples": [{
+            "description": "Change a button's color, add a text under it and drop an image",
+            "value": {
+                "operations": [
+                    { "op": "set-attribute", "id": "button-1", "attribute": convertAttributeName('background-color', naming), "value": "#e85034" },
+                    { "op": "insert-child", "parentId": "column-1", "index": 2, "node": { "id": "text-2", "type": "mj-text", "content": "<p>Offer ends Friday.</p>" } },
+                    { "op": "remove-node", "id": "image-1" }
+                ]
             }
+        }],
+        "$defs": {
+            "insertChild": operation('insert-child', "Insert a new node (with its subtree) into the children of an existing node", {
+                "parentId": nodeId("Id of the node to insert into"),
+                "index": index,
+                "node": { "$ref": "#/$defs/node" }
+            }, ["parentId", "node"]),
+            "moveNode": operation('move-node', "Move an existing node (with its subtree) under another parent or to another position", {
+                "id": nodeId("Id of the node to move"),
+                "parentId": nodeId("Id of the new parent (may be the current one)"),
+                "index": { ...index, "description": "Position among the new parent's children once the node is taken out (default: after the last child)" }
+            }, ["id", "parentId"]),
+            "setAttribute": operation('set-attribute', "Set, change or (with null) remove one attribute of a node", {
+                "id": nodeId("Id of the node"),
+                "attribute": { "type": "string", "enum": [...attributeNames].sort(), "description": "Attribute name; it must be one the node's component accepts" },
+                "value": { "type": ["string", "null"], "description": "New value, in the attribute's format; null removes the attribute" }
+            }, ["id", "attribute", "value"]),
+            "removeNode": operation('remove-node', "Remove a node and its subtree", {
+                "id": nodeId("Id of the node to remove")
+            }, ["id"]),
+            "jsonPatch": {
+                "type": "object",
+                "description": "RFC 6902 JSON Patch operation on the tree",
+                "required": ["op", "path"],
+                "properties": {
+                    "op": { "enum": ["add", "remove", "replace", "move", "copy", "test"] },
+                    "path": { "type": "string", "description": "JSON Pointer to the target location: a node (/children/N/...), one of its attributes (/attributes/<name>), its content or its id" },
+                    "from": { "type": "string", "description": "JSON Pointer to the source location (move, copy), in the same form as path" },
+                    "value": { "description": "Value to add, replace or test" }
+                },
+                "additionalProperties": false,
+                "allOf": [
+                    { "if": { "properties": { "op": { "enum": ["add", "replace", "test"] } }, "required": ["op"] }, "then": { "required": ["value"] } },
+                    { "if": { "properties": { "op": { "enum": ["move", "copy"] } }, "required": ["op"] }, "then": { "required": ["from"] } }
+                ]
+            },
+            "node": node
         }
+    };
+}
 
-        // Add children validation if hierarchy rules exist
-        if (hierarchyRules[componentName]) {
-            componentSchema.then.properties.children = {
-                "type": "array",
-                "description": `Allowed children: ${hierarchyRules[componentName].join(', ')}`,
-                "items": {
-                    "properties": {
-                        "type": {
-                            "enum": hierarchyRules[componentName]
-                        }
-                    }
-                }
-            };
+/**
+ * Convert a component name to a TypeScript identifier (mj-social-element -> MjSocialElement).
+ * The root is MjmlRoot so its node type does not clash with the MjmlNode union.
+ */
+function toTypeName(componentName) {
+    if (componentName === 'mjml') {
+        return 'MjmlRoot';
+    }
+    return componentName
+        .split('-')
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+}
+
+/**
+ * Convert an MJML type definition to a TypeScript type, mirroring the
+ * constraints of mjmlTypeToJsonSchema
+ */
+function mjmlTypeToTypeScript(mjmlType, attrDef) {
+    if (mjmlType === 'integer') {
+        return '`${bigint}`';
+    }
+
+    if (attrDef.enum) {
+        return attrDef.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+
+    // Units: template literal types for the values generatePattern() accepts
+    const unitType = parseUnitType(mjmlType);
+    if (unitType) {
+        const { units, unitless, auto, min, max } = unitType;
+        const members = [];
+        if (units.length > 0) {
+            members.push(`Unit<${units.map(u => JSON.stringify(u)).join(' | ')}>`);
+        }
+        members.push(unitless ? '`${number}`' : '"0"');
+        if (auto) {
+            members.push('"auto"');
         }
+        const value = members.join(' | ');
+        if (max === 1) {
+            return value;
+        }
+        if (min <= 1 && max === 4) {
+            return `BoxValue<${value}>`;
+        }
+        const counts = Array.from({ length: max - Math.max(min, 1) + 1 }, (_, index) => Math.max(min, 1) + index);
+        return counts.map(count => `\`${Array(count).fill(`\${${value}}`).join(' ')}\``).join(' | ');
+    }
 
-        schema.allOf.push(componentSchema);
+    return 'string';
+}
+
+/**
+ * Format an attribute description and default as a JSDoc comment
+ */
+function generateDocComment(attrDef, indent) {
+    const lines = [];
+    if (attrDef.description) {
+        lines.push(attrDef.description);
     }
+    if (attrDef.default !== undefined) {
+        lines.push(`@default ${JSON.stringify(attrDef.default)}`);
+    }
+    if (lines.length === 0) {
+        return '';
+    }
+    const body = lines.map(line => `${indent} * ${line.replace(/\*\//g, '*\\/')}`).join('\n');
+    return `${indent}/**\n${body}\n${indent} */\n`;
+}
 
-    return schema;
+/**
+ * Generate TypeScript type definitions: per-component attribute interfaces,
+ * per-component node interfaces with typed children, and a discriminated
+ * union of all nodes keyed by `type`
+ */
+function generateTypeDefinitions(specs, { naming = 'kebab', title = 'MJML Components', versions = null, templating = null } = {}) {
+    const componentTypes = Object.keys(specs);
+    const key = attrName => {
+        const name = convertAttributeName(attrName, naming);
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+    };
+
+    const lines = [
+        `// ${title}: auto-generated by extract_specs.js from the official MJML packages. Do not edit.`,
+        ...(versions ? [`// Source packages: ${Object.entries(versions).map(([name, version]) => `${name}@${version}`).join(', ')}`] : []),
+        '',
+        '/** Number followed by one of the allowed units, e.g. "10px" (the schema also rejects negative numbers outside letter-spacing) */',
+        'export type Unit<U extends string> = `${number}${U}`;',
+        '',
+        '/** One to four space-separated values, e.g. "10px 0" */',
+        'export type BoxValue<V extends string> =',
+        '    | V',
+        '    | `${V} ${V}`',
+        '    | `${V} ${V} ${V}`',
+        '    | `${V} ${V} ${V} ${V}`;',
+        ''
+    ];
+
+    if (templating === 'liquid') {
+        lines.push(
+            '/** Any value containing a Liquid output or tag, e.g. "{{ width }}px" */',
+            'export type LiquidValue = `${string}{{${string}}}${string}` | `${string}{%${string}%}${string}`;',
+            ''
+        );
+    }
+    const templated = type => (templating === 'liquid' ? `${type} | LiquidValue` : type);
+
+    for (const [componentName, spec] of Object.entries(specs)) {
+        const typeName = toTypeName(componentName);
+        const attributes = getComponentAttributes(spec, specs);
+        const requiredAttributes = spec.requiredAttributes || [];
+
+        lines.push(`/** Attributes of ${componentName} */`);
+        lines.push(`export interface ${typeName}Attributes {`);
+        for (const [attrName, attrDef] of Object.entries(attributes)) {
+            const mjmlType = spec.allowedAttributes ? spec.allowedAttributes[attrName] : undefined;
+            const optional = requiredAttributes.includes(attrName) ? '' : '?';
+            lines.push(`${generateDocComment(attrDef, '    ')}    ${key(attrName)}${optional}: ${templated(mjmlTypeToTypeScript(mjmlType, attrDef))};`);
+        }
+        lines.push('}');
+        lines.push('');
+
+        const children = (spec.allowedChildren || []).filter(child => componentTypes.includes(child));
+        const childrenType = children.length > 0
+            ? `Array<${children.map(child => `${toTypeName(child)}Node`).join(' | ')}>`
+            : '[]';
+
+        if (spec.description) {
+            lines.push(`/** ${spec.description.replace(/\*\//g, '*\\/')} */`);
+        }
+        lines.push(`export interface ${typeName}Node {`);
+        lines.push('    id: string;');
+        lines.push(`    type: ${JSON.stringify(componentName)};`);
+        lines.push(`    attributes${requiredAttributes.length > 0 ? '' : '?'}: ${typeName}Attributes;`);
+        lines.push('    content?: string;');
+        lines.push(`    children?: ${childrenType};`);
+        lines.push('}');
+        lines.push('');
+    }
+
+    lines.push('/** Any component node, discriminated by `type` */');
+    lines.push('export type MjmlNode =');
+    lines.push(...componentTypes.map((componentName, index) =>
+        `    | ${toTypeName(componentName)}Node${index === componentTypes.length - 1 ? ';' : ''}`));
+    lines.push('');
+    lines.push('/** Component type names */');
+    lines.push("export type MjmlComponentType = MjmlNode['type'];");
+    lines.push('');
+    lines.push('/** Attribute interface for each component type */');
+    lines.push('export interface MjmlAttributesMap {');
+    lines.push(...componentTypes.map(componentName =>
+        `    ${JSON.stringify(componentName)}: ${toTypeName(componentName)}Attributes;`));
+    lines.push('}');
+    lines.push('');
+
+    return lines.join('\n');
 }
 
 /**
- * Main execution
+ * Keep only the requested components (include list) and drop excluded ones
  */
-async function main() {
-    console.log('MJML Component Specification Extractor');
-    console.log('======================================\n');
+function filterSpecs(specs, { include = null, exclude = [] } = {}) {
+    for (const componentName of [...(include || []), ...exclude]) {
+        if (!specs[componentName]) {
+            throw new Error(`Unknown component "${componentName}"`);
+        }
+    }
+
+    const filtered = {};
+    for (const [componentName, spec] of Object.entries(specs)) {
+        if (include && !include.includes(componentName)) {
+            continue;
+        }
+        if (exclude.includes(componentName)) {
+            continue;
+        }
+        filtered[componentName] = spec;
+    }
+    return filtered;
+}
+
+/**
+ * Extract specifications and write the raw specs and schema files.
+ *
+ * Options:
+ * - outDir: output directory (default: this package's directory)
+ * - profile: 'full', 'ai', 'strict', 'ai-edit' or 'all' schemas to write (default: 'all')
+ * - naming: 'kebab' or 'camel' for both schemas (default: kebab for full, camel for AI)
+ * - include / exclude: component names to keep / drop
+ * - templating: 'liquid' to accept template expressions in attribute values of the full and AI schemas
+ * - config: extractor config from loadConfig() (plugins.js): in-house components, hierarchy and profile rules
+ */
+async function runExtraction({ outDir = __dirname, profile = 'all', naming = null, include = null, exclude = [], templating = null, config = null } = {}) {
+    if (!['full', 'ai', 'strict', 'ai-edit', 'all'].includes(profile)) {
+        throw new Error(`Unknown profile "${profile}" (expected one of: full, ai, strict, ai-edit, all)`);
+    }
+    if (naming && !NAMING_MODES.includes(naming)) {
+        throw new Error(`Unknown naming mode "${naming}" (expected one of: ${NAMING_MODES.join(', ')})`);
+    }
+    if (templating && !TEMPLATE_EXPRESSIONS[templating]) {
+        throw new Error(`Unknown templating mode "${templating}" (expected one of: ${Object.keys(TEMPLATE_EXPRESSIONS).join(', ')})`);
+    }
 
     // Extract component specifications
-    const specs = await extractComponentSpecs();
+    const specs = filterSpecs(await extractComponentSpecs({ config }), { include, exclude });
+    const rulesFor = profileName => resolveProfileRules(profileName, config);
 
     console.log(`\nExtracted specifications for ${Object.keys(specs).length} components\n`);
 
-    // Generate full JSON Schema
-    const schema = generateJsonSchema(specs);
+    // Merge human-written descriptions from the MJML docs
+    console.log('Merging descriptions from mjml_specs.html...');
+    const docs = parseComponentDocs(path.join(__dirname, 'mjml_specs.html'));
+    const docsReport = mergeComponentDocs(specs, docs);
+    for (const [componentName, { docsOnly, packageOnly }] of Object.entries(docsReport)) {
+        if (docsOnly.length > 0) {
+            console.log(`  ⚠️  ${componentName}: documented but not in package: ${docsOnly.join(', ')}`);
+        }
+        if (packageOnly.length > 0) {
+            console.log(`  ⚠️  ${componentName}: in package but not documented: ${packageOnly.join(', ')}`);
+        }
+    }
+    console.log('');
+
+    const versions = collectPackageVersions(specs);
+    console.log(`Source packages: mjml@${versions.mjml}, mjml-validator@${versions['mjml-validator']}\n`);
 
-    // Generate AI-optimized JSON Schema
-    console.log('Generating AI-optimized schema...');
-    const aiSchema = generateAISchema(specs);
-    console.log(`✓ AI schema includes ${aiSchema.properties.type.enum.length} components (excluded complex ones)\n`);
+    fs.mkdirSync(outDir, { recursive: true });
 
     // Write intermediate specs file
-    const specsOutputPath = path.join(__dirname, 'mjml-specs-raw.json');
+    const specsOutputPath = path.join(outDir, 'mjml-specs-raw.json');
     fs.writeFileSync(specsOutputPath, JSON.stringify(specs, null, 2));
     console.log(`✓ Raw specifications written to: ${specsOutputPath}`);
 
     // Write full JSON Schema file
-    const schemaOutputPath = path.join(__dirname, 'mjml-components-schema.json');
-    fs.writeFileSync(schemaOutputPath, JSON.stringify(schema, null, 2));
-    console.log(`✓ Full JSON Schema written to: ${schemaOutputPath}`);
+    if (profile === 'full' || profile === 'all') {
+        const schema = generateJsonSchema(specs, { naming: naming || 'kebab', versions, templating, rules: rulesFor('full') });
+        const schemaOutputPath = path.join(outDir, 'mjml-components-schema.json');
+        fs.writeFileSync(schemaOutputPath, JSON.stringify(schema, null, 2));
+        console.log(`✓ Full JSON Schema written to: ${schemaOutputPath}`);
+
+        const typesOutputPath = path.join(outDir, 'mjml-components.d.ts');
+        fs.writeFileSync(typesOutputPath, generateTypeDefinitions(filterProfileSpecs(specs, rulesFor('full')), { naming: naming || 'kebab', versions, templating }));
+        console.log(`✓ TypeScript definitions written to: ${typesOutputPath}`);
+    }
 
     // Write AI JSON Schema file
-    const aiSchemaOutputPath = path.join(__dirname, 'mjml-components-schema-ai.json');
-    fs.writeFileSync(aiSchemaOutputPath, JSON.stringify(aiSchema, null, 2));
-    console.log(`✓ AI JSON Schema written to: ${aiSchemaOutputPath}`);
+    if (profile === 'ai' || profile === 'all') {
+        const aiSchema = generateAISchema(specs, { naming: naming || 'camel', versions, templating, rules: rulesFor('ai') });
+        const aiSchemaOutputPath = path.join(outDir, 'mjml-components-schema-ai.json');
+        fs.writeFileSync(aiSchemaOutputPath, JSON.stringify(aiSchema, null, 2));
+        console.log(`✓ AI JSON Schema written to: ${aiSchemaOutputPath} (${aiSchema.properties.type.enum.length} components)`);
+
+        const aiTypesOutputPath = path.join(outDir, 'mjml-components-ai.d.ts');
+        fs.writeFileSync(aiTypesOutputPath, generateTypeDefinitions(filterAISpecs(specs, rulesFor('ai')), {
+            naming: naming || 'camel',
+            title: 'MJML Components (AI-Optimized)',
+            versions,
+            templating
+        }));
+        console.log(`✓ AI TypeScript definitions written to: ${aiTypesOutputPath}`);
+    }
+
+    // Write strict structured-output schema file
+    if (profile === 'strict' || profile === 'all') {
+        const strictSchema = generateStrictSchema(specs, { naming: naming || 'camel', rules: rulesFor('strict') });
+        const violations = checkStrictSchema(strictSchema);
+        if (violations.length > 0) {
+            throw new Error(`Strict schema violates strict-mode restrictions:\n${violations.map(v => `  ${v.path}: ${v.message}`).join('\n')}`);
+        }
+        const strictSchemaOutputPath = path.join(outDir, 'mjml-components-schema-ai-strict.json');
+        fs.writeFileSync(strictSchemaOutputPath, JSON.stringify(strictSchema, null, 2));
+        console.log(`✓ Strict structured-output schema written to: ${strictSchemaOutputPath}`);
+    }
+
+    // Write AI edit-operations schema file
+    if (profile === 'ai-edit' || profile === 'all') {
+        const editSchema = generateAIEditSchema(specs, { naming: naming || 'camel', versions, templating, rules: rulesFor('ai') });
+        const editSchemaOutputPath = path.join(outDir, 'mjml-components-schema-ai-edit.json');
+        fs.writeFileSync(editSchemaOutputPath, JSON.stringify(editSchema, null, 2));
+        console.log(`✓ AI edit-operations schema written to: ${editSchemaOutputPath}`);
+    }
 
     console.log('\n✅ Extraction complete!');
 }
 
-// Run the script
-main().catch(error => {
-    console.error('❌ Error:', error);
-    process.exit(1);
-});
+/**
+ * Main execution
+ */
+async function main() {
+    console.log('MJML Component Specification Extractor');
+    console.log('======================================\n');
+
+    // Optional --naming=camel|kebab overrides the default naming of both schemas
+    const namingArg = process.argv.find(arg => arg.startsWith('--naming='));
+    const naming = namingArg ? namingArg.slice('--naming='.length) : null;
+
+    // Optional --templating=liquid accepts template expressions in any attribute
+    const templatingArg = process.argv.find(arg => arg.startsWith('--templating='));
+    const templating = templatingArg ? templatingArg.slice('--templating='.length) : null;
 
+    // Optional --config=<file>; mjml-schema.config.js/.mjs/.json is picked up from the working directory otherwise
+    const configArg = process.argv.find(arg => arg.startsWith('--config='));
+    const config = await loadConfig(configArg ? configArg.slice('--config='.length) : null);
+    if (config) {
+        console.log(`Using config ${config.file}\n`);
+    }
+
+    await runExtraction({ naming, templating, config });
+}
+
+export {
+    extractComponentSpecs,
+    parseComponentDocs,
+    mergeComponentDocs,
+    filterSpecs,
+    collectPackageVersions,
+    mjmlTypeToJsonSchema,
+    generateJsonSchema,
+    generateAISchema,
+    filterAISpecs,
+    filterProfileSpecs,
+    generateStrictSchema,
+    generateAIEditSchema,
+    generateTypeDefinitions,
+    runExtraction
+};
+
+// Run the script when executed directly (not when imported)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    main().catch(error => {
+        console.error('❌ Error:', error);
+        process.exit(1);
+    });
+}
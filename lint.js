@@ -0,0 +1,434 @@
+/**
+ * Semantic Lint Engine
+ *
+ * Checks a component tree for problems JSON Schema cannot express:
+ * accessibility (image alt text, text contrast), broken links, missing
+ * head metadata and duplicate node ids. Rules are plain objects, so
+ * callers can add their own or change the severity of built-in ones.
+ * Attribute metadata (types, defaults) comes from mjml-specs-raw.json.
+ */
+
+import fs from 'fs';
+import { convertTree, convertAttributeName } from './naming.js';
+import { resolveAttributes } from './resolve_attributes.js';
+import { clientSupportRule } from './compatibility.js';
+
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+const SPECS_FILE = new URL('./mjml-specs-raw.json', import.meta.url);
+
+let bundledSpecs = null;
+
+/**
+ * Load (once) the bundled raw specs
+ */
+function loadSpecs() {
+    if (!bundledSpecs) {
+        bundledSpecs = JSON.parse(fs.readFileSync(SPECS_FILE, 'utf8'));
+    }
+    return bundledSpecs;
+}
+
+// Basic CSS color keywords; other names are not checked
+const NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+    blue: [0, 0, 255], yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128],
+    gray: [128, 128, 128], grey: [128, 128, 128], silver: [192, 192, 192], maroon: [128, 0, 0],
+    olive: [128, 128, 0], lime: [0, 255, 0], aqua: [0, 255, 255], teal: [0, 128, 128],
+    navy: [0, 0, 128], fuchsia: [255, 0, 255]
+};
+
+/**
+ * Parse a CSS color into [r, g, b, a], or null when it cannot be evaluated
+ */
+function parseColor(value) {
+    const color = String(value || '').trim().toLowerCase();
+
+    if (color === 'transparent') {
+        return [0, 0, 0, 0];
+    }
+    if (NAMED_COLORS[color]) {
+        return [...NAMED_COLORS[color], 1];
+    }
+
+    const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+    if (hex) {
+        const digits = hex[1].length <= 4 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g);
+        const [r, g, b, a = 'ff'] = digits;
+        return [parseInt(r, 16), parseInt(g, 16), parseInt(b, 16), parseInt(a, 16) / 255];
+    }
+
+    const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+)(%?))?\s*\)$/);
+    if (rgb) {
+        const alpha = rgb[4] === undefined ? 1 : Number(rgb[4]) / (rgb[5] ? 100 : 1);
+        return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), alpha];
+    }
+
+    const hsl = color.match(/^hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%(?:[\s,/]+([\d.]+)(%?))?\s*\)$/);
+    if (hsl) {
+        const h = Number(hsl[1]) % 360;
+        const s = Number(hsl[2]) / 100;
+        const l = Number(hsl[3]) / 100;
+        const k = n => (n + h / 30) % 12;
+        const f = n => l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+        const alpha = hsl[4] === undefined ? 1 : Number(hsl[4]) / (hsl[5] ? 100 : 1);
+        return [f(0) * 255, f(8) * 255, f(4) * 255, alpha];
+    }
+
+    return null;
+}
+
+/**
+ * Composite a (possibly translucent) color over an opaque one
+ */
+function blend([r, g, b, a], [br, bg, bb]) {
+    return [r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a), 1];
+}
+
+/**
+ * WCAG 2 contrast ratio of two opaque colors
+ */
+function contrastRatio(first, second) {
+    const luminance = color => {
+        const [r, g, b] = color.slice(0, 3).map(channel => {
+            const c = channel / 255;
+            return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    };
+    const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Hex notation of an opaque color
+ */
+function toHex(color) {
+    return `#${color.slice(0, 3).map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * The closest color to foreground (mixed toward black or white) that
+ * reaches the minimum contrast on background, or null if none does
+ */
+function suggestColor(foreground, background, minimum) {
+    for (const target of [[0, 0, 0, 1], [255, 255, 255, 1]]) {
+        for (let step = 1; step <= 20; step++) {
+            const candidate = blend([...target.slice(0, 3), step / 20], foreground);
+            if (contrastRatio(candidate, background) >= minimum) {
+                return toHex(candidate);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether resolved attributes make text "large" in WCAG terms
+ * (at least 24px, or 18.66px bold)
+ */
+function isLargeText(attributes) {
+    const size = parseFloat(attributes['font-size']);
+    const weight = String(attributes['font-weight'] || '');
+    const bold = weight === 'bold' || weight === 'bolder' || Number(weight) >= 700;
+    return size >= 24 || (bold && size >= 18.66);
+}
+
+/**
+ * Whether a component's spec declares an attribute with the given type
+ */
+function hasAttribute(spec, name, type = null) {
+    const allowed = (spec && spec.allowedAttributes) || {};
+    return name in allowed && (type === null || allowed[name] === type);
+}
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+// Background layers of a node, outermost first
+const BACKGROUND_LAYERS = ['container-background-color', 'background-color', 'inner-background-color'];
+
+/**
+ * Image-like components (with src and alt) must have alt text, unless a
+ * text label (content) names them; linked images need a non-empty alt
+ */
+const imageAlt = {
+    name: 'image-alt',
+    severity: 'warning',
+    description: 'Images need alt text; linked images need a non-empty one',
+    check({ nodes, specs, report }) {
+        for (const entry of nodes) {
+            const { node } = entry;
+            const spec = specs[node.type];
+            if (!hasAttribute(spec, 'src') || !hasAttribute(spec, 'alt') || !isBlank(node.content)) {
+                continue;
+            }
+            const attributes = node.attributes || {};
+            if (attributes.alt === undefined) {
+                report(entry, {
+                    attribute: 'alt',
+                    message: `${node.type} has no alt text; screen readers and clients that block images show nothing`,
+                    fix: 'Set alt to a short description of the image, or to "" if it is decorative'
+                });
+            } else if (isBlank(attributes.alt) && !isBlank(attributes.href)) {
+                report(entry, {
+                    attribute: 'alt',
+                    message: `${node.type} links to ${attributes.href} but its alt text is empty, so the link has no name`,
+                    fix: 'Set alt to describe where the link goes'
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Buttons and navbar links must link somewhere
+ */
+const buttonHref = {
+    name: 'button-href',
+    severity: 'error',
+    description: 'Buttons and navbar links need a real href',
+    check({ nodes, report }) {
+        for (const entry of nodes) {
+            const { node } = entry;
+            if (node.type !== 'mj-button' && node.type !== 'mj-navbar-link') {
+                continue;
+            }
+            const href = (node.attributes || {}).href;
+            if (isBlank(href) || String(href).trim() === '#') {
+                report(entry, {
+                    attribute: 'href',
+                    message: `${node.type} ${isBlank(href) ? 'has no href' : 'links to "#"'}; it renders as a link that goes nowhere`,
+                    fix: 'Set href to the target URL'
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Text colors must contrast with the background they end up on, taking
+ * defaults, mj-attributes, mj-class and the backgrounds of every ancestor
+ * into account (WCAG AA: 4.5:1, 3:1 for large text)
+ */
+const colorContrast = {
+    name: 'color-contrast',
+    severity: 'warning',
+    description: 'Text color must contrast with its background (WCAG AA)',
+    check({ nodes, specs, resolved, report }) {
+        for (const entry of nodes) {
+            const { node, path, ancestors } = entry;
+            const spec = specs[node.type];
+            if (!spec || !spec.endingTag || !hasAttribute(spec, 'color', 'color') || isBlank(node.content)) {
+                continue;
+            }
+            const own = resolved.get(path);
+            const foreground = own && parseColor(own.attributes.color);
+            if (!foreground) {
+                continue;
+            }
+
+            // Stack the backgrounds from mj-body down to the node over a white page
+            let background = [255, 255, 255, 1];
+            let unknown = false;
+            for (const layer of [...ancestors, entry]) {
+                const layerSpec = specs[layer.node.type];
+                const attributes = (resolved.get(layer.path) || {}).attributes || {};
+                if (hasAttribute(layerSpec, 'background-url') && !isBlank(attributes['background-url'])) {
+                    unknown = true;
+                    break;
+                }
+                for (const name of BACKGROUND_LAYERS) {
+                    // The background-color of a component with an icon only colors the icon
+                    if (layer === entry && name === 'background-color' && hasAttribute(layerSpec, 'src')) {
+                        continue;
+                    }
+                    if (!hasAttribute(layerSpec, name, 'color') || isBlank(attributes[name])) {
+                        continue;
+                    }
+                    const color = parseColor(attributes[name]);
+                    if (!color) {
+                        unknown = true;
+                        break;
+                    }
+                    background = blend(color, background);
+                }
+                if (unknown) {
+                    break;
+                }
+            }
+            if (unknown) {
+                continue;
+            }
+
+            const text = blend(foreground, background);
+            const minimum = isLargeText(own.attributes) ? 3 : 4.5;
+            const ratio = contrastRatio(text, background);
+            if (ratio < minimum) {
+                const suggestion = suggestColor(text, background, minimum);
+                report(entry, {
+                    attribute: 'color',
+                    message: `${node.type} text ${own.attributes.color} on ${toHex(background)} has a contrast ratio of ${ratio.toFixed(2)}:1 (minimum ${minimum}:1)`,
+                    fix: suggestion
+                        ? `Set color to ${suggestion} or use a ${contrastRatio(text, [255, 255, 255]) > contrastRatio(text, [0, 0, 0]) ? 'lighter' : 'darker'} background`
+                        : 'Use a different background color'
+                });
+            }
+        }
+    }
+};
+
+/**
+ * Build a rule that requires a head element with content
+ */
+function headElementRule(name, type, purpose) {
+    return {
+        name,
+        severity: 'warning',
+        description: `The document needs an ${type} in mj-head`,
+        check({ tree, report }) {
+            if (!tree || tree.type !== 'mjml') {
+                return;
+            }
+            const children = Array.isArray(tree.children) ? tree.children : [];
+            const headIndex = children.findIndex(child => child && child.type === 'mj-head');
+            const head = headIndex === -1 ? null : children[headIndex];
+            const element = head && (Array.isArray(head.children) ? head.children : []).find(child => child && child.type === type);
+            if (element && !isBlank(element.content)) {
+                return;
+            }
+            const entry = head ? { node: head, path: `/children/${headIndex}` } : { node: tree, path: '' };
+            report(entry, {
+                attribute: null,
+                message: element ? `${type} is empty; ${purpose}` : `No ${type}; ${purpose}`,
+                fix: `Add { "type": "${type}", "content": "…" } to ${head ? 'mj-head' : 'a new mj-head'}`
+            });
+        }
+    };
+}
+
+/**
+ * Node ids must be unique, since issues and edits address nodes by id
+ */
+const duplicateId = {
+    name: 'duplicate-id',
+    severity: 'error',
+    description: 'Node ids must be unique',
+    check({ tree, report }) {
+        const firstPaths = new Map();
+        for (const entry of collectNodes(tree, { definitions: true })) {
+            const { id } = entry.node;
+            if (typeof id !== 'string') {
+                continue;
+            }
+            if (!firstPaths.has(id)) {
+                firstPaths.set(id, entry.path);
+                continue;
+            }
+            report(entry, {
+                attribute: null,
+                message: `id "${id}" is already used by the node at ${firstPaths.get(id) || '/'}`,
+                fix: `Rename this node's id, e.g. to "${id}-${entry.path.split('/').pop() || 'copy'}"`
+            });
+        }
+    }
+};
+
+export const BUILTIN_RULES = [
+    imageAlt,
+    buttonHref,
+    colorContrast,
+    headElementRule('head-title', 'mj-title', 'clients and the browser view show no document title'),
+    headElementRule('head-preview', 'mj-preview', 'inboxes show the first text of the body as the preview'),
+    duplicateId,
+    clientSupportRule()
+];
+
+/**
+ * List the nodes of a tree with their JSON Pointer path and ancestors
+ * (outermost first). The attribute definitions inside mj-attributes are
+ * not rendered and only listed with definitions: true.
+ */
+function collectNodes(tree, { definitions = false } = {}) {
+    const nodes = [];
+    const visit = (node, path, ancestors) => {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        const entry = { node, path, ancestors };
+        nodes.push(entry);
+        if (node.type === 'mj-attributes' && !definitions) {
+            return;
+        }
+        if (Array.isArray(node.children)) {
+            node.children.forEach((child, index) => visit(child, `${path}/children/${index}`, [...ancestors, entry]));
+        }
+    };
+    visit(tree, '', []);
+    return nodes;
+}
+
+/**
+ * Lint a component tree.
+ *
+ * Options:
+ * - rules: rules to run (default: BUILTIN_RULES); add custom ones with [...BUILTIN_RULES, myRule]
+ * - severities: severity per rule name ('error', 'warning', 'info' or 'off' to disable)
+ * - naming: attribute key naming of the tree, 'kebab' or 'camel' (default: 'kebab')
+ * - specs: raw specs to read attribute metadata from (default: the bundled mjml-specs-raw.json)
+ * - settings: shared rule settings, e.g. { clients: ['outlook', 'gmail'] } for client-support
+ *
+ * A rule is { name, severity, description, check(context) }. check receives
+ * { tree, nodes, specs, resolved, settings, report } where tree is the kebab-case
+ * tree, nodes lists { node, path, ancestors } for every node (except the
+ * definitions inside mj-attributes), resolved
+ * maps body node paths to their effective attributes (see
+ * resolve_attributes.js) and report(entry, { attribute, message, fix })
+ * records a finding on a node.
+ *
+ * Returns { issues, errors, warnings } where each issue is
+ * { path, nodeId, type, attribute, rule, severity, message, fix }.
+ */
+export function lint(tree, { rules = BUILTIN_RULES, severities = {}, naming = 'kebab', specs = null, settings = {} } = {}) {
+    for (const [name, severity] of Object.entries(severities)) {
+        if (severity !== 'off' && !SEVERITIES.includes(severity)) {
+            throw new Error(`Unknown severity "${severity}" for rule ${name} (expected one of: ${SEVERITIES.join(', ')}, off)`);
+        }
+    }
+
+    const kebabTree = naming === 'kebab' ? tree : convertTree(tree, 'kebab');
+    const ruleSpecs = specs || loadSpecs();
+    const context = {
+        tree: kebabTree,
+        nodes: collectNodes(kebabTree),
+        specs: ruleSpecs,
+        resolved: resolveAttributes(kebabTree, { specs: ruleSpecs }),
+        settings
+    };
+
+    const issues = [];
+    for (const rule of rules) {
+        const severity = severities[rule.name] || rule.severity;
+        if (severity === 'off') {
+            continue;
+        }
+        const report = ({ node, path }, { attribute = null, message, fix = null }) => {
+            issues.push({
+                path,
+                nodeId: typeof node.id === 'string' ? node.id : null,
+                type: typeof node.type === 'string' ? node.type : null,
+                attribute: attribute && convertAttributeName(attribute, naming),
+                rule: rule.name,
+                severity,
+                message,
+                fix
+            });
+        };
+        rule.check({ ...context, report });
+    }
+
+    return {
+        issues,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+}
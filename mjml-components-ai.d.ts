@@ -0,0 +1,1917 @@
+// MJML Components (AI-Optimized): auto-generated by extract_specs.js from the official MJML packages. Do not edit.
+// Source packages: mjml@4.16.1, mjml-accordion@4.16.1, mjml-body@4.16.1, mjml-button@4.16.1, mjml-carousel@4.16.1, mjml-column@4.16.1, mjml-core@4.16.1, mjml-divider@4.16.1, mjml-group@4.16.1, mjml-head@4.16.1, mjml-head-attributes@4.16.1, mjml-head-breakpoint@4.16.1, mjml-head-font@4.16.1, mjml-head-html-attributes@4.16.1, mjml-head-preview@4.16.1, mjml-head-style@4.16.1, mjml-head-title@4.16.1, mjml-hero@4.16.1, mjml-image@4.16.1, mjml-navbar@4.16.1, mjml-parser-xml@4.16.1, mjml-raw@4.16.1, mjml-section@4.16.1, mjml-social@4.16.1, mjml-spacer@4.16.1, mjml-table@4.16.1, mjml-text@4.16.1, mjml-validator@4.16.1, mjml-wrapper@4.16.1
+
+/** Number followed by one of the allowed units, e.g. "10px" (the schema also rejects negative numbers outside letter-spacing) */
+export type Unit<U extends string> = `${number}${U}`;
+
+/** One to four space-separated values, e.g. "10px 0" */
+export type BoxValue<V extends string> =
+    | V
+    | `${V} ${V}`
+    | `${V} ${V} ${V}`
+    | `${V} ${V} ${V} ${V}`;
+
+/** Attributes of mjml */
+export interface MjmlRootAttributes {
+    /**
+     * If set to "desktop", switch force desktop version for older (self-hosted) version of Outlook.com that doesn't support media queries (cf. this issue).
+     */
+    owa?: string;
+    /**
+     * Used as <html lang=""> attribute.
+     * @default "und"
+     */
+    lang?: string;
+    /**
+     * Used as <html dir=""> attribute.
+     * @default "auto"
+     */
+    dir?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** A MJML document starts with a <mjml> tag, it can contain only mj-head and mj-body tags. Both have the same purpose of head and body in a HTML document. */
+export interface MjmlRootNode {
+    id: string;
+    type: "mjml";
+    attributes?: MjmlRootAttributes;
+    content?: string;
+    children?: Array<MjBodyNode | MjHeadNode | MjRawNode>;
+}
+
+/** Attributes of mj-body */
+export interface MjBodyAttributes {
+    /**
+     * Email's width. Units: px.
+     * @default "600px"
+     */
+    width?: Unit<"px"> | "0";
+    /**
+     * The general background color.
+     */
+    backgroundColor?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** This is the starting point of your email. To aid accessibility, MJML automatically adds a div tag as the child of the body, with the following ARIA attributes role="article", aria-roledescription="email" and aria-label="EMAIL NAME", where 'EMAIL NAME' is taken from the content of the mj-title tag. The lang and dir attributes are also added here, with values taken from the mjml tag. */
+export interface MjBodyNode {
+    id: string;
+    type: "mj-body";
+    attributes?: MjBodyAttributes;
+    content?: string;
+    children?: Array<MjRawNode | MjSectionNode | MjWrapperNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-button */
+export interface MjButtonAttributes {
+    /**
+     * Horizontal alignment.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Button background-color.
+     * @default "#414141"
+     */
+    backgroundColor?: string;
+    /**
+     * Css border format.
+     */
+    borderBottom?: string;
+    /**
+     * Css border format.
+     */
+    borderLeft?: string;
+    /**
+     * Border radius.
+     * @default "3px"
+     */
+    borderRadius?: string;
+    /**
+     * Css border format.
+     */
+    borderRight?: string;
+    /**
+     * Css border format.
+     */
+    borderTop?: string;
+    /**
+     * Text color.
+     * @default "#ffffff"
+     */
+    color?: string;
+    /**
+     * Button container background color.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * Font name.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    fontFamily?: string;
+    /**
+     * Text size. Units: px.
+     * @default "13px"
+     */
+    fontSize?: Unit<"px"> | "0";
+    /**
+     * Normal/italic/oblique.
+     */
+    fontStyle?: string;
+    /**
+     * Text thickness.
+     * @default "normal"
+     */
+    fontWeight?: string;
+    /**
+     * Button height. Units: px, %.
+     */
+    height?: Unit<"px" | "%"> | "0";
+    /**
+     * Link to be triggered when the button is clicked.
+     */
+    href?: string;
+    /**
+     * name attribute
+     */
+    name?: string;
+    /**
+     * Tooltip & accessibility.
+     */
+    title?: string;
+    /**
+     * Letter-spacing.
+     */
+    letterSpacing?: Unit<"px" | "em"> | "0";
+    /**
+     * Line-height on link. Units: px, %.
+     * @default "120%"
+     */
+    lineHeight?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Specify the rel attribute for the button link.
+     */
+    rel?: string;
+    /**
+     * Specify the target attribute for the button link.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Underline/overline/none.
+     * @default "none"
+     */
+    textDecoration?: string;
+    /**
+     * Capitalize/uppercase/lowercase.
+     * @default "none"
+     */
+    textTransform?: string;
+    /**
+     * Vertical alignment.
+     * @default "middle"
+     */
+    verticalAlign?: "top" | "bottom" | "middle";
+    /**
+     * Text-align button content.
+     */
+    textAlign?: "left" | "right" | "center";
+    /**
+     * Button width. Units: px, %.
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Displays a customizable button. */
+export interface MjButtonNode {
+    id: string;
+    type: "mj-button";
+    attributes?: MjButtonAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-column */
+export interface MjColumnAttributes {
+    /**
+     * Background color for a column.
+     */
+    backgroundColor?: string;
+    /**
+     * Css border format.
+     */
+    borderBottom?: string;
+    /**
+     * Css border format.
+     */
+    borderLeft?: string;
+    /**
+     * Border radius. Units: px, %.
+     */
+    borderRadius?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Css border format.
+     */
+    borderRight?: string;
+    /**
+     * Css border format.
+     */
+    borderTop?: string;
+    /**
+     * Text/content direction (ltr or rtl).
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Section bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Section left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Section right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Section top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Middle/top/bottom (note: middle works only when adjacent mj-column is also set to middle).
+     * @default "top"
+     */
+    verticalAlign?: "top" | "bottom" | "middle";
+    /**
+     * Column width. Units: px, %.
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Columns enable you to horizontally organize the content within your sections. They must be located under mj-section tags in order to be considered by the engine. To be responsive, columns are expressed in terms of percentage. */
+export interface MjColumnNode {
+    id: string;
+    type: "mj-column";
+    attributes?: MjColumnAttributes;
+    content?: string;
+    children?: Array<MjButtonNode | MjDividerNode | MjImageNode | MjRawNode | MjSocialNode | MjSpacerNode | MjTextNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-divider */
+export interface MjDividerAttributes {
+    /**
+     * Divider color.
+     * @default "#000000"
+     */
+    borderColor?: string;
+    /**
+     * Dashed/dotted/solid.
+     * @default "solid"
+     */
+    borderStyle?: string;
+    /**
+     * Divider's border width. Units: px.
+     * @default "4px"
+     */
+    borderWidth?: Unit<"px"> | "0";
+    /**
+     * Inner element background color.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Divider width. Units: px, %.
+     * @default "100%"
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Left/right/center.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Displays a horizontal divider that can be customized like a HTML border. */
+export interface MjDividerNode {
+    id: string;
+    type: "mj-divider";
+    attributes?: MjDividerAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-group */
+export interface MjGroupAttributes {
+    /**
+     * Background color for a group.
+     */
+    backgroundColor?: string;
+    /**
+     * Set the display order of direct children.
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Middle/top/bottom.
+     */
+    verticalAlign?: "top" | "bottom" | "middle";
+    /**
+     * Group width. Units: px, %.
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** mj-group allows you to prevent columns from stacking on mobile. To do so, wrap the columns inside a mj-group tag, so they'll stay side by side on mobile. */
+export interface MjGroupNode {
+    id: string;
+    type: "mj-group";
+    attributes?: MjGroupAttributes;
+    content?: string;
+    children?: Array<MjColumnNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-image */
+export interface MjImageAttributes {
+    /**
+     * Image description.
+     * @default ""
+     */
+    alt?: string;
+    /**
+     * Link to redirect to on click.
+     */
+    href?: string;
+    /**
+     * Specify the link name attribute.
+     */
+    name?: string;
+    /**
+     * Image source.
+     */
+    src?: string;
+    /**
+     * Enables to set a different image source based on the viewport.
+     */
+    srcset?: string;
+    /**
+     * Set width based on query.
+     */
+    sizes?: string;
+    /**
+     * Tooltip & accessibility.
+     */
+    title?: string;
+    /**
+     * Specify the rel attribute.
+     */
+    rel?: string;
+    /**
+     * Image alignment.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Css border definition.
+     */
+    borderBottom?: string;
+    /**
+     * Css border definition.
+     */
+    borderLeft?: string;
+    /**
+     * Css border definition.
+     */
+    borderRight?: string;
+    /**
+     * Css border definition.
+     */
+    borderTop?: string;
+    /**
+     * Border radius. Units: px, %.
+     */
+    borderRadius?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Inner element background color.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * If "true", will be full width on mobile even if width is set.
+     */
+    fluidOnMobile?: "true" | "false";
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Link target on click.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Image width. Units: px.
+     */
+    width?: Unit<"px"> | "0";
+    /**
+     * Image height. Units: px, auto.
+     * @default "auto"
+     */
+    height?: Unit<"px"> | "0" | "auto";
+    /**
+     * Height value (e.g., "100px", "auto"). Units: px, %.
+     */
+    maxHeight?: Unit<"px" | "%"> | "0";
+    /**
+     * Font size (e.g., "16px", "1.2em"). Units: px.
+     * @default "13px"
+     */
+    fontSize?: Unit<"px"> | "0";
+    /**
+     * Reference to image map, be careful, it isn't supported everywhere.
+     */
+    usemap?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Displays a responsive image in your email. It is similar to the HTML <img /> tag. Note that if no width is provided, the image will use the parent column width. */
+export interface MjImageNode {
+    id: string;
+    type: "mj-image";
+    attributes?: MjImageAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-raw */
+export interface MjRawAttributes {
+    /**
+     * position attribute
+     */
+    position?: "file-start";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Displays raw HTML that is not going to be parsed by the MJML engine. Anything left inside this tag should be raw, responsive HTML. If placed inside <mj-head>, its content will be added at the end of the <head>. */
+export interface MjRawNode {
+    id: string;
+    type: "mj-raw";
+    attributes?: MjRawAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-section */
+export interface MjSectionAttributes {
+    /**
+     * Section color.
+     */
+    backgroundColor?: string;
+    /**
+     * Background url.
+     */
+    backgroundUrl?: string;
+    /**
+     * Css background repeat.
+     * @default "repeat"
+     */
+    backgroundRepeat?: "repeat" | "no-repeat";
+    /**
+     * Css background size.
+     * @default "auto"
+     */
+    backgroundSize?: string;
+    /**
+     * Css background position (see outlook limitations below).
+     * @default "top center"
+     */
+    backgroundPosition?: string;
+    /**
+     * Css background position x.
+     */
+    backgroundPositionX?: string;
+    /**
+     * Css background position y.
+     */
+    backgroundPositionY?: string;
+    /**
+     * Css border format.
+     */
+    borderBottom?: string;
+    /**
+     * Css border format.
+     */
+    borderLeft?: string;
+    /**
+     * Border radius.
+     */
+    borderRadius?: string;
+    /**
+     * Css border format.
+     */
+    borderRight?: string;
+    /**
+     * Css border format.
+     */
+    borderTop?: string;
+    /**
+     * Set the display order of direct children.
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Make the section full-width.
+     */
+    fullWidth?: "full-width" | "false" | "";
+    /**
+     * Section top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Section bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Section left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Section right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Css text-align.
+     * @default "center"
+     */
+    textAlign?: "left" | "center" | "right";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     * @default "4px 4px 4px 0"
+     */
+    textPadding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Sections are intended to be used as rows within your email. They will be used to structure the layout. */
+export interface MjSectionNode {
+    id: string;
+    type: "mj-section";
+    attributes?: MjSectionAttributes;
+    content?: string;
+    children?: Array<MjColumnNode | MjGroupNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-social */
+export interface MjSocialAttributes {
+    /**
+     * Left/right/center.
+     * @default "center"
+     */
+    align?: "left" | "right" | "center";
+    /**
+     * Border radius. Units: px, %.
+     * @default "3px"
+     */
+    borderRadius?: Unit<"px" | "%"> | "0";
+    /**
+     * Inner element background color.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * Text color.
+     * @default "#333333"
+     */
+    color?: string;
+    /**
+     * Font name.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    fontFamily?: string;
+    /**
+     * Font size. Units: px.
+     * @default "13px"
+     */
+    fontSize?: Unit<"px"> | "0";
+    /**
+     * Font style.
+     */
+    fontStyle?: string;
+    /**
+     * Font weight.
+     */
+    fontWeight?: string;
+    /**
+     * Icon size (width and height). Units: px, %.
+     * @default "20px"
+     */
+    iconSize?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon height, overrides icon-size. Units: px, %.
+     */
+    iconHeight?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding around the icons. Units: px, %.
+     */
+    iconPadding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Space between lines. Units: px, %.
+     * @default "22px"
+     */
+    lineHeight?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Vertical/horizontal.
+     * @default "horizontal"
+     */
+    mode?: "horizontal" | "vertical";
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * table-layout attribute
+     */
+    tableLayout?: "auto" | "fixed";
+    /**
+     * Padding around the texts. Units: px, %.
+     */
+    textPadding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Underline/overline/none.
+     * @default "none"
+     */
+    textDecoration?: string;
+    /**
+     * vertical-align attribute
+     */
+    verticalAlign?: "top" | "bottom" | "middle";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Displays calls-to-action for various social networks with their associated logo. You can add social networks with the mj-social-element tag. */
+export interface MjSocialNode {
+    id: string;
+    type: "mj-social";
+    attributes?: MjSocialAttributes;
+    content?: string;
+    children?: Array<MjSocialElementNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-social-element */
+export interface MjSocialElementAttributes {
+    /**
+     * Left/right/center.
+     * @default "left"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Left/right.
+     * @default "left"
+     */
+    iconPosition?: "left" | "right";
+    /**
+     * Icon color.
+     */
+    backgroundColor?: string;
+    /**
+     * Text color.
+     * @default "#000"
+     */
+    color?: string;
+    /**
+     * Border radius. Units: px.
+     * @default "3px"
+     */
+    borderRadius?: Unit<"px"> | "0";
+    /**
+     * Font name.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    fontFamily?: string;
+    /**
+     * Font size. Units: px.
+     * @default "13px"
+     */
+    fontSize?: Unit<"px"> | "0";
+    /**
+     * Font style.
+     */
+    fontStyle?: string;
+    /**
+     * Font weight.
+     */
+    fontWeight?: string;
+    /**
+     * Button redirection url.
+     */
+    href?: string;
+    /**
+     * Icon size (width and height). Units: px, %.
+     */
+    iconSize?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon height, overrides icon-size. Units: px, %.
+     */
+    iconHeight?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding around the icon. Units: px, %.
+     */
+    iconPadding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Space between lines. Units: px, %.
+     * @default "1"
+     */
+    lineHeight?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Social network name, see supported list below.
+     */
+    name?: string;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding around the text. Units: px, %.
+     * @default "4px 4px 4px 0"
+     */
+    textPadding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Specify the rel attribute for the link.
+     */
+    rel?: string;
+    /**
+     * Image source.
+     */
+    src?: string;
+    /**
+     * Set a different image source based on the viewport.
+     */
+    srcset?: string;
+    /**
+     * Set icon width based on query.
+     */
+    sizes?: string;
+    /**
+     * Image alt attribute.
+     * @default ""
+     */
+    alt?: string;
+    /**
+     * Img title attribute.
+     */
+    title?: string;
+    /**
+     * Link target.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Underline/overline/none.
+     * @default "none"
+     */
+    textDecoration?: string;
+    /**
+     * Top/middle/bottom.
+     * @default "middle"
+     */
+    verticalAlign?: "top" | "middle" | "bottom";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** This component enables you to display a given social network inside mj-social. Note that default icons are transparent, which allows background-color to actually be the icon color. */
+export interface MjSocialElementNode {
+    id: string;
+    type: "mj-social-element";
+    attributes?: MjSocialElementAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-spacer */
+export interface MjSpacerAttributes {
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    borderBottom?: string;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    borderLeft?: string;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    borderRight?: string;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    borderTop?: string;
+    /**
+     * Inner element background color.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Spacer height. Units: px, %.
+     * @default "20px"
+     */
+    height?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Displays a blank space. */
+export interface MjSpacerNode {
+    id: string;
+    type: "mj-spacer";
+    attributes?: MjSpacerAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-text */
+export interface MjTextAttributes {
+    /**
+     * Left/right/center/justify.
+     * @default "left"
+     */
+    align?: "left" | "right" | "center" | "justify";
+    /**
+     * Color value (e.g., "#ffffff", "red", "rgb(255,255,255)").
+     */
+    backgroundColor?: string;
+    /**
+     * Text color.
+     * @default "#000000"
+     */
+    color?: string;
+    /**
+     * Inner element background color.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * Font.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    fontFamily?: string;
+    /**
+     * Text size. Units: px.
+     * @default "13px"
+     */
+    fontSize?: Unit<"px"> | "0";
+    /**
+     * Normal/italic/oblique.
+     */
+    fontStyle?: string;
+    /**
+     * Text thickness.
+     */
+    fontWeight?: string;
+    /**
+     * The height of the element. Units: px, %.
+     */
+    height?: Unit<"px" | "%"> | "0";
+    /**
+     * Letter spacing.
+     */
+    letterSpacing?: Unit<"px" | "em"> | "0";
+    /**
+     * Space between the lines. Units: px, %.
+     * @default "1"
+     */
+    lineHeight?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Underline/overline/line-through/none.
+     */
+    textDecoration?: string;
+    /**
+     * Uppercase/lowercase/capitalize.
+     */
+    textTransform?: string;
+    /**
+     * vertical-align attribute
+     */
+    verticalAlign?: "top" | "bottom" | "middle";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** This tag allows you to display text and HTML in your email. */
+export interface MjTextNode {
+    id: string;
+    type: "mj-text";
+    attributes?: MjTextAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-wrapper */
+export interface MjWrapperAttributes {
+    /**
+     * Section color.
+     */
+    backgroundColor?: string;
+    /**
+     * Background url.
+     */
+    backgroundUrl?: string;
+    /**
+     * Css background repeat.
+     * @default "repeat"
+     */
+    backgroundRepeat?: "repeat" | "no-repeat";
+    /**
+     * Css background size.
+     * @default "auto"
+     */
+    backgroundSize?: string;
+    /**
+     * Css background position (see outlook limitations in mj-section doc).
+     * @default "top center"
+     */
+    backgroundPosition?: string;
+    /**
+     * Css background position x.
+     */
+    backgroundPositionX?: string;
+    /**
+     * Css background position y.
+     */
+    backgroundPositionY?: string;
+    /**
+     * Css border format.
+     */
+    borderBottom?: string;
+    /**
+     * Css border format.
+     */
+    borderLeft?: string;
+    /**
+     * Border radius.
+     */
+    borderRadius?: string;
+    /**
+     * Css border format.
+     */
+    borderRight?: string;
+    /**
+     * Css border format.
+     */
+    borderTop?: string;
+    /**
+     * Text/content direction (ltr or rtl).
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Make the wrapper full-width.
+     */
+    fullWidth?: "full-width" | "false" | "";
+    /**
+     * Section top offset. Units: px, %.
+     */
+    paddingTop?: Unit<"px" | "%"> | "0";
+    /**
+     * Section bottom offset. Units: px, %.
+     */
+    paddingBottom?: Unit<"px" | "%"> | "0";
+    /**
+     * Section left offset. Units: px, %.
+     */
+    paddingLeft?: Unit<"px" | "%"> | "0";
+    /**
+     * Section right offset. Units: px, %.
+     */
+    paddingRight?: Unit<"px" | "%"> | "0";
+    /**
+     * Css text-align.
+     * @default "center"
+     */
+    textAlign?: "left" | "center" | "right";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     * @default "4px 4px 4px 0"
+     */
+    textPadding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    mjClass?: string;
+}
+
+/** Wrapper enables to wrap multiple sections together. It's especially useful to achieve nested layouts with shared border or background images across sections. */
+export interface MjWrapperNode {
+    id: string;
+    type: "mj-wrapper";
+    attributes?: MjWrapperAttributes;
+    content?: string;
+    children?: Array<MjRawNode | MjSectionNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-head */
+export interface MjHeadAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** mj-head contains head components, related to the document such as style and meta elements (see head components). */
+export interface MjHeadNode {
+    id: string;
+    type: "mj-head";
+    attributes?: MjHeadAttributes;
+    content?: string;
+    children?: Array<MjAttributesNode | MjBreakpointNode | MjHtmlAttributesNode | MjFontNode | MjPreviewNode | MjStyleNode | MjTitleNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-attributes */
+export interface MjAttributesAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** Inside mj-attributes, a tag citing one MJML component (like mj-text; see example) overrides default settings for listed MJML attributes on the one component. */
+export interface MjAttributesNode {
+    id: string;
+    type: "mj-attributes";
+    attributes?: MjAttributesAttributes;
+    content?: string;
+    children?: Array<MjAllNode | MjClassNode | MjBodyNode | MjButtonNode | MjColumnNode | MjDividerNode | MjGroupNode | MjImageNode | MjRawNode | MjSectionNode | MjSocialNode | MjSocialElementNode | MjSpacerNode | MjTextNode | MjWrapperNode>;
+}
+
+/** Attributes of mj-breakpoint */
+export interface MjBreakpointAttributes {
+    /**
+     * Breakpoint's value. Units: px.
+     */
+    width?: Unit<"px"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** This tag allows you to control on which breakpoint the layout should go desktop/mobile. */
+export interface MjBreakpointNode {
+    id: string;
+    type: "mj-breakpoint";
+    attributes?: MjBreakpointAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-font */
+export interface MjFontAttributes {
+    /**
+     * Name of the font.
+     */
+    name?: string;
+    /**
+     * URL of a hosted CSS file.
+     */
+    href?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** This tag imports fonts. The tag has effect only if the template uses the font, too. The href attribute points to a hosted css file; that file contains a @font-face declaration. Example: https://fonts .googleapis.com/css?family=Raleway */
+export interface MjFontNode {
+    id: string;
+    type: "mj-font";
+    attributes?: MjFontAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-html-attributes */
+export interface MjHtmlAttributesAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** This tag allows you to add custom attributes on any html tag of the generated html, using css selectors. It's not needed for most email creations, but can be useful in some cases, i.e. editable templates. */
+export interface MjHtmlAttributesNode {
+    id: string;
+    type: "mj-html-attributes";
+    attributes?: MjHtmlAttributesAttributes;
+    content?: string;
+    children?: Array<MjIncludeNode>;
+}
+
+/** Attributes of mj-preview */
+export interface MjPreviewAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** This tag allows you to set the preview that will be displayed in the inbox of the recipient. */
+export interface MjPreviewNode {
+    id: string;
+    type: "mj-preview";
+    attributes?: MjPreviewAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-style */
+export interface MjStyleAttributes {
+    /**
+     * Set to "inline" to inline styles.
+     */
+    inline?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** This tag allows you to set CSS styles that will be applied to the HTML in your MJML document as well as the HTML outputted. The CSS styles will be added to the head of the rendered HTML by default, but can also be inlined by using the inline="inline" attribute. */
+export interface MjStyleNode {
+    id: string;
+    type: "mj-style";
+    attributes?: MjStyleAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-title */
+export interface MjTitleAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** Defines the document's title that browsers show in the title bar or a page's tab. */
+export interface MjTitleNode {
+    id: string;
+    type: "mj-title";
+    attributes?: MjTitleAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-all */
+export interface MjAllAttributes {
+    /**
+     * Accepted by: mj-body, mj-button, mj-column, mj-divider, mj-group, mj-image.
+     */
+    width?: string;
+    /**
+     * Accepted by: mj-body, mj-button, mj-column, mj-group, mj-section, mj-social-element, mj-text, mj-wrapper.
+     */
+    backgroundColor?: string;
+    /**
+     * Accepted by: mj-button, mj-divider, mj-image, mj-social, mj-social-element, mj-text.
+     */
+    align?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderBottom?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderLeft?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    borderRadius?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderRight?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderTop?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    color?: string;
+    /**
+     * Accepted by: mj-button, mj-divider, mj-image, mj-social, mj-spacer, mj-text.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    fontFamily?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social, mj-social-element, mj-text.
+     */
+    fontSize?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    fontStyle?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    fontWeight?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-spacer, mj-text.
+     */
+    height?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    href?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    name?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    title?: string;
+    /**
+     * Accepted by: mj-button, mj-text.
+     */
+    letterSpacing?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    lineHeight?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingBottom?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingLeft?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingRight?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingTop?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    rel?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    target?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    textDecoration?: string;
+    /**
+     * Accepted by: mj-button, mj-text.
+     */
+    textTransform?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-group, mj-social, mj-social-element, mj-text.
+     */
+    verticalAlign?: string;
+    /**
+     * Accepted by: mj-button, mj-section, mj-wrapper.
+     */
+    textAlign?: string;
+    /**
+     * Accepted by: mj-column, mj-group, mj-section, mj-wrapper.
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Accepted by: mj-divider.
+     */
+    borderColor?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    borderStyle?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    borderWidth?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    alt?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    src?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    srcset?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    sizes?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    fluidOnMobile?: "true" | "false";
+    /**
+     * Accepted by: mj-image.
+     */
+    maxHeight?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    usemap?: string;
+    /**
+     * Accepted by: mj-raw.
+     */
+    position?: "file-start";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundUrl?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundRepeat?: "repeat" | "no-repeat";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundSize?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundPosition?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundPositionX?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundPositionY?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    fullWidth?: "full-width" | "false" | "";
+    /**
+     * Accepted by: mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    textPadding?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    iconSize?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    iconHeight?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    iconPadding?: string;
+    /**
+     * Accepted by: mj-social.
+     */
+    mode?: "horizontal" | "vertical";
+    /**
+     * Accepted by: mj-social.
+     */
+    tableLayout?: "auto" | "fixed";
+    /**
+     * Accepted by: mj-social-element.
+     */
+    iconPosition?: "left" | "right";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** Default attributes for all MJML components, overridden by type-level defaults, mj-class and inline attributes. */
+export interface MjAllNode {
+    id: string;
+    type: "mj-all";
+    attributes?: MjAllAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-class */
+export interface MjClassAttributes {
+    /**
+     * Accepted by: mj-body, mj-button, mj-column, mj-divider, mj-group, mj-image.
+     */
+    width?: string;
+    /**
+     * Accepted by: mj-body, mj-button, mj-column, mj-group, mj-section, mj-social-element, mj-text, mj-wrapper.
+     */
+    backgroundColor?: string;
+    /**
+     * Accepted by: mj-button, mj-divider, mj-image, mj-social, mj-social-element, mj-text.
+     */
+    align?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderBottom?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderLeft?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    borderRadius?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderRight?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    borderTop?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    color?: string;
+    /**
+     * Accepted by: mj-button, mj-divider, mj-image, mj-social, mj-spacer, mj-text.
+     */
+    containerBackgroundColor?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    fontFamily?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social, mj-social-element, mj-text.
+     */
+    fontSize?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    fontStyle?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    fontWeight?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-spacer, mj-text.
+     */
+    height?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    href?: string;
+    /**
+     * name attribute
+     */
+    name: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    title?: string;
+    /**
+     * Accepted by: mj-button, mj-text.
+     */
+    letterSpacing?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    lineHeight?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingBottom?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingLeft?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingRight?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-divider, mj-image, mj-section, mj-social, mj-social-element, mj-spacer, mj-text, mj-wrapper.
+     */
+    paddingTop?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    rel?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-social-element.
+     */
+    target?: string;
+    /**
+     * Accepted by: mj-button, mj-social, mj-social-element, mj-text.
+     */
+    textDecoration?: string;
+    /**
+     * Accepted by: mj-button, mj-text.
+     */
+    textTransform?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-group, mj-social, mj-social-element, mj-text.
+     */
+    verticalAlign?: string;
+    /**
+     * Accepted by: mj-button, mj-section, mj-wrapper.
+     */
+    textAlign?: string;
+    /**
+     * Accepted by: mj-column, mj-group, mj-section, mj-wrapper.
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Accepted by: mj-divider.
+     */
+    borderColor?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    borderStyle?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    borderWidth?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    alt?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    src?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    srcset?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    sizes?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    fluidOnMobile?: "true" | "false";
+    /**
+     * Accepted by: mj-image.
+     */
+    maxHeight?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    usemap?: string;
+    /**
+     * Accepted by: mj-raw.
+     */
+    position?: "file-start";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundUrl?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundRepeat?: "repeat" | "no-repeat";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundSize?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundPosition?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundPositionX?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    backgroundPositionY?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    fullWidth?: "full-width" | "false" | "";
+    /**
+     * Accepted by: mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    textPadding?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    iconSize?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    iconHeight?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    iconPadding?: string;
+    /**
+     * Accepted by: mj-social.
+     */
+    mode?: "horizontal" | "vertical";
+    /**
+     * Accepted by: mj-social.
+     */
+    tableLayout?: "auto" | "fixed";
+    /**
+     * Accepted by: mj-social-element.
+     */
+    iconPosition?: "left" | "right";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    cssClass?: string;
+}
+
+/** Named group of attributes applied to body components with mj-class="<name>". Children set per-type defaults for the descendants of those components. */
+export interface MjClassNode {
+    id: string;
+    type: "mj-class";
+    attributes: MjClassAttributes;
+    content?: string;
+    children?: Array<MjBodyNode | MjButtonNode | MjColumnNode | MjDividerNode | MjGroupNode | MjImageNode | MjRawNode | MjSectionNode | MjSocialNode | MjSocialElementNode | MjSpacerNode | MjTextNode | MjWrapperNode>;
+}
+
+/** Attributes of mj-include */
+export interface MjIncludeAttributes {
+    /**
+     * Path of the file to include, relative to the including file.
+     */
+    path: string;
+    /**
+     * mjml includes the body (and head) of an MJML file, html inserts the file as mj-raw, css adds it as mj-style.
+     * @default "mjml"
+     */
+    type?: "mjml" | "html" | "css";
+    /**
+     * With type="css", inline the styles like mj-style inline="inline".
+     */
+    cssInline?: "inline";
+}
+
+/** The mjml-core package allows you to include external mjml files to build your email template. */
+export interface MjIncludeNode {
+    id: string;
+    type: "mj-include";
+    attributes: MjIncludeAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Any component node, discriminated by `type` */
+export type MjmlNode =
+    | MjmlRootNode
+    | MjBodyNode
+    | MjButtonNode
+    | MjColumnNode
+    | MjDividerNode
+    | MjGroupNode
+    | MjImageNode
+    | MjRawNode
+    | MjSectionNode
+    | MjSocialNode
+    | MjSocialElementNode
+    | MjSpacerNode
+    | MjTextNode
+    | MjWrapperNode
+    | MjHeadNode
+    | MjAttributesNode
+    | MjBreakpointNode
+    | MjFontNode
+    | MjHtmlAttributesNode
+    | MjPreviewNode
+    | MjStyleNode
+    | MjTitleNode
+    | MjAllNode
+    | MjClassNode
+    | MjIncludeNode;
+
+/** Component type names */
+export type MjmlComponentType = MjmlNode['type'];
+
+/** Attribute interface for each component type */
+export interface MjmlAttributesMap {
+    "mjml": MjmlRootAttributes;
+    "mj-body": MjBodyAttributes;
+    "mj-button": MjButtonAttributes;
+    "mj-column": MjColumnAttributes;
+    "mj-divider": MjDividerAttributes;
+    "mj-group": MjGroupAttributes;
+    "mj-image": MjImageAttributes;
+    "mj-raw": MjRawAttributes;
+    "mj-section": MjSectionAttributes;
+    "mj-social": MjSocialAttributes;
+    "mj-social-element": MjSocialElementAttributes;
+    "mj-spacer": MjSpacerAttributes;
+    "mj-text": MjTextAttributes;
+    "mj-wrapper": MjWrapperAttributes;
+    "mj-head": MjHeadAttributes;
+    "mj-attributes": MjAttributesAttributes;
+    "mj-breakpoint": MjBreakpointAttributes;
+    "mj-font": MjFontAttributes;
+    "mj-html-attributes": MjHtmlAttributesAttributes;
+    "mj-preview": MjPreviewAttributes;
+    "mj-style": MjStyleAttributes;
+    "mj-title": MjTitleAttributes;
+    "mj-all": MjAllAttributes;
+    "mj-class": MjClassAttributes;
+    "mj-include": MjIncludeAttributes;
+}
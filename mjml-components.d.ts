@@ -0,0 +1,3347 @@
+// MJML Components: auto-generated by extract_specs.js from the official MJML packages. Do not edit.
+// Source packages: mjml@4.16.1, mjml-accordion@4.16.1, mjml-body@4.16.1, mjml-button@4.16.1, mjml-carousel@4.16.1, mjml-column@4.16.1, mjml-core@4.16.1, mjml-divider@4.16.1, mjml-group@4.16.1, mjml-head@4.16.1, mjml-head-attributes@4.16.1, mjml-head-breakpoint@4.16.1, mjml-head-font@4.16.1, mjml-head-html-attributes@4.16.1, mjml-head-preview@4.16.1, mjml-head-style@4.16.1, mjml-head-title@4.16.1, mjml-hero@4.16.1, mjml-image@4.16.1, mjml-navbar@4.16.1, mjml-parser-xml@4.16.1, mjml-raw@4.16.1, mjml-section@4.16.1, mjml-social@4.16.1, mjml-spacer@4.16.1, mjml-table@4.16.1, mjml-text@4.16.1, mjml-validator@4.16.1, mjml-wrapper@4.16.1
+
+/** Number followed by one of the allowed units, e.g. "10px" (the schema also rejects negative numbers outside letter-spacing) */
+export type Unit<U extends string> = `${number}${U}`;
+
+/** One to four space-separated values, e.g. "10px 0" */
+export type BoxValue<V extends string> =
+    | V
+    | `${V} ${V}`
+    | `${V} ${V} ${V}`
+    | `${V} ${V} ${V} ${V}`;
+
+/** Attributes of mjml */
+export interface MjmlRootAttributes {
+    /**
+     * If set to "desktop", switch force desktop version for older (self-hosted) version of Outlook.com that doesn't support media queries (cf. this issue).
+     */
+    owa?: string;
+    /**
+     * Used as <html lang=""> attribute.
+     * @default "und"
+     */
+    lang?: string;
+    /**
+     * Used as <html dir=""> attribute.
+     * @default "auto"
+     */
+    dir?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** A MJML document starts with a <mjml> tag, it can contain only mj-head and mj-body tags. Both have the same purpose of head and body in a HTML document. */
+export interface MjmlRootNode {
+    id: string;
+    type: "mjml";
+    attributes?: MjmlRootAttributes;
+    content?: string;
+    children?: Array<MjBodyNode | MjHeadNode | MjRawNode>;
+}
+
+/** Attributes of mj-accordion */
+export interface MjAccordionAttributes {
+    /**
+     * Background-color of the cell.
+     */
+    "container-background-color"?: string;
+    /**
+     * CSS border format.
+     * @default "2px solid black"
+     */
+    border?: string;
+    /**
+     * Font.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "font-family"?: string;
+    /**
+     * Icon alignment.
+     * @default "middle"
+     */
+    "icon-align"?: "top" | "middle" | "bottom";
+    /**
+     * Icon height. Units: px, %.
+     * @default "32px"
+     */
+    "icon-width"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon width. Units: px, %.
+     * @default "32px"
+     */
+    "icon-height"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon when accordion is wrapped.
+     * @default "https://i.imgur.com/bIXv1bk.png"
+     */
+    "icon-wrapped-url"?: string;
+    /**
+     * Alt text when accordion is wrapped.
+     * @default "+"
+     */
+    "icon-wrapped-alt"?: string;
+    /**
+     * Icon when accordion is unwrapped.
+     * @default "https://i.imgur.com/w4uTygT.png"
+     */
+    "icon-unwrapped-url"?: string;
+    /**
+     * Alt text when accordion is unwrapped.
+     * @default "-"
+     */
+    "icon-unwrapped-alt"?: string;
+    /**
+     * Display icon left or right.
+     * @default "right"
+     */
+    "icon-position"?: "left" | "right";
+    /**
+     * Padding bottom. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding left. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding right. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding top. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding. Units: px, %.
+     * @default "10px 25px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** mj-accordion is an interactive MJML component to stack content in tabs, so the information is collapsed and only the titles are visible. Readers can interact by clicking on the tabs to reveal the content, providing a great experience on mobile devices where space is scarce. */
+export interface MjAccordionNode {
+    id: string;
+    type: "mj-accordion";
+    attributes?: MjAccordionAttributes;
+    content?: string;
+    children?: Array<MjAccordionElementNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-accordion-element */
+export interface MjAccordionElementAttributes {
+    /**
+     * Background color.
+     */
+    "background-color"?: string;
+    /**
+     * Border.
+     */
+    border?: string;
+    /**
+     * Font.
+     */
+    "font-family"?: string;
+    /**
+     * Icon alignment.
+     */
+    "icon-align"?: "top" | "middle" | "bottom";
+    /**
+     * Icon height. Units: px, %.
+     */
+    "icon-width"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon width. Units: px, %.
+     */
+    "icon-height"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon when accordion is wrapped.
+     */
+    "icon-wrapped-url"?: string;
+    /**
+     * Alt text when accordion is wrapped.
+     */
+    "icon-wrapped-alt"?: string;
+    /**
+     * Icon when accordion is unwrapped.
+     */
+    "icon-unwrapped-url"?: string;
+    /**
+     * Alt text when accordion is unwrapped.
+     */
+    "icon-unwrapped-alt"?: string;
+    /**
+     * Display icon left or right.
+     */
+    "icon-position"?: "left" | "right";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Creates an accordion title/text pair. An accordion can have any number of these pairs. */
+export interface MjAccordionElementNode {
+    id: string;
+    type: "mj-accordion-element";
+    attributes?: MjAccordionElementAttributes;
+    content?: string;
+    children?: Array<MjAccordionTitleNode | MjAccordionTextNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-accordion-text */
+export interface MjAccordionTextAttributes {
+    /**
+     * Background color.
+     */
+    "background-color"?: string;
+    /**
+     * Font size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Font family.
+     */
+    "font-family"?: string;
+    /**
+     * Text thickness.
+     */
+    "font-weight"?: string;
+    /**
+     * Letter spacing.
+     */
+    "letter-spacing"?: Unit<"px" | "em"> | "0";
+    /**
+     * Space between the lines. Units: px, %.
+     * @default "1"
+     */
+    "line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Text color.
+     */
+    color?: string;
+    /**
+     * Padding bottom. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding left. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding right. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding top. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding. Units: px, %.
+     * @default "16px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** The text in a title/text pair. */
+export interface MjAccordionTextNode {
+    id: string;
+    type: "mj-accordion-text";
+    attributes?: MjAccordionTextAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-accordion-title */
+export interface MjAccordionTitleAttributes {
+    /**
+     * Background color.
+     */
+    "background-color"?: string;
+    /**
+     * Text color.
+     */
+    color?: string;
+    /**
+     * Font size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Font family.
+     */
+    "font-family"?: string;
+    /**
+     * Text thickness.
+     */
+    "font-weight"?: string;
+    /**
+     * Padding bottom. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding left. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding right. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding top. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding. Units: px, %.
+     * @default "16px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** The title in a title/text pair. */
+export interface MjAccordionTitleNode {
+    id: string;
+    type: "mj-accordion-title";
+    attributes?: MjAccordionTitleAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-body */
+export interface MjBodyAttributes {
+    /**
+     * Email's width. Units: px.
+     * @default "600px"
+     */
+    width?: Unit<"px"> | "0";
+    /**
+     * The general background color.
+     */
+    "background-color"?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** This is the starting point of your email. To aid accessibility, MJML automatically adds a div tag as the child of the body, with the following ARIA attributes role="article", aria-roledescription="email" and aria-label="EMAIL NAME", where 'EMAIL NAME' is taken from the content of the mj-title tag. The lang and dir attributes are also added here, with values taken from the mjml tag. */
+export interface MjBodyNode {
+    id: string;
+    type: "mj-body";
+    attributes?: MjBodyAttributes;
+    content?: string;
+    children?: Array<MjRawNode | MjSectionNode | MjWrapperNode | MjHeroNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-button */
+export interface MjButtonAttributes {
+    /**
+     * Horizontal alignment.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Button background-color.
+     * @default "#414141"
+     */
+    "background-color"?: string;
+    /**
+     * Css border format.
+     */
+    "border-bottom"?: string;
+    /**
+     * Css border format.
+     */
+    "border-left"?: string;
+    /**
+     * Border radius.
+     * @default "3px"
+     */
+    "border-radius"?: string;
+    /**
+     * Css border format.
+     */
+    "border-right"?: string;
+    /**
+     * Css border format.
+     */
+    "border-top"?: string;
+    /**
+     * Css border format.
+     * @default "none"
+     */
+    border?: string;
+    /**
+     * Text color.
+     * @default "#ffffff"
+     */
+    color?: string;
+    /**
+     * Button container background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * Font name.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "font-family"?: string;
+    /**
+     * Text size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Normal/italic/oblique.
+     */
+    "font-style"?: string;
+    /**
+     * Text thickness.
+     * @default "normal"
+     */
+    "font-weight"?: string;
+    /**
+     * Button height. Units: px, %.
+     */
+    height?: Unit<"px" | "%"> | "0";
+    /**
+     * Link to be triggered when the button is clicked.
+     */
+    href?: string;
+    /**
+     * name attribute
+     */
+    name?: string;
+    /**
+     * Tooltip & accessibility.
+     */
+    title?: string;
+    /**
+     * Inner button padding. Units: px, %.
+     * @default "10px 25px"
+     */
+    "inner-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Letter-spacing.
+     */
+    "letter-spacing"?: Unit<"px" | "em"> | "0";
+    /**
+     * Line-height on link. Units: px, %.
+     * @default "120%"
+     */
+    "line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "10px 25px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Specify the rel attribute for the button link.
+     */
+    rel?: string;
+    /**
+     * Specify the target attribute for the button link.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Underline/overline/none.
+     * @default "none"
+     */
+    "text-decoration"?: string;
+    /**
+     * Capitalize/uppercase/lowercase.
+     * @default "none"
+     */
+    "text-transform"?: string;
+    /**
+     * Vertical alignment.
+     * @default "middle"
+     */
+    "vertical-align"?: "top" | "bottom" | "middle";
+    /**
+     * Text-align button content.
+     */
+    "text-align"?: "left" | "right" | "center";
+    /**
+     * Button width. Units: px, %.
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Displays a customizable button. */
+export interface MjButtonNode {
+    id: string;
+    type: "mj-button";
+    attributes?: MjButtonAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-carousel */
+export interface MjCarouselAttributes {
+    /**
+     * Horizontal alignment.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Border radius. Units: px, %.
+     * @default "6px"
+     */
+    "border-radius"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Column background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * Width of the icons on left and right of the main image. Units: px, %.
+     * @default "44px"
+     */
+    "icon-width"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon on the left of the main image.
+     * @default "https://i.imgur.com/xTh3hln.png"
+     */
+    "left-icon"?: string;
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon on the right of the main image.
+     * @default "https://i.imgur.com/os7o9kz.png"
+     */
+    "right-icon"?: string;
+    /**
+     * Display or not the thumbnails (visible.
+     * @default "visible"
+     */
+    thumbnails?: "visible" | "hidden";
+    /**
+     * Border of the thumbnails.
+     * @default "2px solid transparent"
+     */
+    "tb-border"?: string;
+    /**
+     * Border-radius of the thumbnails. Units: px, %.
+     * @default "6px"
+     */
+    "tb-border-radius"?: Unit<"px" | "%"> | "0";
+    /**
+     * Css border color of the hovered thumbnail.
+     * @default "#fead0d"
+     */
+    "tb-hover-border-color"?: string;
+    /**
+     * Css border color of the selected thumbnail.
+     * @default "#ccc"
+     */
+    "tb-selected-border-color"?: string;
+    /**
+     * Thumbnail width. Units: px, %.
+     */
+    "tb-width"?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** mj-carousel displays a gallery of images or "carousel". Readers can interact by hovering and clicking on thumbnails depending on the email client they use. */
+export interface MjCarouselNode {
+    id: string;
+    type: "mj-carousel";
+    attributes?: MjCarouselAttributes;
+    content?: string;
+    children?: Array<MjCarouselImageNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-carousel-image */
+export interface MjCarouselImageAttributes {
+    /**
+     * Image description.
+     * @default ""
+     */
+    alt?: string;
+    /**
+     * Link to redirect to on click.
+     */
+    href?: string;
+    /**
+     * Specify the rel attribute.
+     */
+    rel?: string;
+    /**
+     * Link target on click.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Tooltip & accessibility.
+     */
+    title?: string;
+    /**
+     * Image source.
+     */
+    src?: string;
+    /**
+     * Image source to have a thumbnail different than the image it's linked to.
+     */
+    "thumbnails-src"?: string;
+    /**
+     * Border radius (e.g., "4px", "50%"). Units: px, %.
+     */
+    "border-radius"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    "tb-border"?: string;
+    /**
+     * Border radius (e.g., "4px", "50%"). Units: px, %.
+     */
+    "tb-border-radius"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** This component enables you to add and style the images in the carousel. */
+export interface MjCarouselImageNode {
+    id: string;
+    type: "mj-carousel-image";
+    attributes?: MjCarouselImageAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-column */
+export interface MjColumnAttributes {
+    /**
+     * Background color for a column.
+     */
+    "background-color"?: string;
+    /**
+     * Css border format.
+     */
+    border?: string;
+    /**
+     * Css border format.
+     */
+    "border-bottom"?: string;
+    /**
+     * Css border format.
+     */
+    "border-left"?: string;
+    /**
+     * Border radius. Units: px, %.
+     */
+    "border-radius"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Css border format.
+     */
+    "border-right"?: string;
+    /**
+     * Css border format.
+     */
+    "border-top"?: string;
+    /**
+     * Text/content direction (ltr or rtl).
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Requires: a padding, inner background color for column.
+     */
+    "inner-background-color"?: string;
+    /**
+     * Section bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Css border format.
+     */
+    "inner-border"?: string;
+    /**
+     * Css border format ; requires a padding.
+     */
+    "inner-border-bottom"?: string;
+    /**
+     * Css border format ; requires a padding.
+     */
+    "inner-border-left"?: string;
+    /**
+     * Border radius ; requires a padding. Units: px, %.
+     */
+    "inner-border-radius"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Css border format ; requires a padding.
+     */
+    "inner-border-right"?: string;
+    /**
+     * Css border format ; requires a padding.
+     */
+    "inner-border-top"?: string;
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Middle/top/bottom (note: middle works only when adjacent mj-column is also set to middle).
+     * @default "top"
+     */
+    "vertical-align"?: "top" | "bottom" | "middle";
+    /**
+     * Column width. Units: px, %.
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Columns enable you to horizontally organize the content within your sections. They must be located under mj-section tags in order to be considered by the engine. To be responsive, columns are expressed in terms of percentage. */
+export interface MjColumnNode {
+    id: string;
+    type: "mj-column";
+    attributes?: MjColumnAttributes;
+    content?: string;
+    children?: Array<MjAccordionNode | MjButtonNode | MjCarouselNode | MjDividerNode | MjImageNode | MjRawNode | MjSocialNode | MjSpacerNode | MjTableNode | MjTextNode | MjNavbarNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-divider */
+export interface MjDividerAttributes {
+    /**
+     * Divider color.
+     * @default "#000000"
+     */
+    "border-color"?: string;
+    /**
+     * Dashed/dotted/solid.
+     * @default "solid"
+     */
+    "border-style"?: string;
+    /**
+     * Divider's border width. Units: px.
+     * @default "4px"
+     */
+    "border-width"?: Unit<"px"> | "0";
+    /**
+     * Inner element background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "10px 25px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Divider width. Units: px, %.
+     * @default "100%"
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Left/right/center.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Displays a horizontal divider that can be customized like a HTML border. */
+export interface MjDividerNode {
+    id: string;
+    type: "mj-divider";
+    attributes?: MjDividerAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-group */
+export interface MjGroupAttributes {
+    /**
+     * Background color for a group.
+     */
+    "background-color"?: string;
+    /**
+     * Set the display order of direct children.
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Middle/top/bottom.
+     */
+    "vertical-align"?: "top" | "bottom" | "middle";
+    /**
+     * Group width. Units: px, %.
+     */
+    width?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** mj-group allows you to prevent columns from stacking on mobile. To do so, wrap the columns inside a mj-group tag, so they'll stay side by side on mobile. */
+export interface MjGroupNode {
+    id: string;
+    type: "mj-group";
+    attributes?: MjGroupAttributes;
+    content?: string;
+    children?: Array<MjColumnNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-hero */
+export interface MjHeroAttributes {
+    /**
+     * Choose if the height is fixed based on the height attribute or fluid.
+     * @default "fixed-height"
+     */
+    mode?: string;
+    /**
+     * Hero section height (required for fixed-height mode). Units: px, %.
+     * @default "0px"
+     */
+    height?: Unit<"px" | "%"> | "0";
+    /**
+     * Absolute background url.
+     */
+    "background-url"?: string;
+    /**
+     * Width of the image used, mandatory. Units: px, %.
+     */
+    "background-width"?: Unit<"px" | "%"> | "0";
+    /**
+     * Height of the image used, mandatory. Units: px, %.
+     */
+    "background-height"?: Unit<"px" | "%"> | "0";
+    /**
+     * Background image position.
+     * @default "center center"
+     */
+    "background-position"?: string;
+    /**
+     * Border radius.
+     */
+    "border-radius"?: string;
+    /**
+     * Color value (e.g., "#ffffff", "red", "rgb(255,255,255)").
+     */
+    "container-background-color"?: string;
+    /**
+     * Color value (e.g., "#ffffff", "red", "rgb(255,255,255)").
+     */
+    "inner-background-color"?: string;
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "inner-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "inner-padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "inner-padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "inner-padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "inner-padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "0px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Hero background color.
+     * @default "#ffffff"
+     */
+    "background-color"?: string;
+    /**
+     * Content vertical alignment.
+     * @default "top"
+     */
+    "vertical-align"?: "top" | "bottom" | "middle";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** This element displays a hero image. It behaves like an mj-section with a single mj-column. */
+export interface MjHeroNode {
+    id: string;
+    type: "mj-hero";
+    attributes?: MjHeroAttributes;
+    content?: string;
+    children?: Array<MjAccordionNode | MjButtonNode | MjCarouselNode | MjDividerNode | MjImageNode | MjSocialNode | MjSpacerNode | MjTableNode | MjTextNode | MjNavbarNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-image */
+export interface MjImageAttributes {
+    /**
+     * Image description.
+     * @default ""
+     */
+    alt?: string;
+    /**
+     * Link to redirect to on click.
+     */
+    href?: string;
+    /**
+     * Specify the link name attribute.
+     */
+    name?: string;
+    /**
+     * Image source.
+     */
+    src?: string;
+    /**
+     * Enables to set a different image source based on the viewport.
+     */
+    srcset?: string;
+    /**
+     * Set width based on query.
+     */
+    sizes?: string;
+    /**
+     * Tooltip & accessibility.
+     */
+    title?: string;
+    /**
+     * Specify the rel attribute.
+     */
+    rel?: string;
+    /**
+     * Image alignment.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Css border definition.
+     * @default "0"
+     */
+    border?: string;
+    /**
+     * Css border definition.
+     */
+    "border-bottom"?: string;
+    /**
+     * Css border definition.
+     */
+    "border-left"?: string;
+    /**
+     * Css border definition.
+     */
+    "border-right"?: string;
+    /**
+     * Css border definition.
+     */
+    "border-top"?: string;
+    /**
+     * Border radius. Units: px, %.
+     */
+    "border-radius"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Inner element background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * If "true", will be full width on mobile even if width is set.
+     */
+    "fluid-on-mobile"?: "true" | "false";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "10px 25px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Link target on click.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Image width. Units: px.
+     */
+    width?: Unit<"px"> | "0";
+    /**
+     * Image height. Units: px, auto.
+     * @default "auto"
+     */
+    height?: Unit<"px"> | "0" | "auto";
+    /**
+     * Height value (e.g., "100px", "auto"). Units: px, %.
+     */
+    "max-height"?: Unit<"px" | "%"> | "0";
+    /**
+     * Font size (e.g., "16px", "1.2em"). Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Reference to image map, be careful, it isn't supported everywhere.
+     */
+    usemap?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Displays a responsive image in your email. It is similar to the HTML <img /> tag. Note that if no width is provided, the image will use the parent column width. */
+export interface MjImageNode {
+    id: string;
+    type: "mj-image";
+    attributes?: MjImageAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-navbar */
+export interface MjNavbarAttributes {
+    /**
+     * Align content left/center/right.
+     * @default "center"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Base url for children components.
+     */
+    "base-url"?: string;
+    /**
+     * Activate the hamburger navigation on mobile if the value is hamburger.
+     */
+    hamburger?: string;
+    /**
+     * Hamburger icon alignment, left/center/right (hamburger mode required).
+     * @default "center"
+     */
+    "ico-align"?: "left" | "center" | "right";
+    /**
+     * Char code for a custom open icon (hamburger mode required).
+     * @default "&#9776;"
+     */
+    "ico-open"?: string;
+    /**
+     * Char code for a custom close icon (hamburger mode required).
+     * @default "&#8855;"
+     */
+    "ico-close"?: string;
+    /**
+     * Hamburger icon color (hamburger mode required).
+     * @default "#000000"
+     */
+    "ico-color"?: string;
+    /**
+     * Hamburger icon size (hamburger mode required). Units: px, %.
+     * @default "30px"
+     */
+    "ico-font-size"?: Unit<"px" | "%"> | "0";
+    /**
+     * Hamburger icon font (only on hamburger mode).
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "ico-font-family"?: string;
+    /**
+     * Hamburger icon text transformation none/capitalize/uppercase/lowercase (hamburger mode required).
+     * @default "uppercase"
+     */
+    "ico-text-transform"?: string;
+    /**
+     * Hamburger icon padding, supports up to 4 parameters (hamburger mode required). Units: px, %.
+     * @default "10px"
+     */
+    "ico-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Hamburger icon left offset (hamburger mode required). Units: px, %.
+     */
+    "ico-padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Hamburger icon top offset (hamburger mode required). Units: px, %.
+     */
+    "ico-padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Hamburger icon right offset (hamburger mode required). Units: px, %.
+     */
+    "ico-padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Hamburger icon bottom offset (hamburger mode required). Units: px, %.
+     */
+    "ico-padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Hamburger icon text decoration none/underline/overline/line-through (hamburger mode required).
+     * @default "none"
+     */
+    "ico-text-decoration"?: string;
+    /**
+     * Hamburger icon line height (hamburger mode required). Units: px, %.
+     * @default "30px"
+     */
+    "ico-line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Displays a menu for navigation with an optional hamburger mode for mobile devices. */
+export interface MjNavbarNode {
+    id: string;
+    type: "mj-navbar";
+    attributes?: MjNavbarAttributes;
+    content?: string;
+    children?: Array<MjNavbarLinkNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-navbar-link */
+export interface MjNavbarLinkAttributes {
+    /**
+     * Text color.
+     * @default "#000000"
+     */
+    color?: string;
+    /**
+     * Font.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "font-family"?: string;
+    /**
+     * Text size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Normal/italic/oblique.
+     */
+    "font-style"?: string;
+    /**
+     * Text thickness.
+     * @default "normal"
+     */
+    "font-weight"?: string;
+    /**
+     * Link to redirect to on click.
+     */
+    href?: string;
+    /**
+     * name attribute
+     */
+    name?: string;
+    /**
+     * Link target on click.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Specify the rel attribute.
+     */
+    rel?: string;
+    /**
+     * Letter-spacing.
+     */
+    "letter-spacing"?: Unit<"px" | "em"> | "0";
+    /**
+     * Space between the lines. Units: px, %.
+     * @default "22px"
+     */
+    "line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "15px 10px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Underline/overline/none.
+     * @default "none"
+     */
+    "text-decoration"?: string;
+    /**
+     * Capitalize/uppercase/lowercase/none.
+     * @default "uppercase"
+     */
+    "text-transform"?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** This component should be used to display an individual link in the navbar. */
+export interface MjNavbarLinkNode {
+    id: string;
+    type: "mj-navbar-link";
+    attributes?: MjNavbarLinkAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-raw */
+export interface MjRawAttributes {
+    /**
+     * position attribute
+     */
+    position?: "file-start";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Displays raw HTML that is not going to be parsed by the MJML engine. Anything left inside this tag should be raw, responsive HTML. If placed inside <mj-head>, its content will be added at the end of the <head>. */
+export interface MjRawNode {
+    id: string;
+    type: "mj-raw";
+    attributes?: MjRawAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-section */
+export interface MjSectionAttributes {
+    /**
+     * Section color.
+     */
+    "background-color"?: string;
+    /**
+     * Background url.
+     */
+    "background-url"?: string;
+    /**
+     * Css background repeat.
+     * @default "repeat"
+     */
+    "background-repeat"?: "repeat" | "no-repeat";
+    /**
+     * Css background size.
+     * @default "auto"
+     */
+    "background-size"?: string;
+    /**
+     * Css background position (see outlook limitations below).
+     * @default "top center"
+     */
+    "background-position"?: string;
+    /**
+     * Css background position x.
+     */
+    "background-position-x"?: string;
+    /**
+     * Css background position y.
+     */
+    "background-position-y"?: string;
+    /**
+     * Css border format.
+     */
+    border?: string;
+    /**
+     * Css border format.
+     */
+    "border-bottom"?: string;
+    /**
+     * Css border format.
+     */
+    "border-left"?: string;
+    /**
+     * Border radius.
+     */
+    "border-radius"?: string;
+    /**
+     * Css border format.
+     */
+    "border-right"?: string;
+    /**
+     * Css border format.
+     */
+    "border-top"?: string;
+    /**
+     * Set the display order of direct children.
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Make the section full-width.
+     */
+    "full-width"?: "full-width" | "false" | "";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "20px 0"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Section top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Css text-align.
+     * @default "center"
+     */
+    "text-align"?: "left" | "center" | "right";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     * @default "4px 4px 4px 0"
+     */
+    "text-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Sections are intended to be used as rows within your email. They will be used to structure the layout. */
+export interface MjSectionNode {
+    id: string;
+    type: "mj-section";
+    attributes?: MjSectionAttributes;
+    content?: string;
+    children?: Array<MjColumnNode | MjGroupNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-social */
+export interface MjSocialAttributes {
+    /**
+     * Left/right/center.
+     * @default "center"
+     */
+    align?: "left" | "right" | "center";
+    /**
+     * Border radius. Units: px, %.
+     * @default "3px"
+     */
+    "border-radius"?: Unit<"px" | "%"> | "0";
+    /**
+     * Inner element background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * Text color.
+     * @default "#333333"
+     */
+    color?: string;
+    /**
+     * Font name.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "font-family"?: string;
+    /**
+     * Font size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Font style.
+     */
+    "font-style"?: string;
+    /**
+     * Font weight.
+     */
+    "font-weight"?: string;
+    /**
+     * Icon size (width and height). Units: px, %.
+     * @default "20px"
+     */
+    "icon-size"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon height, overrides icon-size. Units: px, %.
+     */
+    "icon-height"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding around the icons. Units: px, %.
+     */
+    "icon-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Social network surrounding padding. Units: px, %.
+     */
+    "inner-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Space between lines. Units: px, %.
+     * @default "22px"
+     */
+    "line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Vertical/horizontal.
+     * @default "horizontal"
+     */
+    mode?: "horizontal" | "vertical";
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "10px 25px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * table-layout attribute
+     */
+    "table-layout"?: "auto" | "fixed";
+    /**
+     * Padding around the texts. Units: px, %.
+     */
+    "text-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Underline/overline/none.
+     * @default "none"
+     */
+    "text-decoration"?: string;
+    /**
+     * vertical-align attribute
+     */
+    "vertical-align"?: "top" | "bottom" | "middle";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Displays calls-to-action for various social networks with their associated logo. You can add social networks with the mj-social-element tag. */
+export interface MjSocialNode {
+    id: string;
+    type: "mj-social";
+    attributes?: MjSocialAttributes;
+    content?: string;
+    children?: Array<MjSocialElementNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-social-element */
+export interface MjSocialElementAttributes {
+    /**
+     * Left/right/center.
+     * @default "left"
+     */
+    align?: "left" | "center" | "right";
+    /**
+     * Left/right.
+     * @default "left"
+     */
+    "icon-position"?: "left" | "right";
+    /**
+     * Icon color.
+     */
+    "background-color"?: string;
+    /**
+     * Text color.
+     * @default "#000"
+     */
+    color?: string;
+    /**
+     * Border radius. Units: px.
+     * @default "3px"
+     */
+    "border-radius"?: Unit<"px"> | "0";
+    /**
+     * Font name.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "font-family"?: string;
+    /**
+     * Font size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Font style.
+     */
+    "font-style"?: string;
+    /**
+     * Font weight.
+     */
+    "font-weight"?: string;
+    /**
+     * Button redirection url.
+     */
+    href?: string;
+    /**
+     * Icon size (width and height). Units: px, %.
+     */
+    "icon-size"?: Unit<"px" | "%"> | "0";
+    /**
+     * Icon height, overrides icon-size. Units: px, %.
+     */
+    "icon-height"?: Unit<"px" | "%"> | "0";
+    /**
+     * Padding around the icon. Units: px, %.
+     */
+    "icon-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Space between lines. Units: px, %.
+     * @default "1"
+     */
+    "line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Social network name, see supported list below.
+     */
+    name?: string;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "4px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Padding around the text. Units: px, %.
+     * @default "4px 4px 4px 0"
+     */
+    "text-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Specify the rel attribute for the link.
+     */
+    rel?: string;
+    /**
+     * Image source.
+     */
+    src?: string;
+    /**
+     * Set a different image source based on the viewport.
+     */
+    srcset?: string;
+    /**
+     * Set icon width based on query.
+     */
+    sizes?: string;
+    /**
+     * Image alt attribute.
+     * @default ""
+     */
+    alt?: string;
+    /**
+     * Img title attribute.
+     */
+    title?: string;
+    /**
+     * Link target.
+     * @default "_blank"
+     */
+    target?: string;
+    /**
+     * Underline/overline/none.
+     * @default "none"
+     */
+    "text-decoration"?: string;
+    /**
+     * Top/middle/bottom.
+     * @default "middle"
+     */
+    "vertical-align"?: "top" | "middle" | "bottom";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** This component enables you to display a given social network inside mj-social. Note that default icons are transparent, which allows background-color to actually be the icon color. */
+export interface MjSocialElementNode {
+    id: string;
+    type: "mj-social-element";
+    attributes?: MjSocialElementAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-spacer */
+export interface MjSpacerAttributes {
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    border?: string;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    "border-bottom"?: string;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    "border-left"?: string;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    "border-right"?: string;
+    /**
+     * Border definition (e.g., "1px solid #ccc", "2px dashed red").
+     */
+    "border-top"?: string;
+    /**
+     * Inner element background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Spacer height. Units: px, %.
+     * @default "20px"
+     */
+    height?: Unit<"px" | "%"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Displays a blank space. */
+export interface MjSpacerNode {
+    id: string;
+    type: "mj-spacer";
+    attributes?: MjSpacerAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-table */
+export interface MjTableAttributes {
+    /**
+     * Self horizontal alignment.
+     * @default "left"
+     */
+    align?: "left" | "right" | "center";
+    /**
+     * Table external border.
+     * @default "none"
+     */
+    border?: string;
+    /**
+     * Space between cells.
+     * @default "0"
+     */
+    cellpadding?: `${bigint}`;
+    /**
+     * Space between cell and border.
+     * @default "0"
+     */
+    cellspacing?: `${bigint}`;
+    /**
+     * Inner element background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * Text header & footer color.
+     * @default "#000000"
+     */
+    color?: string;
+    /**
+     * Font name.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "font-family"?: string;
+    /**
+     * Font size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Font weight (e.g., "normal", "bold", "400", "700").
+     */
+    "font-weight"?: string;
+    /**
+     * Space between lines. Units: px, %.
+     * @default "22px"
+     */
+    "line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "10px 25px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Specify the role attribute.
+     */
+    role?: "none" | "presentation";
+    /**
+     * Sets the table layout.
+     * @default "auto"
+     */
+    "table-layout"?: "auto" | "fixed" | "initial" | "inherit";
+    /**
+     * vertical-align attribute
+     */
+    "vertical-align"?: "top" | "bottom" | "middle";
+    /**
+     * Table width. Units: px, %, auto.
+     * @default "100%"
+     */
+    width?: Unit<"px" | "%"> | "0" | "auto";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** This tag allows you to display table and filled it with data. It only accepts plain HTML. */
+export interface MjTableNode {
+    id: string;
+    type: "mj-table";
+    attributes?: MjTableAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-text */
+export interface MjTextAttributes {
+    /**
+     * Left/right/center/justify.
+     * @default "left"
+     */
+    align?: "left" | "right" | "center" | "justify";
+    /**
+     * Color value (e.g., "#ffffff", "red", "rgb(255,255,255)").
+     */
+    "background-color"?: string;
+    /**
+     * Text color.
+     * @default "#000000"
+     */
+    color?: string;
+    /**
+     * Inner element background color.
+     */
+    "container-background-color"?: string;
+    /**
+     * Font.
+     * @default "Ubuntu, Helvetica, Arial, sans-serif"
+     */
+    "font-family"?: string;
+    /**
+     * Text size. Units: px.
+     * @default "13px"
+     */
+    "font-size"?: Unit<"px"> | "0";
+    /**
+     * Normal/italic/oblique.
+     */
+    "font-style"?: string;
+    /**
+     * Text thickness.
+     */
+    "font-weight"?: string;
+    /**
+     * The height of the element. Units: px, %.
+     */
+    height?: Unit<"px" | "%"> | "0";
+    /**
+     * Letter spacing.
+     */
+    "letter-spacing"?: Unit<"px" | "em"> | "0";
+    /**
+     * Space between the lines. Units: px, %.
+     * @default "1"
+     */
+    "line-height"?: Unit<"px" | "%"> | `${number}`;
+    /**
+     * Bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "10px 25px"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Underline/overline/line-through/none.
+     */
+    "text-decoration"?: string;
+    /**
+     * Uppercase/lowercase/capitalize.
+     */
+    "text-transform"?: string;
+    /**
+     * vertical-align attribute
+     */
+    "vertical-align"?: "top" | "bottom" | "middle";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** This tag allows you to display text and HTML in your email. */
+export interface MjTextNode {
+    id: string;
+    type: "mj-text";
+    attributes?: MjTextAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-wrapper */
+export interface MjWrapperAttributes {
+    /**
+     * Section color.
+     */
+    "background-color"?: string;
+    /**
+     * Background url.
+     */
+    "background-url"?: string;
+    /**
+     * Css background repeat.
+     * @default "repeat"
+     */
+    "background-repeat"?: "repeat" | "no-repeat";
+    /**
+     * Css background size.
+     * @default "auto"
+     */
+    "background-size"?: string;
+    /**
+     * Css background position (see outlook limitations in mj-section doc).
+     * @default "top center"
+     */
+    "background-position"?: string;
+    /**
+     * Css background position x.
+     */
+    "background-position-x"?: string;
+    /**
+     * Css background position y.
+     */
+    "background-position-y"?: string;
+    /**
+     * Css border format.
+     */
+    border?: string;
+    /**
+     * Css border format.
+     */
+    "border-bottom"?: string;
+    /**
+     * Css border format.
+     */
+    "border-left"?: string;
+    /**
+     * Border radius.
+     */
+    "border-radius"?: string;
+    /**
+     * Css border format.
+     */
+    "border-right"?: string;
+    /**
+     * Css border format.
+     */
+    "border-top"?: string;
+    /**
+     * Text/content direction (ltr or rtl).
+     * @default "ltr"
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Make the wrapper full-width.
+     */
+    "full-width"?: "full-width" | "false" | "";
+    /**
+     * Supports up to 4 parameters. Units: px, %.
+     * @default "20px 0"
+     */
+    padding?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Section top offset. Units: px, %.
+     */
+    "padding-top"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section bottom offset. Units: px, %.
+     */
+    "padding-bottom"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section left offset. Units: px, %.
+     */
+    "padding-left"?: Unit<"px" | "%"> | "0";
+    /**
+     * Section right offset. Units: px, %.
+     */
+    "padding-right"?: Unit<"px" | "%"> | "0";
+    /**
+     * Css text-align.
+     * @default "center"
+     */
+    "text-align"?: "left" | "center" | "right";
+    /**
+     * Padding value. Supports 1-4 values (e.g., "10px", "10px 20px"). Units: px, %.
+     * @default "4px 4px 4px 0"
+     */
+    "text-padding"?: BoxValue<Unit<"px" | "%"> | "0">;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+    /**
+     * Space-separated names of mj-class definitions (declared in mj-attributes) whose attributes apply to this component.
+     */
+    "mj-class"?: string;
+}
+
+/** Wrapper enables to wrap multiple sections together. It's especially useful to achieve nested layouts with shared border or background images across sections. */
+export interface MjWrapperNode {
+    id: string;
+    type: "mj-wrapper";
+    attributes?: MjWrapperAttributes;
+    content?: string;
+    children?: Array<MjHeroNode | MjRawNode | MjSectionNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-head */
+export interface MjHeadAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** mj-head contains head components, related to the document such as style and meta elements (see head components). */
+export interface MjHeadNode {
+    id: string;
+    type: "mj-head";
+    attributes?: MjHeadAttributes;
+    content?: string;
+    children?: Array<MjAttributesNode | MjBreakpointNode | MjHtmlAttributesNode | MjFontNode | MjPreviewNode | MjStyleNode | MjTitleNode | MjRawNode | MjIncludeNode>;
+}
+
+/** Attributes of mj-attributes */
+export interface MjAttributesAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** Inside mj-attributes, a tag citing one MJML component (like mj-text; see example) overrides default settings for listed MJML attributes on the one component. */
+export interface MjAttributesNode {
+    id: string;
+    type: "mj-attributes";
+    attributes?: MjAttributesAttributes;
+    content?: string;
+    children?: Array<MjAllNode | MjClassNode | MjAccordionNode | MjAccordionElementNode | MjAccordionTextNode | MjAccordionTitleNode | MjBodyNode | MjButtonNode | MjCarouselNode | MjCarouselImageNode | MjColumnNode | MjDividerNode | MjGroupNode | MjHeroNode | MjImageNode | MjNavbarNode | MjNavbarLinkNode | MjRawNode | MjSectionNode | MjSocialNode | MjSocialElementNode | MjSpacerNode | MjTableNode | MjTextNode | MjWrapperNode>;
+}
+
+/** Attributes of mj-breakpoint */
+export interface MjBreakpointAttributes {
+    /**
+     * Breakpoint's value. Units: px.
+     */
+    width?: Unit<"px"> | "0";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** This tag allows you to control on which breakpoint the layout should go desktop/mobile. */
+export interface MjBreakpointNode {
+    id: string;
+    type: "mj-breakpoint";
+    attributes?: MjBreakpointAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-font */
+export interface MjFontAttributes {
+    /**
+     * Name of the font.
+     */
+    name?: string;
+    /**
+     * URL of a hosted CSS file.
+     */
+    href?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** This tag imports fonts. The tag has effect only if the template uses the font, too. The href attribute points to a hosted css file; that file contains a @font-face declaration. Example: https://fonts .googleapis.com/css?family=Raleway */
+export interface MjFontNode {
+    id: string;
+    type: "mj-font";
+    attributes?: MjFontAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-html-attributes */
+export interface MjHtmlAttributesAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** This tag allows you to add custom attributes on any html tag of the generated html, using css selectors. It's not needed for most email creations, but can be useful in some cases, i.e. editable templates. */
+export interface MjHtmlAttributesNode {
+    id: string;
+    type: "mj-html-attributes";
+    attributes?: MjHtmlAttributesAttributes;
+    content?: string;
+    children?: Array<MjIncludeNode>;
+}
+
+/** Attributes of mj-preview */
+export interface MjPreviewAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** This tag allows you to set the preview that will be displayed in the inbox of the recipient. */
+export interface MjPreviewNode {
+    id: string;
+    type: "mj-preview";
+    attributes?: MjPreviewAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-style */
+export interface MjStyleAttributes {
+    /**
+     * Set to "inline" to inline styles.
+     */
+    inline?: string;
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** This tag allows you to set CSS styles that will be applied to the HTML in your MJML document as well as the HTML outputted. The CSS styles will be added to the head of the rendered HTML by default, but can also be inlined by using the inline="inline" attribute. */
+export interface MjStyleNode {
+    id: string;
+    type: "mj-style";
+    attributes?: MjStyleAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-title */
+export interface MjTitleAttributes {
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** Defines the document's title that browsers show in the title bar or a page's tab. */
+export interface MjTitleNode {
+    id: string;
+    type: "mj-title";
+    attributes?: MjTitleAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-all */
+export interface MjAllAttributes {
+    /**
+     * Accepted by: mj-accordion, mj-button, mj-carousel, mj-divider, mj-hero, mj-image, mj-social, mj-spacer, mj-table, mj-text.
+     */
+    "container-background-color"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-table, mj-wrapper.
+     */
+    border?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-accordion-text, mj-accordion-title, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "font-family"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-align"?: "top" | "middle" | "bottom";
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-carousel.
+     */
+    "icon-width"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-social, mj-social-element.
+     */
+    "icon-height"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-wrapped-url"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-wrapped-alt"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-unwrapped-url"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-unwrapped-alt"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-social-element.
+     */
+    "icon-position"?: "left" | "right";
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-bottom"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-left"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-right"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-top"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    padding?: string;
+    /**
+     * Accepted by: mj-accordion-element, mj-accordion-text, mj-accordion-title, mj-body, mj-button, mj-column, mj-group, mj-hero, mj-section, mj-social-element, mj-text, mj-wrapper.
+     */
+    "background-color"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-accordion-title, mj-button, mj-image, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "font-size"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-accordion-title, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "font-weight"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-button, mj-navbar-link, mj-text.
+     */
+    "letter-spacing"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "line-height"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-accordion-title, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    color?: string;
+    /**
+     * Accepted by: mj-body, mj-button, mj-column, mj-divider, mj-group, mj-image, mj-table.
+     */
+    width?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel, mj-divider, mj-image, mj-navbar, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    align?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-bottom"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-left"?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel, mj-carousel-image, mj-column, mj-hero, mj-image, mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    "border-radius"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-right"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-top"?: string;
+    /**
+     * Accepted by: mj-button, mj-navbar-link, mj-social, mj-social-element, mj-text.
+     */
+    "font-style"?: string;
+    /**
+     * Accepted by: mj-button, mj-hero, mj-image, mj-spacer, mj-text.
+     */
+    height?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-navbar-link, mj-social-element.
+     */
+    href?: string;
+    /**
+     * Accepted by: mj-button, mj-image, mj-navbar-link, mj-social-element.
+     */
+    name?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-social-element.
+     */
+    title?: string;
+    /**
+     * Accepted by: mj-button, mj-hero, mj-social.
+     */
+    "inner-padding"?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-navbar-link, mj-social-element.
+     */
+    rel?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-navbar-link, mj-social-element.
+     */
+    target?: string;
+    /**
+     * Accepted by: mj-button, mj-navbar-link, mj-social, mj-social-element, mj-text.
+     */
+    "text-decoration"?: string;
+    /**
+     * Accepted by: mj-button, mj-navbar-link, mj-text.
+     */
+    "text-transform"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-group, mj-hero, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "vertical-align"?: string;
+    /**
+     * Accepted by: mj-button, mj-section, mj-wrapper.
+     */
+    "text-align"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "left-icon"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "right-icon"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    thumbnails?: "visible" | "hidden";
+    /**
+     * Accepted by: mj-carousel, mj-carousel-image.
+     */
+    "tb-border"?: string;
+    /**
+     * Accepted by: mj-carousel, mj-carousel-image.
+     */
+    "tb-border-radius"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "tb-hover-border-color"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "tb-selected-border-color"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "tb-width"?: string;
+    /**
+     * Accepted by: mj-carousel-image, mj-image, mj-social-element.
+     */
+    alt?: string;
+    /**
+     * Accepted by: mj-carousel-image, mj-image, mj-social-element.
+     */
+    src?: string;
+    /**
+     * Accepted by: mj-carousel-image.
+     */
+    "thumbnails-src"?: string;
+    /**
+     * Accepted by: mj-column, mj-group, mj-section, mj-wrapper.
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Accepted by: mj-column, mj-hero.
+     */
+    "inner-background-color"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-bottom"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-left"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-radius"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-right"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-top"?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    "border-color"?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    "border-style"?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    "border-width"?: string;
+    /**
+     * Accepted by: mj-hero, mj-social.
+     */
+    mode?: string;
+    /**
+     * Accepted by: mj-hero, mj-section, mj-wrapper.
+     */
+    "background-url"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "background-width"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "background-height"?: string;
+    /**
+     * Accepted by: mj-hero, mj-section, mj-wrapper.
+     */
+    "background-position"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-top"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-left"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-right"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-bottom"?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    srcset?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    sizes?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    "fluid-on-mobile"?: "true" | "false";
+    /**
+     * Accepted by: mj-image.
+     */
+    "max-height"?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    usemap?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "base-url"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    hamburger?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-align"?: "left" | "center" | "right";
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-open"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-close"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-color"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-font-size"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-font-family"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-text-transform"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-left"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-top"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-right"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-bottom"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-text-decoration"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-line-height"?: string;
+    /**
+     * Accepted by: mj-raw.
+     */
+    position?: "file-start";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-repeat"?: "repeat" | "no-repeat";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-size"?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-position-x"?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-position-y"?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "full-width"?: "full-width" | "false" | "";
+    /**
+     * Accepted by: mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    "text-padding"?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    "icon-size"?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    "icon-padding"?: string;
+    /**
+     * Accepted by: mj-social, mj-table.
+     */
+    "table-layout"?: string;
+    /**
+     * Accepted by: mj-table.
+     */
+    cellpadding?: string;
+    /**
+     * Accepted by: mj-table.
+     */
+    cellspacing?: string;
+    /**
+     * Accepted by: mj-table.
+     */
+    role?: "none" | "presentation";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** Default attributes for all MJML components, overridden by type-level defaults, mj-class and inline attributes. */
+export interface MjAllNode {
+    id: string;
+    type: "mj-all";
+    attributes?: MjAllAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Attributes of mj-class */
+export interface MjClassAttributes {
+    /**
+     * Accepted by: mj-accordion, mj-button, mj-carousel, mj-divider, mj-hero, mj-image, mj-social, mj-spacer, mj-table, mj-text.
+     */
+    "container-background-color"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-table, mj-wrapper.
+     */
+    border?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-accordion-text, mj-accordion-title, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "font-family"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-align"?: "top" | "middle" | "bottom";
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-carousel.
+     */
+    "icon-width"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-social, mj-social-element.
+     */
+    "icon-height"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-wrapped-url"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-wrapped-alt"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-unwrapped-url"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element.
+     */
+    "icon-unwrapped-alt"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-element, mj-social-element.
+     */
+    "icon-position"?: "left" | "right";
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-bottom"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-left"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-right"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    "padding-top"?: string;
+    /**
+     * Accepted by: mj-accordion, mj-accordion-text, mj-accordion-title, mj-button, mj-carousel, mj-column, mj-divider, mj-hero, mj-image, mj-navbar, mj-navbar-link, mj-section, mj-social, mj-social-element, mj-spacer, mj-table, mj-text, mj-wrapper.
+     */
+    padding?: string;
+    /**
+     * Accepted by: mj-accordion-element, mj-accordion-text, mj-accordion-title, mj-body, mj-button, mj-column, mj-group, mj-hero, mj-section, mj-social-element, mj-text, mj-wrapper.
+     */
+    "background-color"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-accordion-title, mj-button, mj-image, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "font-size"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-accordion-title, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "font-weight"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-button, mj-navbar-link, mj-text.
+     */
+    "letter-spacing"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "line-height"?: string;
+    /**
+     * Accepted by: mj-accordion-text, mj-accordion-title, mj-button, mj-navbar-link, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    color?: string;
+    /**
+     * Accepted by: mj-body, mj-button, mj-column, mj-divider, mj-group, mj-image, mj-table.
+     */
+    width?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel, mj-divider, mj-image, mj-navbar, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    align?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-bottom"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-left"?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel, mj-carousel-image, mj-column, mj-hero, mj-image, mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    "border-radius"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-right"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-image, mj-section, mj-spacer, mj-wrapper.
+     */
+    "border-top"?: string;
+    /**
+     * Accepted by: mj-button, mj-navbar-link, mj-social, mj-social-element, mj-text.
+     */
+    "font-style"?: string;
+    /**
+     * Accepted by: mj-button, mj-hero, mj-image, mj-spacer, mj-text.
+     */
+    height?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-navbar-link, mj-social-element.
+     */
+    href?: string;
+    /**
+     * name attribute
+     */
+    name: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-social-element.
+     */
+    title?: string;
+    /**
+     * Accepted by: mj-button, mj-hero, mj-social.
+     */
+    "inner-padding"?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-navbar-link, mj-social-element.
+     */
+    rel?: string;
+    /**
+     * Accepted by: mj-button, mj-carousel-image, mj-image, mj-navbar-link, mj-social-element.
+     */
+    target?: string;
+    /**
+     * Accepted by: mj-button, mj-navbar-link, mj-social, mj-social-element, mj-text.
+     */
+    "text-decoration"?: string;
+    /**
+     * Accepted by: mj-button, mj-navbar-link, mj-text.
+     */
+    "text-transform"?: string;
+    /**
+     * Accepted by: mj-button, mj-column, mj-group, mj-hero, mj-social, mj-social-element, mj-table, mj-text.
+     */
+    "vertical-align"?: string;
+    /**
+     * Accepted by: mj-button, mj-section, mj-wrapper.
+     */
+    "text-align"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "left-icon"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "right-icon"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    thumbnails?: "visible" | "hidden";
+    /**
+     * Accepted by: mj-carousel, mj-carousel-image.
+     */
+    "tb-border"?: string;
+    /**
+     * Accepted by: mj-carousel, mj-carousel-image.
+     */
+    "tb-border-radius"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "tb-hover-border-color"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "tb-selected-border-color"?: string;
+    /**
+     * Accepted by: mj-carousel.
+     */
+    "tb-width"?: string;
+    /**
+     * Accepted by: mj-carousel-image, mj-image, mj-social-element.
+     */
+    alt?: string;
+    /**
+     * Accepted by: mj-carousel-image, mj-image, mj-social-element.
+     */
+    src?: string;
+    /**
+     * Accepted by: mj-carousel-image.
+     */
+    "thumbnails-src"?: string;
+    /**
+     * Accepted by: mj-column, mj-group, mj-section, mj-wrapper.
+     */
+    direction?: "ltr" | "rtl";
+    /**
+     * Accepted by: mj-column, mj-hero.
+     */
+    "inner-background-color"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-bottom"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-left"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-radius"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-right"?: string;
+    /**
+     * Accepted by: mj-column.
+     */
+    "inner-border-top"?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    "border-color"?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    "border-style"?: string;
+    /**
+     * Accepted by: mj-divider.
+     */
+    "border-width"?: string;
+    /**
+     * Accepted by: mj-hero, mj-social.
+     */
+    mode?: string;
+    /**
+     * Accepted by: mj-hero, mj-section, mj-wrapper.
+     */
+    "background-url"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "background-width"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "background-height"?: string;
+    /**
+     * Accepted by: mj-hero, mj-section, mj-wrapper.
+     */
+    "background-position"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-top"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-left"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-right"?: string;
+    /**
+     * Accepted by: mj-hero.
+     */
+    "inner-padding-bottom"?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    srcset?: string;
+    /**
+     * Accepted by: mj-image, mj-social-element.
+     */
+    sizes?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    "fluid-on-mobile"?: "true" | "false";
+    /**
+     * Accepted by: mj-image.
+     */
+    "max-height"?: string;
+    /**
+     * Accepted by: mj-image.
+     */
+    usemap?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "base-url"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    hamburger?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-align"?: "left" | "center" | "right";
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-open"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-close"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-color"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-font-size"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-font-family"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-text-transform"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-left"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-top"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-right"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-padding-bottom"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-text-decoration"?: string;
+    /**
+     * Accepted by: mj-navbar.
+     */
+    "ico-line-height"?: string;
+    /**
+     * Accepted by: mj-raw.
+     */
+    position?: "file-start";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-repeat"?: "repeat" | "no-repeat";
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-size"?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-position-x"?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "background-position-y"?: string;
+    /**
+     * Accepted by: mj-section, mj-wrapper.
+     */
+    "full-width"?: "full-width" | "false" | "";
+    /**
+     * Accepted by: mj-section, mj-social, mj-social-element, mj-wrapper.
+     */
+    "text-padding"?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    "icon-size"?: string;
+    /**
+     * Accepted by: mj-social, mj-social-element.
+     */
+    "icon-padding"?: string;
+    /**
+     * Accepted by: mj-social, mj-table.
+     */
+    "table-layout"?: string;
+    /**
+     * Accepted by: mj-table.
+     */
+    cellpadding?: string;
+    /**
+     * Accepted by: mj-table.
+     */
+    cellspacing?: string;
+    /**
+     * Accepted by: mj-table.
+     */
+    role?: "none" | "presentation";
+    /**
+     * Class name, added to the root HTML element created.
+     */
+    "css-class"?: string;
+}
+
+/** Named group of attributes applied to body components with mj-class="<name>". Children set per-type defaults for the descendants of those components. */
+export interface MjClassNode {
+    id: string;
+    type: "mj-class";
+    attributes: MjClassAttributes;
+    content?: string;
+    children?: Array<MjAccordionNode | MjAccordionElementNode | MjAccordionTextNode | MjAccordionTitleNode | MjBodyNode | MjButtonNode | MjCarouselNode | MjCarouselImageNode | MjColumnNode | MjDividerNode | MjGroupNode | MjHeroNode | MjImageNode | MjNavbarNode | MjNavbarLinkNode | MjRawNode | MjSectionNode | MjSocialNode | MjSocialElementNode | MjSpacerNode | MjTableNode | MjTextNode | MjWrapperNode>;
+}
+
+/** Attributes of mj-include */
+export interface MjIncludeAttributes {
+    /**
+     * Path of the file to include, relative to the including file.
+     */
+    path: string;
+    /**
+     * mjml includes the body (and head) of an MJML file, html inserts the file as mj-raw, css adds it as mj-style.
+     * @default "mjml"
+     */
+    type?: "mjml" | "html" | "css";
+    /**
+     * With type="css", inline the styles like mj-style inline="inline".
+     */
+    "css-inline"?: "inline";
+}
+
+/** The mjml-core package allows you to include external mjml files to build your email template. */
+export interface MjIncludeNode {
+    id: string;
+    type: "mj-include";
+    attributes: MjIncludeAttributes;
+    content?: string;
+    children?: [];
+}
+
+/** Any component node, discriminated by `type` */
+export type MjmlNode =
+    | MjmlRootNode
+    | MjAccordionNode
+    | MjAccordionElementNode
+    | MjAccordionTextNode
+    | MjAccordionTitleNode
+    | MjBodyNode
+    | MjButtonNode
+    | MjCarouselNode
+    | MjCarouselImageNode
+    | MjColumnNode
+    | MjDividerNode
+    | MjGroupNode
+    | MjHeroNode
+    | MjImageNode
+    | MjNavbarNode
+    | MjNavbarLinkNode
+    | MjRawNode
+    | MjSectionNode
+    | MjSocialNode
+    | MjSocialElementNode
+    | MjSpacerNode
+    | MjTableNode
+    | MjTextNode
+    | MjWrapperNode
+    | MjHeadNode
+    | MjAttributesNode
+    | MjBreakpointNode
+    | MjFontNode
+    | MjHtmlAttributesNode
+    | MjPreviewNode
+    | MjStyleNode
+    | MjTitleNode
+    | MjAllNode
+    | MjClassNode
+    | MjIncludeNode;
+
+/** Component type names */
+export type MjmlComponentType = MjmlNode['type'];
+
+/** Attribute interface for each component type */
+export interface MjmlAttributesMap {
+    "mjml": MjmlRootAttributes;
+    "mj-accordion": MjAccordionAttributes;
+    "mj-accordion-element": MjAccordionElementAttributes;
+    "mj-accordion-text": MjAccordionTextAttributes;
+    "mj-accordion-title": MjAccordionTitleAttributes;
+    "mj-body": MjBodyAttributes;
+    "mj-button": MjButtonAttributes;
+    "mj-carousel": MjCarouselAttributes;
+    "mj-carousel-image": MjCarouselImageAttributes;
+    "mj-column": MjColumnAttributes;
+    "mj-divider": MjDividerAttributes;
+    "mj-group": MjGroupAttributes;
+    "mj-hero": MjHeroAttributes;
+    "mj-image": MjImageAttributes;
+    "mj-navbar": MjNavbarAttributes;
+    "mj-navbar-link": MjNavbarLinkAttributes;
+    "mj-raw": MjRawAttributes;
+    "mj-section": MjSectionAttributes;
+    "mj-social": MjSocialAttributes;
+    "mj-social-element": MjSocialElementAttributes;
+    "mj-spacer": MjSpacerAttributes;
+    "mj-table": MjTableAttributes;
+    "mj-text": MjTextAttributes;
+    "mj-wrapper": MjWrapperAttributes;
+    "mj-head": MjHeadAttributes;
+    "mj-attributes": MjAttributesAttributes;
+    "mj-breakpoint": MjBreakpointAttributes;
+    "mj-font": MjFontAttributes;
+    "mj-html-attributes": MjHtmlAttributesAttributes;
+    "mj-preview": MjPreviewAttributes;
+    "mj-style": MjStyleAttributes;
+    "mj-title": MjTitleAttributes;
+    "mj-all": MjAllAttributes;
+    "mj-class": MjClassAttributes;
+    "mj-include": MjIncludeAttributes;
+}
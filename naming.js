@@ -0,0 +1,75 @@
+/**
+ * Attribute Naming Conversion
+ *
+ * MJML attributes are kebab-case (background-color), while JSON editors
+ * usually store camelCase keys (backgroundColor). These helpers convert
+ * attribute names, and whole component trees, between the two conventions.
+ */
+
+export const NAMING_MODES = ['kebab', 'camel'];
+
+/**
+ * Convert camelCase attribute name to kebab-case
+ */
+export function camelToKebab(str) {
+    return str.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Convert kebab-case attribute name to camelCase
+ */
+export function kebabToCamel(str) {
+    return str.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Convert an attribute name to the given naming mode
+ */
+export function convertAttributeName(name, naming) {
+    if (!NAMING_MODES.includes(naming)) {
+        throw new Error(`Unknown naming mode "${naming}" (expected one of: ${NAMING_MODES.join(', ')})`);
+    }
+    return naming === 'camel' ? kebabToCamel(name) : camelToKebab(name);
+}
+
+/**
+ * Return a copy of a component tree with every node's attribute keys
+ * converted to the given naming mode. Other node fields are left untouched.
+ */
+export function convertTree(node, naming) {
+    if (Array.isArray(node)) {
+        return node.map(child => convertTree(child, naming));
+    }
+    if (!node || typeof node !== 'object') {
+        return node;
+    }
+
+    const result = { ...node };
+
+    if (node.attributes && typeof node.attributes === 'object') {
+        result.attributes = {};
+        for (const [name, value] of Object.entries(node.attributes)) {
+            result.attributes[convertAttributeName(name, naming)] = value;
+        }
+    }
+
+    if (Array.isArray(node.children)) {
+        result.children = node.children.map(child => convertTree(child, naming));
+    }
+
+    return result;
+}
+
+/**
+ * Convert a tree's attribute keys to camelCase (editor format)
+ */
+export function toCamelCase(tree) {
+    return convertTree(tree, 'camel');
+}
+
+/**
+ * Convert a tree's attribute keys to kebab-case (MJML format)
+ */
+export function toKebabCase(tree) {
+    return convertTree(tree, 'kebab');
+}
@@ -0,0 +1,264 @@
+/**
+ * MJML Markup to JSON Tree Parser
+ *
+ * Parses MJML with mjml-parser-xml (the parser mjml2html uses) and converts
+ * the result into {id, type, attributes, content, children} nodes that
+ * validate against the generated schemas.
+ */
+
+import parseXml from 'mjml-parser-xml';
+// Registers the core components (endingTag, allowedAttributes) with mjml-core
+import 'mjml';
+import { components } from 'mjml-core';
+import { convertTree } from './naming.js';
+import { isEndingTag } from './to_mjml.js';
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+// mjml-parser-xml inlines or drops <mj-include> itself; renaming the tag
+// beforehand keeps it in the tree as a node (see resolve_includes.js)
+const INCLUDE_TAG = 'mj-include';
+const INCLUDE_PLACEHOLDER = 'mj-include-node';
+
+/**
+ * Parse error carrying the 1-based line and column of the offending markup,
+ * or null for both when the position is unknown
+ */
+export class MjmlParseError extends Error {
+    constructor(message, line = null, column = null) {
+        super(line === null ? message : `${message} (line ${line}, column ${column})`);
+        this.name = 'MjmlParseError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * Build a function mapping a string offset to its line and column
+ */
+function createPositionLookup(xml) {
+    const lineStarts = [0];
+    for (let i = 0; i < xml.length; i++) {
+        if (xml[i] === '\n') {
+            lineStarts.push(i + 1);
+        }
+    }
+
+    return offset => {
+        let line = 0;
+        while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+            line++;
+        }
+        return { line: line + 1, column: offset - lineStarts[line] + 1 };
+    };
+}
+
+/**
+ * Check that tags are balanced before handing the markup to mjml-parser-xml,
+ * which silently closes or drops mismatched tags. The inner HTML of
+ * ending-tag components is skipped, since it does not have to be XML.
+ */
+function checkWellFormed(xml) {
+    const position = createPositionLookup(xml);
+    const fail = (message, offset) => {
+        const { line, column } = position(offset);
+        throw new MjmlParseError(message, line, column);
+    };
+
+    const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|</g;
+    const stack = [];
+    let rootClosed = false;
+    let match;
+
+    while ((match = tokenPattern.exec(xml)) !== null) {
+        const [token, closeName, openName, , selfClosing] = match;
+
+        if (token.startsWith('<!')) {
+            continue;
+        }
+
+        if (token === '<') {
+            fail('Malformed tag', match.index);
+        }
+
+        if (closeName) {
+            const expected = stack[stack.length - 1];
+            if (!expected) {
+                fail(`Unexpected closing tag </${closeName}>`, match.index);
+            }
+            if (expected.name !== closeName) {
+                fail(`Unexpected closing tag </${closeName}>, expected </${expected.name}>`, match.index);
+            }
+            stack.pop();
+            rootClosed = stack.length === 0;
+            continue;
+        }
+
+        if (rootClosed) {
+            fail(`Unexpected <${openName}> after the root element`, match.index);
+        }
+
+        if (selfClosing) {
+            rootClosed = stack.length === 0;
+            continue;
+        }
+
+        if (isEndingTag(openName)) {
+            // Skip raw inner HTML up to the matching closing tag
+            const nestedPattern = new RegExp(`<(/?)${openName}(?=[\\s/>])[^>]*?(/?)>`, 'g');
+            nestedPattern.lastIndex = tokenPattern.lastIndex;
+            let depth = 1;
+            let nested;
+            while (depth > 0 && (nested = nestedPattern.exec(xml)) !== null) {
+                if (nested[1]) {
+                    depth--;
+                } else if (!nested[2]) {
+                    depth++;
+                }
+            }
+            if (depth > 0) {
+                fail(`Unclosed tag <${openName}>`, match.index);
+            }
+            tokenPattern.lastIndex = nestedPattern.lastIndex;
+            rootClosed = stack.length === 0;
+            continue;
+        }
+
+        stack.push({ name: openName, offset: match.index });
+    }
+
+    if (stack.length > 0) {
+        const unclosed = stack[stack.length - 1];
+        fail(`Unclosed tag <${unclosed.name}>`, unclosed.offset);
+    }
+}
+
+/**
+ * Decode the entities the serializer escapes
+ */
+function decodeEntities(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Split a CSS box shorthand ("10px 20px") into top/right/bottom/left values
+ */
+export function splitBoxShorthand(value) {
+    const parts = String(value).trim().split(/\s+/);
+    switch (parts.length) {
+        case 1: return [parts[0], parts[0], parts[0], parts[0]];
+        case 2: return [parts[0], parts[1], parts[0], parts[1]];
+        case 3: return [parts[0], parts[1], parts[2], parts[1]];
+        case 4: return parts;
+        default: return null;
+    }
+}
+
+/**
+ * Replace compound `padding` and `border` with their explicit sides on a
+ * kebab-case attribute object, when the component accepts all four sides.
+ * Sides that are already set win, as they do in MJML.
+ */
+export function normalizeCompoundAttributes(type, attributes) {
+    const allowed = (components[type] && components[type].allowedAttributes) || {};
+    const result = { ...attributes };
+
+    for (const compound of ['padding', 'border']) {
+        if (result[compound] === undefined || !SIDES.every(side => `${compound}-${side}` in allowed)) {
+            continue;
+        }
+
+        const values = compound === 'padding'
+            ? splitBoxShorthand(result[compound])
+            : SIDES.map(() => String(result[compound]).trim());
+        if (!values) {
+            continue;
+        }
+
+        SIDES.forEach((side, index) => {
+            const name = `${compound}-${side}`;
+            if (result[name] === undefined) {
+                result[name] = values[index];
+            }
+        });
+        delete result[compound];
+    }
+
+    return result;
+}
+
+/**
+ * Convert an mjml-parser-xml node into a schema node
+ */
+function convertNode(xmlNode, context) {
+    const type = xmlNode.tagName === INCLUDE_PLACEHOLDER ? INCLUDE_TAG : xmlNode.tagName;
+    const prefix = type === 'mjml' ? 'root' : type.replace(/^mj-/, '');
+    context.counters[prefix] = (context.counters[prefix] || 0) + 1;
+
+    const node = {
+        id: `${prefix}-${context.counters[prefix]}`,
+        type
+    };
+
+    let attributes = {};
+    for (const [name, value] of Object.entries(xmlNode.attributes || {})) {
+        attributes[name] = decodeEntities(String(value));
+    }
+    if (context.normalize) {
+        attributes = normalizeCompoundAttributes(type, attributes);
+    }
+    if (Object.keys(attributes).length > 0) {
+        node.attributes = attributes;
+    }
+
+    if (typeof xmlNode.content === 'string' && xmlNode.content.length > 0) {
+        // Ending-tag inner HTML is kept verbatim
+        const content = xmlNode.content.split(`<${INCLUDE_PLACEHOLDER}`).join(`<${INCLUDE_TAG}`);
+        node.content = isEndingTag(type) ? content : decodeEntities(content);
+    }
+
+    if (xmlNode.children && xmlNode.children.length > 0) {
+        node.children = xmlNode.children.map(child => convertNode(child, context));
+    }
+
+    return node;
+}
+
+/**
+ * Parse MJML markup into a component tree.
+ *
+ * Options:
+ * - normalize: split compound padding/border into explicit sides (default: false)
+ * - naming: attribute key naming, 'kebab' or 'camel' (default: 'kebab')
+ * - keepComments: keep comments as mj-raw nodes (default: true)
+ *
+ * mj-include tags are kept as mj-include nodes; inline them with
+ * resolveIncludes() from resolve_includes.js.
+ *
+ * Throws MjmlParseError on malformed markup, with line and column when
+ * they are known (mjml-parser-xml's own errors have no position).
+ */
+export function parseMjml(xml, { normalize = false, naming = 'kebab', keepComments = true } = {}) {
+    checkWellFormed(xml);
+
+    let xmlTree;
+    try {
+        xmlTree = parseXml(xml.replace(/<(\/?)mj-include(?=[\s/>])/g, `<$1${INCLUDE_PLACEHOLDER}`), {
+            components,
+            keepComments,
+            convertBooleans: false,
+            addEmptyAttributes: false,
+            ignoreIncludes: true
+        });
+    } catch (error) {
+        throw new MjmlParseError(error.message);
+    }
+
+    const tree = convertNode(xmlTree, { normalize, counters: {} });
+    return naming === 'kebab' ? tree : convertTree(tree, naming);
+}
@@ -0,0 +1,208 @@
+/**
+ * Extractor Config and Plugins
+ *
+ * Loads the extractor config: modules providing in-house component classes
+ * (the ones registered with mjml-core's registerComponent), hierarchy
+ * declarations for them, and per-profile rules that exclude, re-admit or
+ * override components and attributes (resolved by profiles.js). The config
+ * is a mjml-schema.config.js/.mjs module (default export) or a
+ * mjml-schema.config.json file:
+ *
+ *   export default {
+ *       components: ['./components/mj-product.js'],
+ *       hierarchy: { 'mj-column': ['mj-product'], 'mj-product': [] },
+ *       profiles: {
+ *           ai: {
+ *               excludeComponents: ['mj-social'],
+ *               attributes: { 'mj-product': { sku: { pattern: '^[A-Z0-9-]+$' } } }
+ *           }
+ *       }
+ *   };
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { PROFILE_NAMES } from './profiles.js';
+
+// Files looked up in the working directory when no config is given
+export const CONFIG_FILES = ['mjml-schema.config.js', 'mjml-schema.config.mjs', 'mjml-schema.config.json'];
+
+const PROFILE_LISTS = ['excludeComponents', 'includeComponents', 'excludeAttributes', 'includeAttributes'];
+const PROFILE_MAPS = ['components', 'attributes'];
+
+// Spec fields a profile can override on a component
+const COMPONENT_OVERRIDES = ['description', 'requiredAttributes'];
+
+/**
+ * Error for a config that cannot be loaded or names things that do not
+ * exist. problems lists every problem found.
+ */
+export class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n${problems.map(problem => `  ${problem}`).join('\n')}` : message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Check the shape of a config (not the names it uses; see checkConfig)
+ */
+function checkShape(config) {
+    const problems = [];
+    for (const key of Object.keys(config)) {
+        if (!['components', 'hierarchy', 'profiles'].includes(key)) {
+            problems.push(`unknown key "${key}" (expected components, hierarchy, profiles)`);
+        }
+    }
+    if (config.components !== undefined && !isStringList(config.components)) {
+        problems.push('components must be a list of module paths or package names');
+    }
+    if (config.hierarchy !== undefined && !(isPlainObject(config.hierarchy) && Object.values(config.hierarchy).every(isStringList))) {
+        problems.push('hierarchy must map component names to lists of child component names');
+    }
+    if (config.profiles !== undefined && !isPlainObject(config.profiles)) {
+        problems.push('profiles must be an object keyed by profile name');
+    }
+    for (const [profile, section] of Object.entries(isPlainObject(config.profiles) ? config.profiles : {})) {
+        if (!PROFILE_NAMES.includes(profile)) {
+            problems.push(`profiles.${profile}: unknown profile (expected one of: ${PROFILE_NAMES.join(', ')})`);
+            continue;
+        }
+        for (const [key, value] of Object.entries(isPlainObject(section) ? section : {})) {
+            if (PROFILE_LISTS.includes(key)) {
+                if (!isStringList(value)) {
+                    problems.push(`profiles.${profile}.${key} must be a list of names`);
+                }
+            } else if (PROFILE_MAPS.includes(key)) {
+                if (!isPlainObject(value) || !Object.values(value).every(isPlainObject)) {
+                    problems.push(`profiles.${profile}.${key} must map component names to objects`);
+                }
+            } else {
+                problems.push(`profiles.${profile}: unknown key "${key}" (expected ${[...PROFILE_LISTS, ...PROFILE_MAPS].join(', ')})`);
+            }
+        }
+        if (!isPlainObject(section)) {
+            problems.push(`profiles.${profile} must be an object`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Load the extractor config.
+ *
+ * file is the config to load; without one, the CONFIG_FILES are looked up
+ * in cwd and null is returned when there is none. Throws a ConfigError
+ * when the file cannot be read or has the wrong shape.
+ *
+ * Returns { file, components, hierarchy, profiles } with file the absolute
+ * path module paths are resolved against.
+ */
+export async function loadConfig(file = null, { cwd = process.cwd() } = {}) {
+    const configFile = file
+        ? path.resolve(cwd, file)
+        : CONFIG_FILES.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate));
+    if (!configFile) {
+        return null;
+    }
+
+    let config;
+    try {
+        config = configFile.endsWith('.json')
+            ? JSON.parse(fs.readFileSync(configFile, 'utf8'))
+            : (await import(pathToFileURL(configFile).href)).default;
+    } catch (error) {
+        throw new ConfigError(`Could not load ${configFile}: ${error.message}`);
+    }
+    if (!isPlainObject(config)) {
+        throw new ConfigError(`${configFile} must ${configFile.endsWith('.json') ? 'hold' : 'export as default'} an object`);
+    }
+
+    const problems = checkShape(config);
+    if (problems.length > 0) {
+        throw new ConfigError(`Invalid config ${configFile}`, problems);
+    }
+
+    return {
+        file: configFile,
+        components: config.components || [],
+        hierarchy: config.hierarchy || {},
+        profiles: config.profiles || {}
+    };
+}
+
+/**
+ * Import the component modules of a config. Paths starting with . or / are
+ * local modules, resolved against the config file; anything else is a
+ * package, resolved from the config file's directory.
+ *
+ * Returns [{ packageName, componentModule }] where packageName is the
+ * module as the config names it.
+ */
+export async function importComponentModules(config) {
+    const modules = [];
+    for (const specifier of (config && config.components) || []) {
+        const local = specifier.startsWith('.') || path.isAbsolute(specifier);
+        try {
+            const resolved = local
+                ? path.resolve(path.dirname(config.file), specifier)
+                : createRequire(config.file).resolve(specifier);
+            modules.push({ packageName: specifier, componentModule: await import(pathToFileURL(resolved).href) });
+        } catch (error) {
+            throw new ConfigError(`Could not import ${specifier} (from ${config.file}): ${error.message}`);
+        }
+    }
+    return modules;
+}
+
+/**
+ * Check that a config only names components and attributes the extracted
+ * specs have. Throws a ConfigError listing every unknown name.
+ */
+export function checkConfig(config, specs) {
+    const problems = [];
+    const checkComponent = (componentName, where) => {
+        if (!specs[componentName]) {
+            problems.push(`${where}: unknown component "${componentName}"`);
+            return false;
+        }
+        return true;
+    };
+
+    for (const [parent, children] of Object.entries(config.hierarchy)) {
+        checkComponent(parent, 'hierarchy');
+        children.forEach(child => checkComponent(child, `hierarchy.${parent}`));
+    }
+
+    for (const [profile, section] of Object.entries(config.profiles)) {
+        for (const key of ['excludeComponents', 'includeComponents']) {
+            (section[key] || []).forEach(componentName => checkComponent(componentName, `profiles.${profile}.${key}`));
+        }
+        for (const [componentName, overrides] of Object.entries(section.components || {})) {
+            if (!checkComponent(componentName, `profiles.${profile}.components`)) {
+                continue;
+            }
+            for (const field of Object.keys(overrides).filter(field => !COMPONENT_OVERRIDES.includes(field))) {
+                problems.push(`profiles.${profile}.components.${componentName}: "${field}" cannot be overridden (expected ${COMPONENT_OVERRIDES.join(', ')})`);
+            }
+        }
+        for (const [componentName, attributes] of Object.entries(section.attributes || {})) {
+            if (!checkComponent(componentName, `profiles.${profile}.attributes`)) {
+                continue;
+            }
+            for (const attrName of Object.keys(attributes).filter(attrName => !(attrName in specs[componentName].attributes))) {
+                problems.push(`profiles.${profile}.attributes.${componentName}: ${componentName} has no attribute "${attrName}"`);
+            }
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(`Invalid config ${config.file}`, problems);
+    }
+}
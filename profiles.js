@@ -0,0 +1,95 @@
+/**
+ * Schema Profiles
+ *
+ * Component and attribute restrictions for each generated schema profile.
+ * Used by the extractor, which filters the schema and records the
+ * exclusions in it (x-excluded) for the validator to report uses of
+ * excluded names explicitly.
+ */
+
+// Components to exclude for AI use
+export const AI_EXCLUDED_COMPONENTS = [
+    'mj-table',
+    'mj-accordion',
+    'mj-accordion-element',
+    'mj-accordion-title',
+    'mj-accordion-text',
+    'mj-hero',
+    'mj-navbar',
+    'mj-navbar-link',
+    'mj-carousel',
+    'mj-carousel-image'
+];
+
+// Attributes to exclude for AI use (compound and inner- attributes)
+export const AI_EXCLUDED_ATTRIBUTES = [
+    'padding',         // Use padding-top, padding-right, etc. instead
+    'border',          // Use border-top, border-right, etc. instead
+    'inner-padding',
+    'inner-padding-top',
+    'inner-padding-right',
+    'inner-padding-bottom',
+    'inner-padding-left',
+    'inner-border',
+    'inner-border-top',
+    'inner-border-right',
+    'inner-border-bottom',
+    'inner-border-left',
+    'inner-border-radius',
+    'inner-background-color'
+];
+
+// Profiles whose rules a config can change; strict starts from the AI rules
+export const PROFILE_NAMES = ['full', 'ai', 'strict'];
+
+const DEFAULT_RULES = {
+    full: { excludedComponents: [], excludedAttributes: [] },
+    ai: { excludedComponents: AI_EXCLUDED_COMPONENTS, excludedAttributes: AI_EXCLUDED_ATTRIBUTES }
+};
+
+/**
+ * Add names to an exclusion list and take others off it
+ */
+function updateExclusions(list, exclude = [], include = []) {
+    return [...list, ...exclude.filter(name => !list.includes(name))].filter(name => !include.includes(name));
+}
+
+/**
+ * Resolve the rules of a profile: the default exclusions with a config's
+ * profiles.<name> section applied (see plugins.js). strict applies the ai
+ * section before its own.
+ *
+ * Returns { excludedComponents, excludedAttributes, components, attributes }
+ * where components maps component names to overrides of their spec
+ * (description, requiredAttributes) and attributes maps component names to
+ * { <attribute>: overrides of its JSON Schema definition }.
+ */
+export function resolveProfileRules(profile, config = null) {
+    if (!PROFILE_NAMES.includes(profile)) {
+        throw new Error(`Unknown profile "${profile}" (expected one of: ${PROFILE_NAMES.join(', ')})`);
+    }
+    const sections = profile === 'strict' ? ['ai', 'strict'] : [profile];
+    const base = DEFAULT_RULES[profile === 'strict' ? 'ai' : profile];
+    const rules = {
+        excludedComponents: [...base.excludedComponents],
+        excludedAttributes: [...base.excludedAttributes],
+        components: {},
+        attributes: {}
+    };
+
+    for (const section of sections.map(name => ((config && config.profiles) || {})[name]).filter(Boolean)) {
+        rules.excludedComponents = updateExclusions(rules.excludedComponents, section.excludeComponents, section.includeComponents);
+        rules.excludedAttributes = updateExclusions(rules.excludedAttributes, section.excludeAttributes, section.includeAttributes);
+        for (const [componentName, overrides] of Object.entries(section.components || {})) {
+            rules.components[componentName] = { ...rules.components[componentName], ...overrides };
+        }
+        for (const [componentName, attributes] of Object.entries(section.attributes || {})) {
+            rules.attributes[componentName] = { ...rules.attributes[componentName] };
+            for (const [attrName, overrides] of Object.entries(attributes)) {
+                rules.attributes[componentName][attrName] = { ...rules.attributes[componentName][attrName], ...overrides };
+            }
+        }
+    }
+
+    return rules;
+}
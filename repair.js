@@ -0,0 +1,310 @@
+/**
+ * Tree Repair
+ *
+ * Applies mechanical fixes to near-valid component trees (typically LLM
+ * output) so they pass a schema profile: missing units, wrong-case enum
+ * values, compound padding/border the profile excludes, content placed
+ * outside a column, and missing or duplicate ids. Fixes are driven by the
+ * MJML types and hierarchy rules in mjml-specs-raw.json; a fix is only
+ * applied when the result is valid. Everything else is left to the caller
+ * as validation issues.
+ */
+
+import fs from 'fs';
+import { validate, getExclusions } from './validate.js';
+import { mjmlTypeToJsonSchema } from './extract_specs.js';
+import { splitBoxShorthand } from './parse_mjml.js';
+import { camelToKebab, convertAttributeName } from './naming.js';
+
+const SPECS_FILE = new URL('./mjml-specs-raw.json', import.meta.url);
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Containers orphans can be wrapped in, outermost first
+const WRAPPER_CHAINS = [['mj-column'], ['mj-section'], ['mj-section', 'mj-column']];
+
+let bundledSpecs = null;
+
+/**
+ * Load (once) the bundled raw specs
+ */
+function loadSpecs() {
+    if (!bundledSpecs) {
+        bundledSpecs = JSON.parse(fs.readFileSync(SPECS_FILE, 'utf8'));
+    }
+    return bundledSpecs;
+}
+
+/**
+ * Label a node for change messages: type plus id
+ */
+function describeNode(node) {
+    return `${node.type}${node.id ? ` "${node.id}"` : ''}`;
+}
+
+/**
+ * Whether a value satisfies the JSON Schema definition of an MJML type
+ */
+function acceptsValue(definition, value) {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    if (definition.enum) {
+        return definition.enum.includes(value);
+    }
+    return !definition.pattern || new RegExp(definition.pattern).test(value);
+}
+
+/**
+ * Normalize one value of a unit type: lower-case, and the type's first unit
+ * added to bare numbers (unless the type accepts unitless numbers)
+ */
+function normalizeUnitValue(value, mjmlType) {
+    const match = mjmlType.match(/^(?:unit|unitWithNegative)\((.*?)\)/);
+    const units = match[1].split(',').map(unit => unit.trim());
+    const [defaultUnit] = units.filter(unit => unit.length > 0 && unit !== 'auto');
+    const unitPattern = units.filter(Boolean).map(unit => unit.replace(/[%]/g, '\\$&')).join('|');
+
+    return String(value)
+        .trim()
+        .toLowerCase()
+        // "10 px" → "10px"
+        .replace(new RegExp(`(\\d)\\s+(${unitPattern})(?=\\s|$)`, 'g'), '$1$2')
+        .split(/\s+/)
+        .map(part => (/^-?(\d+(\.\d+)?|\.\d+)$/.test(part) && Number(part) !== 0 && !units.includes('') && defaultUnit
+            ? `${part}${defaultUnit}`
+            : part))
+        .join(' ');
+}
+
+/**
+ * Candidate fix for an attribute value of an MJML type, or the value
+ * itself when there is nothing to normalize
+ */
+function normalizeValue(value, mjmlType, definition) {
+    if (/^(unit|unitWithNegative)\(/.test(mjmlType)) {
+        return normalizeUnitValue(value, mjmlType);
+    }
+    if (definition.enum) {
+        const lower = String(value).trim().toLowerCase();
+        return definition.enum.find(option => option.toLowerCase() === lower) ?? value;
+    }
+    if (mjmlType === 'color') {
+        const color = String(value).trim();
+        if (/^([0-9a-f]{3}){1,2}$/i.test(color)) {
+            return `#${color}`;
+        }
+        return /^[a-z]+$/i.test(color) ? color.toLowerCase() : color;
+    }
+    if (mjmlType === 'integer' && /^\s*\d+\s*$/.test(String(value))) {
+        return String(value).trim();
+    }
+    return value;
+}
+
+/**
+ * Create an id generator that numbers ids per type like parseMjml does
+ * ("text-3") and never hands out an id that is already taken
+ */
+function createIdGenerator(taken) {
+    const counters = {};
+    return type => {
+        const prefix = type === 'mjml' ? 'root' : String(type).replace(/^mj-/, '');
+        let id;
+        do {
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            id = `${prefix}-${counters[prefix]}`;
+        } while (taken.has(id));
+        taken.add(id);
+        return id;
+    };
+}
+
+/**
+ * The chain of containers that makes a child valid under a parent it
+ * cannot be placed in directly, or null
+ */
+function findWrapperChain(parentType, childType, specs) {
+    const allows = (type, child) => ((specs[type] || {}).allowedChildren || []).includes(child);
+    return WRAPPER_CHAINS.find(chain => allows(parentType, chain[0])
+        && chain.every((type, index) => allows(type, chain[index + 1] || childType))) || null;
+}
+
+/**
+ * Repair a component tree for a schema profile.
+ *
+ * Fixes, in order:
+ * - wrap children a parent does not accept in the containers that make
+ *   them valid (mj-column, mj-section or both), consecutive orphans
+ *   sharing one wrapper
+ * - give nodes with a missing or duplicate id a new one (the first node
+ *   keeps a duplicated id)
+ * - split compound padding and border into their sides when the profile
+ *   excludes them (ai, strict) and the component has the sides; sides that
+ *   are already set win
+ * - normalize typed attribute values: add the default unit to bare
+ *   numbers, lower-case enum values and color names, prefix bare hex colors
+ *   with #, turn integer numbers into digit strings
+ *
+ * Options:
+ * - naming: attribute naming of the tree (default: kebab for full, camel otherwise)
+ * - specs: raw specs to read types and hierarchy rules from (default: the bundled mjml-specs-raw.json)
+ * - schema: schema to validate against (see validate()), e.g. one extracted
+ *   with the same config as specs
+ *
+ * Returns { tree, valid, changes, issues }: the repaired copy of the tree
+ * (the input is not modified), the changes as { action, path, nodeId,
+ * type, attribute, from, to, message } with the node's path in the
+ * repaired tree, and the validation issues that remain.
+ */
+export function repair(tree, profile = 'full', { naming = null, specs = null, schema = null } = {}) {
+    const rawSpecs = specs || loadSpecs();
+    const attributeNaming = naming || (profile === 'full' ? 'kebab' : 'camel');
+    const excludedAttributes = getExclusions(profile, schema).attributes;
+    const fixed = structuredClone(tree);
+    const changes = [];
+
+    const taken = new Set();
+    const collectIds = node => {
+        if (node && typeof node.id === 'string' && node.id.length > 0) {
+            taken.add(node.id);
+        }
+        (Array.isArray(node && node.children) ? node.children : []).forEach(collectIds);
+    };
+    collectIds(fixed);
+    const nextId = createIdGenerator(taken);
+
+    const record = (action, node, path, attribute, from, to, message) => {
+        changes.push({ action, path, nodeId: typeof node.id === 'string' ? node.id : null, type: node.type, attribute, from, to, message });
+    };
+
+    const wrapOrphans = (node, path) => {
+        if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+            return;
+        }
+        const spec = Object.hasOwn(rawSpecs, node.type) ? rawSpecs[node.type] : null;
+        if (!spec || !Array.isArray(node.children)) {
+            return;
+        }
+
+        const children = [];
+        const groups = [];
+        let group = null;
+        for (const child of node.children) {
+            const chain = child && typeof child.type === 'string' && rawSpecs[child.type] && !(spec.allowedChildren || []).includes(child.type)
+                ? findWrapperChain(node.type, child.type, rawSpecs)
+                : null;
+            if (!chain) {
+                group = null;
+                children.push(child);
+                continue;
+            }
+            if (group && group.chain === chain) {
+                group.inner.children.push(child);
+                group.moved.push(child);
+                continue;
+            }
+
+            const outer = { id: nextId(chain[0]), type: chain[0], children: [] };
+            let inner = outer;
+            for (const type of chain.slice(1)) {
+                const wrapper = { id: nextId(type), type, children: [] };
+                inner.children.push(wrapper);
+                inner = wrapper;
+            }
+            inner.children.push(child);
+            group = { chain, outer, inner, moved: [child], index: children.length };
+            groups.push(group);
+            children.push(outer);
+        }
+        node.children = children;
+
+        for (const { chain, outer, moved, index } of groups) {
+            const types = [...new Set(moved.map(child => child.type))];
+            record('wrap', outer, `${path}/children/${index}`, null, null, null,
+                `Wrapped ${moved.map(describeNode).join(', ')} in a new ${chain.join(' > ')} ${JSON.stringify(outer.id)}: ${describeNode(node)} cannot contain ${types.join(', ')} directly`);
+        }
+
+        node.children.forEach((child, index) => wrapOrphans(child, `${path}/children/${index}`));
+    };
+
+    const seenIds = new Set();
+    const repairNode = (node, path) => {
+        if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+            return;
+        }
+
+        if (typeof node.id !== 'string' || node.id.length === 0 || seenIds.has(node.id)) {
+            const previous = node.id;
+            // Keep id as the first key, where serialized trees have it
+            const rest = { ...node };
+            delete rest.id;
+            Object.keys(node).forEach(key => delete node[key]);
+            Object.assign(node, { id: nextId(rest.type) }, rest);
+            record('regenerate-id', node, path, null, previous ?? null, node.id,
+                previous === undefined || previous === '' ? `${describeNode(node)}: added the missing id` : `${describeNode(node)}: replaced ${JSON.stringify(previous)}, which is ${typeof previous === 'string' ? 'used by an earlier node' : 'not a string'}`);
+        }
+        seenIds.add(node.id);
+
+        const spec = rawSpecs[node.type];
+        if (spec && node.attributes && typeof node.attributes === 'object') {
+            const allowed = spec.allowedAttributes || {};
+            const keys = new Map(Object.keys(node.attributes).map(key => [camelToKebab(key), key]));
+
+            for (const compound of ['padding', 'border']) {
+                const key = keys.get(compound);
+                const value = key === undefined ? null : node.attributes[key];
+                if (value === null || !excludedAttributes.includes(compound) || !SIDES.every(side => `${compound}-${side}` in allowed)) {
+                    continue;
+                }
+                const values = compound === 'padding' ? splitBoxShorthand(value) : SIDES.map(() => String(value).trim());
+                if (!values) {
+                    continue;
+                }
+                const sides = {};
+                SIDES.forEach((side, index) => {
+                    const name = `${compound}-${side}`;
+                    if (keys.has(name) && node.attributes[keys.get(name)] !== null) {
+                        return;
+                    }
+                    const sideKey = convertAttributeName(name, attributeNaming);
+                    node.attributes[sideKey] = values[index];
+                    keys.set(name, sideKey);
+                    sides[sideKey] = values[index];
+                });
+                delete node.attributes[key];
+                keys.delete(compound);
+                record('split-compound', node, path, key, value, sides,
+                    `${describeNode(node)}: split ${key} ${JSON.stringify(value)} into ${Object.keys(sides).length > 0 ? Object.entries(sides).map(([side, sideValue]) => `${side} ${JSON.stringify(sideValue)}`).join(', ') : 'the sides already set'}`);
+            }
+
+            for (const [name, key] of keys) {
+                const value = node.attributes[key];
+                const mjmlType = allowed[name];
+                if (value === null || value === undefined || !mjmlType || mjmlType === 'string') {
+                    continue;
+                }
+                const definition = mjmlTypeToJsonSchema(mjmlType, name, (spec.defaultAttributes || {})[name]);
+                if (acceptsValue(definition, value)) {
+                    continue;
+                }
+                const candidate = normalizeValue(value, mjmlType, definition);
+                if (candidate === value || !acceptsValue(definition, candidate)) {
+                    continue;
+                }
+                node.attributes[key] = candidate;
+                const addedUnit = /^(unit|unitWithNegative)\(/.test(mjmlType) && /^[\d\s.-]+$/.test(String(value).trim());
+                record(addedUnit ? 'add-unit' : 'normalize-value', node, path, key, value, candidate,
+                    `${describeNode(node)}: ${key} ${JSON.stringify(value)} → ${JSON.stringify(candidate)}${addedUnit ? ' (added the default unit)' : ''}`);
+            }
+        }
+
+        (Array.isArray(node.children) ? node.children : []).forEach((child, index) => repairNode(child, `${path}/children/${index}`));
+    };
+
+    wrapOrphans(fixed, '');
+    repairNode(fixed, '');
+
+    const { valid, issues } = validate(fixed, { profile, schema });
+    return { tree: fixed, valid, changes, issues };
+}
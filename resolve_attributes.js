@@ -0,0 +1,213 @@
+/**
+ * Effective Attribute Resolver
+ *
+ * Computes the attributes each body node renders with, applying the same
+ * precedence as mjml-core: package default → mj-all → attribute passed down
+ * by the parent (e.g. mj-social's color) → type-level default (e.g.
+ * <mj-text> in mj-attributes) → mj-class → inline attribute.
+ */
+
+// Registers the core components (defaultAttributes, allowedAttributes) with mjml-core
+import 'mjml';
+import { components } from 'mjml-core';
+import { convertTree, convertAttributeName } from './naming.js';
+
+// Attributes a parent passes to its children when it has a value for them
+// (mjml-core renderChildren), by parent type
+const PASSED_ATTRIBUTES = {
+    'mj-social': [
+        'border-radius', 'color', 'font-family', 'font-size', 'font-weight', 'font-style', 'icon-size',
+        'icon-height', 'icon-padding', 'text-padding', 'line-height', 'text-decoration'
+    ],
+    'mj-accordion': [
+        'border', 'icon-align', 'icon-width', 'icon-height', 'icon-position',
+        'icon-wrapped-url', 'icon-wrapped-alt', 'icon-unwrapped-url', 'icon-unwrapped-alt'
+    ],
+    'mj-accordion-element': [
+        'border', 'icon-align', 'icon-width', 'icon-height', 'icon-position',
+        'icon-wrapped-url', 'icon-wrapped-alt', 'icon-unwrapped-url', 'icon-unwrapped-alt'
+    ]
+};
+
+const isNode = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Children of a node as [index, child] pairs, skipping anything that is not
+ * a node; malformed trees are left to validate() to report
+ */
+function childNodes(node) {
+    return isNode(node) && Array.isArray(node.children)
+        ? [...node.children.entries()].filter(([, child]) => isNode(child))
+        : [];
+}
+
+/**
+ * Merge attributes into a definition table entry, later definitions win
+ * (mjml-core merges repeated mj-attributes entries the same way)
+ */
+function addDefinition(table, key, attributes) {
+    table[key] = { ...table[key], ...attributes };
+}
+
+/**
+ * Collect the attribute definitions of every mj-attributes block in the
+ * head of a kebab-case tree.
+ *
+ * Returns { all, types, classes, classDefaults } where all holds the mj-all
+ * attributes, types the type-level defaults by component type, classes the
+ * mj-class attributes by class name and classDefaults the per-type defaults
+ * declared as children of an mj-class, by class name then component type.
+ */
+export function collectAttributeDefinitions(tree) {
+    const definitions = { all: {}, types: {}, classes: {}, classDefaults: {} };
+
+    const heads = childNodes(tree).filter(([, child]) => child.type === 'mj-head');
+    for (const [, head] of heads) {
+        for (const [, block] of childNodes(head).filter(([, child]) => child.type === 'mj-attributes')) {
+            for (const [, element] of childNodes(block)) {
+                const attributes = element.attributes || {};
+                if (element.type === 'mj-all') {
+                    Object.assign(definitions.all, attributes);
+                } else if (element.type === 'mj-class') {
+                    const { name, ...classAttributes } = attributes;
+                    addDefinition(definitions.classes, name, classAttributes);
+                    definitions.classDefaults[name] = definitions.classDefaults[name] || {};
+                    for (const [, child] of childNodes(element)) {
+                        addDefinition(definitions.classDefaults[name], child.type, child.attributes || {});
+                    }
+                } else {
+                    addDefinition(definitions.types, element.type, attributes);
+                }
+            }
+        }
+    }
+
+    return definitions;
+}
+
+/**
+ * Split an mj-class attribute into class names
+ */
+function splitClasses(value) {
+    return String(value || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Attributes a node passes down to its children, from its effective attributes
+ */
+function passedAttributes(type, attributes) {
+    const passed = {};
+    for (const name of PASSED_ATTRIBUTES[type] || []) {
+        if (attributes[name] !== undefined && attributes[name] !== null) {
+            passed[name] = attributes[name];
+        }
+    }
+    return passed;
+}
+
+/**
+ * Resolve the effective attributes of one kebab-case node.
+ *
+ * parentClasses are the mj-class names of the nearest ancestor that sets
+ * mj-class; their mj-class children supply per-type defaults for this node.
+ *
+ * Options:
+ * - inherited: attributes passed down by the parent ({ values, from })
+ * - defaultAttributes: package defaults (default: from the mjml-core registry)
+ *
+ * Returns { attributes, sources } where sources maps each attribute to
+ * where its value came from: 'default', 'mj-all', 'inherited:<parent type>',
+ * 'mj-attributes', 'mj-class:<name>' or 'inline'.
+ */
+export function resolveNodeAttributes(node, definitions, parentClasses = [], { inherited = null, defaultAttributes } = {}) {
+    const defaults = defaultAttributes || (components[node.type] || {}).defaultAttributes;
+    const attributes = {};
+    const sources = {};
+    const apply = (values, source) => {
+        for (const [name, value] of Object.entries(values || {})) {
+            attributes[name] = value;
+            sources[name] = source;
+        }
+    };
+
+    apply(defaults, 'default');
+    apply(definitions.all, 'mj-all');
+    if (inherited) {
+        apply(inherited.values, `inherited:${inherited.from}`);
+    }
+    apply(definitions.types[node.type], 'mj-attributes');
+
+    const inline = { ...node.attributes };
+    const classNames = splitClasses(inline['mj-class']);
+    delete inline['mj-class'];
+
+    for (const className of classNames) {
+        const classAttributes = { ...definitions.classes[className] };
+        // css-class values of several classes are joined, as in mjml-core
+        if (classAttributes['css-class'] && attributes['css-class'] && sources['css-class'].startsWith('mj-class:')) {
+            classAttributes['css-class'] = `${attributes['css-class']} ${classAttributes['css-class']}`;
+        }
+        apply(classAttributes, `mj-class:${className}`);
+    }
+
+    for (const className of parentClasses) {
+        apply((definitions.classDefaults[className] || {})[node.type], `mj-class:${className}`);
+    }
+
+    apply(inline, 'inline');
+
+    return { attributes, sources };
+}
+
+/**
+ * Resolve the effective attributes of every node in mj-body (mj-body
+ * included).
+ *
+ * Options:
+ * - naming: attribute key naming of the tree and of the result, 'kebab' or 'camel' (default: 'kebab')
+ * - specs: raw specs (mjml-specs-raw.json) to take package defaults from
+ *   instead of the mjml-core registry
+ *
+ * Returns a Map from each node's JSON Pointer path to
+ * { nodeId, type, attributes, sources }.
+ */
+export function resolveAttributes(tree, { naming = 'kebab', specs = null } = {}) {
+    const kebabTree = naming === 'kebab' ? tree : convertTree(tree, 'kebab');
+    const definitions = collectAttributeDefinitions(kebabTree);
+    const resolved = new Map();
+
+    const convertKeys = values => {
+        const result = {};
+        for (const [name, value] of Object.entries(values)) {
+            result[convertAttributeName(name, naming)] = value;
+        }
+        return result;
+    };
+
+    const visit = (node, path, parentClasses, inherited) => {
+        const defaultAttributes = specs && specs[node.type] ? specs[node.type].defaultAttributes : undefined;
+        const { attributes, sources } = resolveNodeAttributes(node, definitions, parentClasses, { inherited, defaultAttributes });
+        resolved.set(path, {
+            nodeId: node.id,
+            type: node.type,
+            attributes: convertKeys(attributes),
+            sources: convertKeys(sources)
+        });
+
+        const ownClasses = node.attributes && node.attributes['mj-class'] !== undefined
+            ? splitClasses(node.attributes['mj-class'])
+            : parentClasses;
+        const passed = { values: passedAttributes(node.type, attributes), from: node.type };
+        for (const [index, child] of childNodes(node)) {
+            visit(child, `${path}/children/${index}`, ownClasses, passed);
+        }
+    };
+
+    for (const [index, child] of childNodes(kebabTree)) {
+        if (child.type === 'mj-body') {
+            visit(child, `/children/${index}`, [], null);
+        }
+    }
+
+    return resolved;
+}
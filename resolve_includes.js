@@ -0,0 +1,217 @@
+/**
+ * mj-include Resolver
+ *
+ * Replaces mj-include nodes with the fragments they point to, the way
+ * mjml-parser-xml does for markup: MJML or JSON fragments are inlined in
+ * place (their head children go to the document's mj-head), html files
+ * become mj-raw and css files become mj-style in the head. Only files
+ * inside the base directory are read.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseMjml } from './parse_mjml.js';
+import { validate } from './validate.js';
+import { convertAttributeName } from './naming.js';
+
+/**
+ * Error for includes that cannot be resolved: missing files, paths outside
+ * the base directory, remote URLs and include cycles. chain lists the files
+ * being included when the error occurred, outermost first.
+ */
+export class IncludeError extends Error {
+    constructor(message, chain = []) {
+        super(message);
+        this.name = 'IncludeError';
+        this.chain = chain;
+    }
+}
+
+/**
+ * Split a fragment into the nodes to insert in place and the nodes for mj-head.
+ * Accepts a full document (type mjml), a single node or an array of nodes.
+ */
+function splitFragment(fragment) {
+    if (Array.isArray(fragment)) {
+        return { body: fragment, head: [] };
+    }
+    if (fragment && fragment.type === 'mjml') {
+        const sections = { body: [], head: [] };
+        for (const child of fragment.children || []) {
+            if (child.type === 'mj-body') {
+                sections.body.push(...(child.children || []));
+            } else if (child.type === 'mj-head') {
+                sections.head.push(...(child.children || []));
+            }
+        }
+        return sections;
+    }
+    return { body: [fragment], head: [] };
+}
+
+/**
+ * Inline every mj-include in a tree.
+ *
+ * Options:
+ * - baseDir: directory top-level include paths are relative to; no file outside it is read (default: cwd)
+ * - naming: attribute key naming of the tree and its fragments, 'kebab' or 'camel' (default: 'kebab')
+ * - profile: validation profile for the included fragments (default: 'full')
+ *
+ * Nested include paths are relative to the fragment that contains them.
+ * Each inserted fragment is validated in place, i.e. together with the type
+ * of the node it is inserted into, so hierarchy violations at the include
+ * site are reported.
+ *
+ * Returns { tree, valid, issues, files }: the resolved tree (the input is
+ * not modified), validation issues of the fragments (with the fragment's
+ * file), and the absolute paths of the included files.
+ *
+ * Throws IncludeError for missing files, paths outside baseDir, remote URLs
+ * and include cycles.
+ */
+export function resolveIncludes(tree, { baseDir = process.cwd(), naming = 'kebab', profile = 'full' } = {}) {
+    const rootDir = path.resolve(baseDir);
+    const attr = (node, name) => (node.attributes || {})[convertAttributeName(name, naming)];
+    const files = [];
+    const origins = new Map();
+    const headNodes = [];
+
+    const readInclude = (include, dir, chain) => {
+        const includePath = attr(include, 'path');
+        if (!includePath) {
+            throw new IncludeError(`mj-include "${include.id}" has no path`, chain);
+        }
+        if (/^[a-z][a-z0-9+.-]*:/i.test(includePath)) {
+            throw new IncludeError(`mj-include "${include.id}": only local files can be included, not ${includePath}`, chain);
+        }
+
+        let decodedPath;
+        try {
+            decodedPath = decodeURIComponent(includePath);
+        } catch {
+            throw new IncludeError(`mj-include "${include.id}": ${includePath} is not a valid URI-encoded path`, chain);
+        }
+        const file = path.resolve(dir, decodedPath);
+        const relative = path.relative(rootDir, file);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new IncludeError(`mj-include "${include.id}": ${includePath} is outside the base directory ${rootDir}`, chain);
+        }
+        if (chain.includes(file)) {
+            const cycle = [...chain.slice(chain.indexOf(file)), file].map(entry => path.relative(rootDir, entry));
+            throw new IncludeError(`Include cycle: ${cycle.join(' → ')}`, chain);
+        }
+
+        let source;
+        try {
+            source = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new IncludeError(`mj-include "${include.id}": cannot read ${includePath} (${error.code || error.message})`, chain);
+        }
+        if (!files.includes(file)) {
+            files.push(file);
+        }
+        return { file, source };
+    };
+
+    const loadFragment = (include, dir, chain) => {
+        const { file, source } = readInclude(include, dir, chain);
+        const type = attr(include, 'type') || 'mjml';
+
+        if (type === 'html') {
+            return { file, body: [{ id: include.id, type: 'mj-raw', content: source }], head: [] };
+        }
+        if (type === 'css') {
+            const style = { id: include.id, type: 'mj-style', content: source };
+            if (attr(include, 'css-inline') === 'inline') {
+                style.attributes = { inline: 'inline' };
+            }
+            return { file, body: [], head: [style] };
+        }
+
+        let fragment;
+        if (file.endsWith('.json')) {
+            fragment = JSON.parse(source);
+        } else {
+            // Bare fragments are wrapped like mjml-parser-xml does
+            const xml = source.includes('<mjml') ? source : `<mjml><mj-body>${source}</mj-body></mjml>`;
+            fragment = parseMjml(xml, { naming });
+        }
+        return { file, ...splitFragment(fragment) };
+    };
+
+    const expandChildren = (children, dir, chain) => {
+        const result = [];
+        for (const child of children) {
+            if (!child || typeof child !== 'object' || child.type !== 'mj-include') {
+                result.push(expandNode(child, dir, chain));
+                continue;
+            }
+
+            const { file, body, head } = loadFragment(child, dir, chain);
+            const fragmentChain = [...chain, file];
+            for (const node of expandChildren(body, path.dirname(file), fragmentChain)) {
+                origins.set(node, file);
+                result.push(node);
+            }
+            for (const node of expandChildren(head, path.dirname(file), fragmentChain)) {
+                origins.set(node, file);
+                headNodes.push(node);
+            }
+        }
+        return result;
+    };
+
+    // Shape errors (non-object nodes, non-array children) are left to validate()
+    const expandNode = (node, dir, chain) => {
+        if (!node || typeof node !== 'object' || Array.isArray(node)) {
+            return node;
+        }
+        if (!Array.isArray(node.children)) {
+            return { ...node };
+        }
+        return { ...node, children: expandChildren(node.children, dir, chain) };
+    };
+
+    const resolved = expandNode(tree, rootDir, []);
+
+    if (headNodes.length > 0) {
+        if (resolved.type !== 'mjml') {
+            throw new IncludeError('Included head content (css or mj-head) needs an mjml root to go into');
+        }
+        let head = resolved.children.find(child => child && child.type === 'mj-head');
+        if (!head) {
+            head = { id: 'head-included', type: 'mj-head', children: [] };
+            resolved.children.unshift(head);
+        }
+        head.children = [...(head.children || []), ...headNodes];
+    }
+
+    // Validate each fragment node in the context of its parent. Nested
+    // fragments are visited after the fragment containing them, so their
+    // issues are attributed to the innermost file.
+    const issuesByKey = new Map();
+    const visit = (node, nodePath) => {
+        if (!node || typeof node !== 'object' || !Array.isArray(node.children)) {
+            return;
+        }
+        node.children.forEach((child, index) => {
+            const childPath = `${nodePath}/children/${index}`;
+            if (origins.has(child)) {
+                const context = { id: node.id, type: node.type, children: [child] };
+                for (const issue of validate(context, { profile }).issues) {
+                    // Issues on the parent itself only matter when it takes no children
+                    if (!issue.path.startsWith('/children/0') && issue.rule !== 'hierarchy') {
+                        continue;
+                    }
+                    const mapped = { ...issue, path: childPath + issue.path.slice('/children/0'.length), file: origins.get(child) };
+                    issuesByKey.set(`${mapped.path}|${mapped.attribute}|${mapped.rule}`, mapped);
+                }
+            }
+            visit(child, childPath);
+        });
+    };
+    visit(resolved, '');
+
+    const issues = [...issuesByKey.values()];
+    return { tree: resolved, valid: issues.length === 0, issues, files };
+}
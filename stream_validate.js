@@ -0,0 +1,418 @@
+/**
+ * Streaming Validation
+ *
+ * Validates a component tree while its JSON text is still arriving (e.g.
+ * token by token from an LLM), so a bad generation can be stopped early.
+ * Each node is checked as soon as its type and attributes are complete,
+ * against the same schema profile validate() uses; once the text is
+ * complete the result is that of a full validation.
+ */
+
+import { validate } from './validate.js';
+
+// Characters that can continue a number or a true/false/null literal
+const LITERAL_CHAR = /[0-9a-zA-Z.+-]/;
+
+/**
+ * Encode a JSON Pointer token
+ */
+function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Incremental JSON parser: takes text in arbitrary chunks and builds the
+ * value as it goes, linking containers into their parent as soon as they
+ * open. Calls handlers.open(frame) when a container opens,
+ * handlers.complete(parentFrame, key, value) when a value is complete and
+ * handlers.close(frame) when a container closes. Throws a SyntaxError
+ * (with line and column) on malformed text.
+ */
+class JsonStreamParser {
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.stack = [];
+        this.state = 'value';
+        this.buffer = '';
+        this.escaped = false;
+        this.stringRole = null;
+        this.root = undefined;
+        this.done = false;
+        this.line = 1;
+        this.column = 0;
+    }
+
+    write(text) {
+        for (const char of text) {
+            if (char === '\n') {
+                this.line++;
+                this.column = 0;
+            } else {
+                this.column++;
+            }
+            this.consume(char);
+        }
+    }
+
+    end() {
+        if (this.state === 'literal') {
+            this.finishLiteral();
+        }
+        if (!this.done) {
+            this.fail('Unexpected end of JSON input');
+        }
+    }
+
+    fail(message) {
+        const error = new SyntaxError(`${message} at line ${this.line}, column ${this.column}`);
+        error.line = this.line;
+        error.column = this.column;
+        throw error;
+    }
+
+    get top() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    consume(char) {
+        const whitespace = char === ' ' || char === '\t' || char === '\n' || char === '\r';
+        switch (this.state) {
+            case 'string':
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.finishString();
+                    return;
+                }
+                this.buffer += char;
+                return;
+            case 'literal':
+                if (LITERAL_CHAR.test(char)) {
+                    this.buffer += char;
+                    return;
+                }
+                this.finishLiteral();
+                this.consume(char);
+                return;
+            case 'value-or-close':
+                if (char === ']') {
+                    this.closeContainer();
+                    return;
+                }
+                if (!whitespace) {
+                    this.state = 'value';
+                    this.consume(char);
+                }
+                return;
+            case 'value':
+                if (whitespace) {
+                    return;
+                }
+                if (char === '{' || char === '[') {
+                    this.openContainer(char === '{' ? {} : []);
+                } else if (char === '"') {
+                    this.startString('value');
+                } else if (LITERAL_CHAR.test(char)) {
+                    this.state = 'literal';
+                    this.buffer = char;
+                } else {
+                    this.fail(`Unexpected "${char}"`);
+                }
+                return;
+            case 'key-or-close':
+            case 'key':
+                if (whitespace) {
+                    return;
+                }
+                if (char === '}' && this.state === 'key-or-close') {
+                    this.closeContainer();
+                } else if (char === '"') {
+                    this.startString('key');
+                } else {
+                    this.fail(`Expected a property name, got "${char}"`);
+                }
+                return;
+            case 'colon':
+                if (char === ':') {
+                    this.state = 'value';
+                } else if (!whitespace) {
+                    this.fail(`Expected ":", got "${char}"`);
+                }
+                return;
+            case 'after':
+                if (whitespace) {
+                    return;
+                }
+                if (this.stack.length === 0) {
+                    this.fail(`Unexpected "${char}" after the end of the document`);
+                }
+                if (char === ',') {
+                    this.state = Array.isArray(this.top.value) ? 'value' : 'key';
+                } else if (char === (Array.isArray(this.top.value) ? ']' : '}')) {
+                    this.closeContainer();
+                } else {
+                    this.fail(`Unexpected "${char}"`);
+                }
+                return;
+            default:
+                this.fail(`Unexpected "${char}"`);
+        }
+    }
+
+    startString(role) {
+        this.state = 'string';
+        this.stringRole = role;
+        this.buffer = '';
+        this.escaped = false;
+    }
+
+    finishString() {
+        let text;
+        try {
+            text = JSON.parse(`"${this.buffer}"`);
+        } catch (error) {
+            this.fail('Invalid string');
+        }
+        if (this.stringRole === 'key') {
+            this.top.key = text;
+            this.state = 'colon';
+        } else {
+            this.addValue(text);
+        }
+    }
+
+    finishLiteral() {
+        let value;
+        try {
+            value = JSON.parse(this.buffer);
+        } catch (error) {
+            this.fail(`Invalid value "${this.buffer}"`);
+        }
+        this.addValue(value);
+    }
+
+    /**
+     * Link a value into the current container, returning its key
+     */
+    attach(value) {
+        const parent = this.top;
+        if (!parent) {
+            this.root = value;
+            return null;
+        }
+        if (Array.isArray(parent.value)) {
+            parent.value.push(value);
+            return parent.value.length - 1;
+        }
+        parent.value[parent.key] = value;
+        return parent.key;
+    }
+
+    addValue(value) {
+        const key = this.attach(value);
+        this.handlers.complete(this.top || null, key, value);
+        this.afterValue();
+    }
+
+    openContainer(value) {
+        const parent = this.top || null;
+        const key = this.attach(value);
+        const frame = { value, key: null, parent, parentKey: key };
+        this.stack.push(frame);
+        this.handlers.open(frame);
+        this.state = Array.isArray(value) ? 'value-or-close' : 'key-or-close';
+    }
+
+    closeContainer() {
+        const frame = this.stack.pop();
+        this.handlers.close(frame);
+        this.handlers.complete(frame.parent, frame.parentKey, frame.value);
+        this.afterValue();
+    }
+
+    afterValue() {
+        this.state = 'after';
+        if (this.stack.length === 0) {
+            this.done = true;
+        }
+    }
+}
+
+/**
+ * Create a streaming validator.
+ *
+ * Options:
+ * - profile: 'full', 'ai' or 'strict' (default: 'ai')
+ * - schema: validate against this schema object instead of a profile's file
+ * - onIssue: called with each issue as soon as it is found
+ *
+ * Returns { write(chunk), end(), issues }:
+ * - write(chunk) feeds the next piece of JSON text and returns the issues
+ *   found in it. Nodes are checked when their type is complete (unknown or
+ *   excluded component, and its place under the parent), when their
+ *   attributes are complete (the component's attribute rules) and when they
+ *   close (the rest of the node's own rules).
+ * - end() returns { valid, issues, tree } from validate() on the complete
+ *   tree; issues it finds that were not streamed yet are passed to onIssue.
+ * - issues lists the issues emitted so far.
+ *
+ * Malformed JSON ends validation with a 'parse' issue (with line and
+ * column); later writes are ignored and end() returns that issue.
+ */
+export function createStreamValidator({ profile = 'ai', schema = null, onIssue = null } = {}) {
+    const emitted = [];
+    const emittedKeys = new Set();
+    const nodes = new Map();
+    let pending = [];
+    let parseIssue = null;
+
+    const emit = issue => {
+        const key = `${issue.path}|${issue.attribute}|${issue.rule}`;
+        if (emittedKeys.has(key)) {
+            return;
+        }
+        emittedKeys.add(key);
+        emitted.push(issue);
+        pending.push(issue);
+        if (onIssue) {
+            onIssue(issue);
+        }
+    };
+
+    // Validate a partial node (or parent/child pair) and re-root the
+    // issues: '' is the node at path, '/children/0' the child at childPath
+    const check = (subject, path, keep, childPath = null) => {
+        for (const issue of validate(subject, { profile, schema }).issues) {
+            const ownPath = issue.path === '' ? path : childPath !== null && issue.path.startsWith('/children/0') ? childPath + issue.path.slice('/children/0'.length) : null;
+            if (ownPath !== null && keep(issue)) {
+                emit({ ...issue, path: ownPath });
+            }
+        }
+    };
+
+    const knownId = node => (typeof node.id === 'string' ? node.id : '');
+
+    const checkHierarchy = (parent, child) => {
+        if (typeof parent.node.type !== 'string' || typeof child.node.type !== 'string') {
+            return;
+        }
+        const pair = { id: knownId(parent.node), type: parent.node.type, children: [{ id: knownId(child.node), type: child.node.type }] };
+        check(pair, parent.path, issue => issue.rule === 'hierarchy', child.path);
+    };
+
+    const checkType = entry => {
+        check({ id: knownId(entry.node), type: entry.node.type }, entry.path,
+            issue => ['unknown-component', 'excluded-component', 'type'].includes(issue.rule));
+        if (entry.parent) {
+            checkHierarchy(entry.parent, entry);
+        }
+        if (entry.attributesDone) {
+            checkAttributes(entry);
+        }
+        // Children that arrived before their parent's type
+        for (const child of entry.children) {
+            checkHierarchy(entry, child);
+        }
+    };
+
+    const checkAttributes = entry => {
+        const { node } = entry;
+        if (typeof node.type === 'string') {
+            check({ id: knownId(node), type: node.type, attributes: node.attributes }, entry.path, () => true);
+        }
+    };
+
+    const parser = new JsonStreamParser({
+        open(frame) {
+            const parentNode = frame.parent && frame.parent.parent ? nodes.get(frame.parent.parent.value) : null;
+            const isNode = !Array.isArray(frame.value) && (frame.parent === null
+                || (Array.isArray(frame.parent.value) && parentNode && frame.parent.parentKey === 'children'));
+            if (!isNode) {
+                return;
+            }
+            const path = parentNode ? `${parentNode.path}/children/${frame.parentKey}` : '';
+            const entry = { node: frame.value, path, parent: parentNode, children: [], attributesDone: false };
+            nodes.set(frame.value, entry);
+            if (parentNode) {
+                parentNode.children.push(entry);
+            }
+        },
+        complete(frame, key, value) {
+            const entry = frame && nodes.get(frame.value);
+            if (!entry) {
+                return;
+            }
+            if (key === 'type') {
+                checkType(entry);
+            } else if (key === 'attributes') {
+                entry.attributesDone = true;
+                checkAttributes(entry);
+            }
+        },
+        close(frame) {
+            const entry = nodes.get(frame.value);
+            if (entry) {
+                // Everything about the node except its children
+                const own = { ...entry.node };
+                delete own.children;
+                check(own, entry.path, issue => issue.rule !== 'hierarchy');
+            }
+        }
+    });
+
+    const failParse = error => {
+        parseIssue = { path: '', nodeId: null, type: null, attribute: null, rule: 'parse', line: error.line, column: error.column, message: error.message };
+        emit(parseIssue);
+    };
+
+    const takePending = () => {
+        const issues = pending;
+        pending = [];
+        return issues;
+    };
+
+    return {
+        write(chunk) {
+            if (parseIssue) {
+                return [];
+            }
+            try {
+                parser.write(String(chunk));
+            } catch (error) {
+                if (!(error instanceof SyntaxError)) {
+                    throw error;
+                }
+                failParse(error);
+            }
+            return takePending();
+        },
+
+        end() {
+            if (!parseIssue) {
+                try {
+                    parser.end();
+                } catch (error) {
+                    if (!(error instanceof SyntaxError)) {
+                        throw error;
+                    }
+                    failParse(error);
+                }
+            }
+            if (parseIssue) {
+                takePending();
+                return { valid: false, issues: [parseIssue], tree: parser.root };
+            }
+
+            const result = validate(parser.root, { profile, schema });
+            result.issues.forEach(emit);
+            takePending();
+            return { ...result, tree: parser.root };
+        },
+
+        get issues() {
+            return [...emitted];
+        }
+    };
+}
@@ -0,0 +1,146 @@
+/**
+ * Structured-Output Strict Mode Support
+ *
+ * Checks a JSON Schema against the restrictions of LLM strict structured
+ * output / function-calling modes (modelled on OpenAI's strict mode), and
+ * converts strict-mode output (every property present, optionals null)
+ * back into a regular component tree.
+ */
+
+// Keywords strict mode rejects or silently ignores
+export const UNSUPPORTED_KEYWORDS = [
+    'allOf', 'not', 'if', 'then', 'else',
+    'dependentRequired', 'dependentSchemas', 'patternProperties',
+    'unevaluatedProperties', 'unevaluatedItems', 'propertyNames',
+    'minProperties', 'maxProperties', 'minLength', 'maxLength',
+    'pattern', 'format', 'minimum', 'maximum', 'exclusiveMinimum',
+    'exclusiveMaximum', 'multipleOf', 'minItems', 'maxItems',
+    'uniqueItems', 'contains', 'minContains', 'maxContains',
+    'default', 'examples', 'prefixItems'
+];
+
+export const DEFAULT_LIMITS = {
+    maxProperties: 5000,
+    maxNestingDepth: 10,
+    maxEnumValues: 1000
+};
+
+/**
+ * Check a schema against strict-mode restrictions.
+ *
+ * Options:
+ * - unsupportedKeywords: keywords to reject (default: UNSUPPORTED_KEYWORDS)
+ * - limits: { maxProperties, maxNestingDepth, maxEnumValues } (default: DEFAULT_LIMITS)
+ *
+ * Returns a list of violations ({ path, rule, message }); empty when compatible.
+ */
+export function checkStrictSchema(schema, { unsupportedKeywords = UNSUPPORTED_KEYWORDS, limits = {} } = {}) {
+    const { maxProperties, maxNestingDepth, maxEnumValues } = { ...DEFAULT_LIMITS, ...limits };
+    const violations = [];
+    const report = (path, rule, message) => violations.push({ path: path || '/', rule, message });
+    let propertyCount = 0;
+    let enumValueCount = 0;
+
+    if (schema.type !== 'object' || schema.anyOf) {
+        report('', 'root-object', 'Root schema must be a plain object schema (type "object", no anyOf)');
+    }
+
+    const visit = (node, path, depth) => {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (Array.isArray(node)) {
+            node.forEach((item, index) => visit(item, `${path}/${index}`, depth));
+            return;
+        }
+
+        for (const keyword of unsupportedKeywords) {
+            if (keyword in node) {
+                report(path, 'unsupported-keyword', `"${keyword}" is not supported in strict mode`);
+            }
+        }
+
+        if (node.$ref !== undefined && !String(node.$ref).startsWith('#/$defs/')) {
+            report(path, 'ref', `$ref "${node.$ref}" must point into #/$defs (no root recursion or external refs)`);
+        }
+
+        if (Array.isArray(node.enum)) {
+            enumValueCount += node.enum.length;
+        }
+
+        const isObject = node.type === 'object' || (Array.isArray(node.type) && node.type.includes('object'));
+        if (isObject) {
+            if (depth > maxNestingDepth) {
+                report(path, 'nesting-depth', `Object nesting depth ${depth} exceeds ${maxNestingDepth}`);
+            }
+            if (node.additionalProperties !== false) {
+                report(path, 'additional-properties', 'Object schemas must set additionalProperties: false');
+            }
+            const keys = Object.keys(node.properties || {});
+            propertyCount += keys.length;
+            const required = node.required || [];
+            const missing = keys.filter(key => !required.includes(key));
+            if (missing.length > 0) {
+                report(path, 'required', `Every property must be required (missing: ${missing.join(', ')})`);
+            }
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'enum' || key === 'required') {
+                continue;
+            }
+            if (key === 'properties' || key === '$defs') {
+                for (const [name, child] of Object.entries(value)) {
+                    visit(child, `${path}/${key}/${name}`, key === 'properties' && isObject ? depth + 1 : depth);
+                }
+            } else if (typeof value === 'object') {
+                visit(value, `${path}/${key}`, depth);
+            }
+        }
+    };
+
+    visit(schema, '', 1);
+
+    if (propertyCount > maxProperties) {
+        report('', 'max-properties', `${propertyCount} object properties exceed the limit of ${maxProperties}`);
+    }
+    if (enumValueCount > maxEnumValues) {
+        report('', 'max-enum-values', `${enumValueCount} enum values exceed the limit of ${maxEnumValues}`);
+    }
+
+    return violations;
+}
+
+/**
+ * Convert strict-mode output into a regular tree: null attributes,
+ * content and children are removed
+ */
+export function stripNulls(node) {
+    if (!node || typeof node !== 'object') {
+        return node;
+    }
+
+    const result = { id: node.id, type: node.type };
+
+    if (node.attributes) {
+        const attributes = {};
+        for (const [name, value] of Object.entries(node.attributes)) {
+            if (value !== null) {
+                attributes[name] = value;
+            }
+        }
+        if (Object.keys(attributes).length > 0) {
+            result.attributes = attributes;
+        }
+    }
+
+    if (node.content !== null && node.content !== undefined) {
+        result.content = node.content;
+    }
+
+    if (Array.isArray(node.children) && node.children.length > 0) {
+        result.children = node.children.map(stripNulls);
+    }
+
+    return result;
+}
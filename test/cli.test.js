@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const CLI = new URL('../cli.js', import.meta.url).pathname;
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+const tempFile = (name, content) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mjml-schema-')), name);
+    fs.writeFileSync(file, content);
+    return file;
+};
+
+test('an unknown profile is a usage error', () => {
+    const tree = tempFile('tree.json', JSON.stringify({ id: 'root', type: 'mjml', children: [] }));
+    for (const command of ['validate', 'repair']) {
+        const { status, stderr } = run(command, tree, '--profile', 'bogus');
+        assert.equal(status, 2);
+        assert.match(stderr, /Unknown profile "bogus"/);
+    }
+    fs.rmSync(path.dirname(tree), { recursive: true });
+});
+
+test('an unknown naming mode is a usage error', () => {
+    const tree = tempFile('tree.json', JSON.stringify({ id: 'root', type: 'mjml', children: [] }));
+    for (const command of ['extract', 'validate', 'convert', 'lint', 'repair']) {
+        const { status, stderr } = run(command, ...(command === 'extract' ? [] : [tree]), '--naming', 'snake');
+        assert.equal(status, 2, command);
+        assert.match(stderr, /Unknown naming mode "snake" \(expected one of: kebab, camel\)/);
+    }
+    fs.rmSync(path.dirname(tree), { recursive: true });
+});
+
+test('lint rejects unknown rule names', () => {
+    const tree = tempFile('tree.json', JSON.stringify({ id: 'root', type: 'mjml', children: [] }));
+    const { status, stderr } = run('lint', tree, '--rule', 'image-alts=off');
+    assert.equal(status, 2);
+    assert.match(stderr, /Unknown rule "image-alts" \(expected one of: image-alt, button-href, /);
+    assert.equal(run('lint', tree, '--rule', 'image-alt=off').status, 0);
+    fs.rmSync(path.dirname(tree), { recursive: true });
+});
+
+test('repair writes the tree to --out with the json format too', () => {
+    const tree = tempFile('tree.json', JSON.stringify({ id: 'root', type: 'mjml', children: [] }));
+    const out = path.join(path.dirname(tree), 'out.json');
+    const { status, stdout } = run('repair', tree, '--format', 'json', '--out', out);
+    assert.equal(status, 0);
+    assert.equal(JSON.parse(stdout).valid, true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')), { id: 'root', type: 'mjml', children: [] });
+    fs.rmSync(path.dirname(tree), { recursive: true });
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAttributeSupport, getComponentSupport } from '../compatibility.js';
+import { lint } from '../lint.js';
+
+test('expands known support entries to every client', () => {
+    const { support, note } = getAttributeSupport('mj-button', 'border-radius');
+    assert.equal(support.outlook, 'none');
+    assert.equal(support.gmail, 'full');
+    assert.match(note, /square corners/);
+    assert.equal(getAttributeSupport('mj-button', 'href'), null);
+    assert.equal(getComponentSupport('mj-carousel').support['apple-mail'], 'full');
+    assert.equal(getComponentSupport('mj-text'), null);
+});
+
+test('the client-support rule reports chosen attributes for the target clients only', () => {
+    const tree = {
+        id: 'body',
+        type: 'mj-body',
+        children: [{ id: 'section', type: 'mj-section', children: [{ id: 'column', type: 'mj-column', children: [{ id: 'button', type: 'mj-button', attributes: { href: 'https://acme.test', 'border-radius': '8px' }, content: 'Go' }] }] }]
+    };
+    const findings = clients => lint(tree, { settings: { clients } }).issues.filter(issue => issue.rule === 'client-support').map(issue => issue.attribute);
+    assert.deepEqual(findings(['outlook']), ['border-radius']);
+    assert.deepEqual(findings(['apple-mail']), []);
+});
+
+test('names inherited from Object.prototype have no support entry', () => {
+    assert.equal(getAttributeSupport('mj-button', 'constructor'), null);
+    assert.equal(getAttributeSupport('constructor', '__proto__'), null);
+    assert.equal(getComponentSupport('toString'), null);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { runConformance } from '../conformance.js';
+import { validate } from '../validate.js';
+import { toCamelCase } from '../naming.js';
+
+test('the schema definitions agree with MJML on the recorded corpus', () => {
+    const corpus = JSON.parse(fs.readFileSync(new URL('../conformance-corpus.json', import.meta.url), 'utf8'));
+    const { failures, corpus: current } = runConformance({ corpus });
+    assert.deepEqual(failures, []);
+    assert.ok(current.types.string.some(entry => entry.value === 'solid'));
+});
+
+test('string attributes accept the values MJML accepts, whatever their name', () => {
+    const tree = {
+        id: 'body',
+        type: 'mj-body',
+        children: [{
+            id: 'section',
+            type: 'mj-section',
+            attributes: { 'background-url': 'bg.png', 'background-size': 'cover' },
+            children: [{
+                id: 'column',
+                type: 'mj-column',
+                children: [
+                    { id: 'divider', type: 'mj-divider', attributes: { 'border-style': 'solid' } },
+                    { id: 'image', type: 'mj-image', attributes: { src: 'a.png', sizes: '(max-width: 600px) 100vw', 'border-top': '0' } }
+                ]
+            }]
+        }]
+    };
+    assert.deepEqual(validate(tree).issues, []);
+    assert.deepEqual(validate(toCamelCase(tree), { profile: 'ai' }).issues, []);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffSpecs, formatChangelog } from '../diff_specs.js';
+
+const spec = (allowedAttributes, extra = {}) => ({ 'mj-text': { packageName: 'mjml-text', packageVersion: '4.0.0', allowedAttributes, allowedChildren: [], ...extra } });
+
+const typeChange = (from, to) => diffSpecs(spec({ width: from }), spec({ width: to })).changes.find(change => change.kind === 'type-changed');
+
+test('identical snapshots have no changes', () => {
+    assert.deepEqual(diffSpecs(spec({ width: 'unit(px)' }), spec({ width: 'unit(px)' })), { versions: {}, changes: [], breaking: false });
+});
+
+test('removals are breaking, additions are not', () => {
+    const { changes, breaking } = diffSpecs(spec({ width: 'unit(px)', color: 'color' }), spec({ width: 'unit(px)', align: 'enum(left,right)' }));
+    assert.deepEqual(changes.map(({ kind, attribute, breaking }) => ({ kind, attribute, breaking })), [
+        { kind: 'attribute-removed', attribute: 'color', breaking: true },
+        { kind: 'attribute-added', attribute: 'align', breaking: false }
+    ]);
+    assert.equal(breaking, true);
+});
+
+test('type changes are breaking only when they narrow the type', () => {
+    assert.equal(typeChange('unit(px)', 'unit(px,%)').breaking, false);
+    assert.equal(typeChange('unit(px,%)', 'unit(px)').breaking, true);
+    assert.equal(typeChange('unit(px){1,4}', 'unit(px){1,2}').breaking, true);
+    assert.equal(typeChange('unit(px,%,)', 'unit(px,%)').breaking, true);
+    assert.equal(typeChange('unit(px,%)', 'unit(px,%,)').breaking, false);
+    assert.equal(typeChange('unit(px,%,auto)', 'unit(px,%)').breaking, true);
+    assert.equal(typeChange('unitWithNegative(px,em)', 'unit(px,em)').breaking, true);
+    assert.equal(typeChange('unit(px,em)', 'unitWithNegative(px,em)').breaking, false);
+    assert.equal(typeChange('enum(left,right)', 'enum(left,center,right)').breaking, false);
+    assert.equal(typeChange('enum(left,right)', 'enum(left)').breaking, true);
+    assert.equal(typeChange('color', 'string').breaking, false);
+    assert.equal(typeChange('string', 'color').breaking, true);
+});
+
+test('version bumps are listed and the changelog groups changes', () => {
+    const diff = diffSpecs(spec({ width: 'unit(px)' }), spec({ width: 'unit(px)' }, { packageVersion: '4.1.0', allowedChildren: ['mj-raw'] }));
+    assert.deepEqual(diff.versions, { 'mjml-text': { from: '4.0.0', to: '4.1.0' } });
+    const changelog = formatChangelog(diff);
+    assert.match(changelog, /- mjml-text: 4\.0\.0 → 4\.1\.0/);
+    assert.match(changelog, /## Breaking changes\n\nNone\./);
+    assert.match(changelog, /mj-text: mj-raw is now an allowed child/);
+});
+
+test('a new mjml-validator version is listed with the package versions', () => {
+    const diff = diffSpecs(spec({}, { validatorVersion: '4.15.3' }), spec({}, { validatorVersion: '4.16.1' }));
+    assert.deepEqual(diff.versions, { 'mjml-validator': { from: '4.15.3', to: '4.16.1' } });
+    assert.match(formatChangelog(diff), /## Package versions\n\n- mjml-validator: 4\.15\.3 → 4\.16\.1/);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyEdits } from '../edit_tree.js';
+
+const tree = () => ({
+    id: 'root',
+    type: 'mjml',
+    children: [{
+        id: 'body',
+        type: 'mj-body',
+        children: [{
+            id: 'section',
+            type: 'mj-section',
+            attributes: { 'background-color': '#000000' },
+            children: [
+                { id: 'column-1', type: 'mj-column', children: [{ id: 'text', type: 'mj-text', content: 'Hi' }] },
+                { id: 'column-2', type: 'mj-column', children: [] }
+            ]
+        }]
+    }]
+});
+
+test('applies id-addressed operations to a copy', () => {
+    const input = tree();
+    const { applied, tree: edited, issues } = applyEdits(input, [
+        { op: 'set-attribute', id: 'text', attribute: 'color', value: '#ff0000' },
+        { op: 'insert-child', parentId: 'column-1', index: 0, node: { id: 'image', type: 'mj-image', attributes: { src: 'a.png' } } },
+        { op: 'move-node', id: 'text', parentId: 'column-2' },
+        { op: 'remove-node', id: 'image' }
+    ]);
+    assert.equal(applied, true);
+    assert.deepEqual(issues, []);
+    const [column1, column2] = edited.children[0].children[0].children;
+    assert.deepEqual(column1.children, []);
+    assert.deepEqual(column2.children, [{ id: 'text', type: 'mj-text', content: 'Hi', attributes: { color: '#ff0000' } }]);
+    assert.deepEqual(input, tree());
+});
+
+test('applies JSON Patch operations', () => {
+    const { applied, tree: edited } = applyEdits(tree(), [
+        { op: 'test', path: '/children/0/children/0/children/0/children/0/content', value: 'Hi' },
+        { op: 'replace', path: '/children/0/children/0/children/0/children/0/content', value: 'Hello' },
+        { op: 'replace', path: '/children/0/children/0/attributes/background-color', value: '#ffffff' },
+        { op: 'add', path: '/children/0/children/0/attributes/padding-top', value: '10px' },
+        { op: 'add', path: '/children/0/children/0/children/1/children/-', value: { id: 'text-2', type: 'mj-text', content: 'Hello' } },
+        { op: 'move', from: '/children/0/children/0/children/0/children/0', path: '/children/0/children/0/children/1/children/0' }
+    ]);
+    assert.equal(applied, true);
+    const section = edited.children[0].children[0];
+    assert.deepEqual(section.attributes, { 'background-color': '#ffffff', 'padding-top': '10px' });
+    assert.deepEqual(section.children[0].children, []);
+    assert.deepEqual(section.children[1].children.map(child => child.id), ['text', 'text-2']);
+});
+
+test('an operation that breaks the tree rejects the whole edit', () => {
+    const input = tree();
+    const { applied, tree: result, issues } = applyEdits(input, [
+        { op: 'set-attribute', id: 'text', attribute: 'color', value: '#ff0000' },
+        { op: 'move-node', id: 'text', parentId: 'section' }
+    ]);
+    assert.equal(applied, false);
+    assert.equal(result, input);
+    assert.deepEqual(issues.map(({ operation, op, rule }) => ({ operation, op, rule })), [{ operation: 1, op: 'move-node', rule: 'hierarchy' }]);
+});
+
+test('missing ids, bad paths, failed tests and duplicate ids are reported', () => {
+    const rule = operations => applyEdits(tree(), operations).issues.map(issue => issue.rule);
+    assert.deepEqual(rule([{ op: 'remove-node', id: 'nope' }]), ['operation']);
+    assert.deepEqual(rule([{ op: 'remove', path: '/children/5' }]), ['operation']);
+    assert.deepEqual(rule([{ op: 'test', path: '/children/0/id', value: 'x' }]), ['test']);
+    assert.deepEqual(rule([{ op: 'insert-child', parentId: 'column-2', node: { id: 'text', type: 'mj-text' } }]), ['duplicate-id']);
+});
+
+test('paths outside the node shape cannot reach Object.prototype', () => {
+    const rejected = operations => {
+        const { applied, issues } = applyEdits(tree(), operations);
+        assert.equal(applied, false);
+        assert.deepEqual(issues.map(issue => issue.rule), ['operation']);
+    };
+    rejected([{ op: 'add', path: '/__proto__/polluted', value: 'yes' }]);
+    rejected([{ op: 'add', path: '/children/0/constructor/prototype/polluted', value: 'yes' }]);
+    rejected([{ op: 'add', path: '/children/0/children/0/attributes/__proto__', value: { polluted: 'yes' } }]);
+    rejected([{ op: 'copy', from: '/children/0/children/0/attributes/background-color', path: '/polluted' }]);
+    rejected([{ op: 'add', path: '/children/0/children/0/attributes/not-an-attribute', value: 'yes' }]);
+    rejected([{ op: 'set-attribute', id: 'section', attribute: '__proto__', value: 'yes' }]);
+    assert.equal({}.polluted, undefined);
+    assert.equal(Object.prototype.polluted, undefined);
+});
+
+test('set-attribute takes known attributes with string values, under the tree\'s naming', () => {
+    for (const operation of [
+        { op: 'set-attribute', id: 'text', attribute: 'fooBar', value: 'x' },
+        { op: 'set-attribute', id: 'text', attribute: 'color', value: { red: 255 } },
+        { op: 'set-attribute', id: 'text', attribute: 'color' }
+    ]) {
+        const { applied, issues } = applyEdits(tree(), [operation]);
+        assert.equal(applied, false);
+        assert.deepEqual(issues.map(issue => issue.rule), ['operation']);
+    }
+
+    const { applied, tree: edited } = applyEdits(tree(), [
+        { op: 'set-attribute', id: 'text', attribute: 'fontSize', value: '16px' },
+        { op: 'set-attribute', id: 'section', attribute: 'backgroundColor', value: '#ffffff' }
+    ]);
+    assert.equal(applied, true);
+    assert.deepEqual(edited.children[0].children[0].attributes, { 'background-color': '#ffffff' });
+    assert.deepEqual(edited.children[0].children[0].children[0].children[0].attributes, { 'font-size': '16px' });
+});
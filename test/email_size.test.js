@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateSize } from '../email_size.js';
+
+const tree = {
+    id: 'root',
+    type: 'mjml',
+    children: [{
+        id: 'body',
+        type: 'mj-body',
+        children: [{
+            id: 'section',
+            type: 'mj-section',
+            children: [{ id: 'column', type: 'mj-column', children: [{ id: 'text', type: 'mj-text', content: 'Hello' }] }]
+        }]
+    }]
+};
+
+test('measures the minified HTML overall and per node', async () => {
+    const { bytes, minifiedBytes, overBudget, nodes, warnings } = await estimateSize(tree);
+    assert.ok(minifiedBytes > 0 && minifiedBytes < bytes);
+    assert.equal(overBudget, false);
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(nodes.map(({ nodeId, depth }) => ({ nodeId, depth })), [
+        { nodeId: 'section', depth: 1 },
+        { nodeId: 'column', depth: 2 }
+    ]);
+});
+
+test('warns when the minified HTML is over the budget', async () => {
+    const { overBudget, warnings } = await estimateSize(tree, { budget: 100 });
+    assert.equal(overBudget, true);
+    assert.match(warnings[0], /^Minified HTML is .*, over the budget of 0\.1KB \(largest: mj-section "section"/);
+});
@@ -0,0 +1,136 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ts from 'typescript';
+import Ajv from 'ajv/dist/2020.js';
+import { extractComponentSpecs, parseComponentDocs, mergeComponentDocs, mjmlTypeToJsonSchema, generateJsonSchema, generateTypeDefinitions } from '../extract_specs.js';
+import { validate } from '../validate.js';
+
+const specs = JSON.parse(fs.readFileSync(new URL('../mjml-specs-raw.json', import.meta.url), 'utf8'));
+
+// Run the extractor without its progress output
+async function quietly(run) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return await run();
+    } finally {
+        console.log = log;
+    }
+}
+
+let extracted = null;
+const extractSpecs = () => {
+    extracted = extracted || quietly(() => extractComponentSpecs());
+    return extracted;
+};
+
+// Values the TypeScript type accepts, from a program checking one assignment per value
+function typeScriptAccepts(component, attribute, values) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mjml-types-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'mjml-components.d.ts'), generateTypeDefinitions(specs, { naming: 'kebab' }));
+        const name = `${component.replace(/(^|-)([a-z])/g, (_, __, letter) => letter.toUpperCase())}Attributes`;
+        const lines = values.map((value, index) => `const value${index}: NonNullable<${name}[${JSON.stringify(attribute)}]> = ${JSON.stringify(value)};`);
+        fs.writeFileSync(path.join(dir, 'check.ts'), [`import type { ${name} } from './mjml-components';`, ...lines].join('\n'));
+        const program = ts.createProgram([path.join(dir, 'check.ts')], { strict: true, noEmit: true, noUnusedLocals: false });
+        const rejected = new Set(ts.getPreEmitDiagnostics(program)
+            .map(diagnostic => diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start).line - 1));
+        return values.filter((_, index) => !rejected.has(index));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('TypeScript unit types accept the values the schema patterns accept', () => {
+    const ajv = new Ajv({ strict: false });
+    const values = ['10px', '.5px', '50%', '0', '', 'auto', '10', '1.5', '10px 20px', '10px 0 auto', '0 0 0 0', '1px 2px 3px 4px 5px', 'px'];
+    const attributes = [
+        ['mj-section', 'padding'],
+        ['mj-text', 'line-height'],
+        ['mj-text', 'letter-spacing'],
+        ['mj-image', 'height'],
+        ['mj-table', 'width'],
+        ['mj-table', 'cellpadding']
+    ];
+    for (const [component, attribute] of attributes) {
+        const schemaAccepts = ajv.compile(mjmlTypeToJsonSchema(specs[component].allowedAttributes[attribute], attribute));
+        assert.deepEqual(typeScriptAccepts(component, attribute, values), values.filter(value => schemaAccepts(value)), `${component} ${attribute}`);
+    }
+});
+
+test('nesting rules come from mjml-validator', async () => {
+    const specs = await extractSpecs();
+    const bodyParents = Object.keys(specs).filter(type => specs[type].kind === 'body' && specs[type].allowedChildren.includes('mj-column'));
+    assert.deepEqual(bodyParents.sort(), ['mj-group', 'mj-section']);
+    assert.ok(specs['mj-navbar'].allowedChildren.includes('mj-navbar-link'));
+    assert.ok(!specs['mj-column'].allowedChildren.includes('mj-section'));
+
+    const tree = { id: 'body', type: 'mj-body', children: [{ id: 'column', type: 'mj-column', children: [] }] };
+    assert.ok(validate(tree).issues.some(issue => issue.path === '/children/0' && issue.rule === 'hierarchy'));
+});
+
+test('docs descriptions are merged into the specs, and mismatches reported', () => {
+    const docs = parseComponentDocs(new URL('../mjml_specs.html', import.meta.url));
+    assert.equal(docs['mj-button'].attributes.href.description, 'link to be triggered when the button is clicked');
+
+    const extracted = {
+        'mj-button': {
+            allowedAttributes: { href: 'string', 'font-size': 'unit(px)', 'made-up': 'string' },
+            attributes: {
+                href: { type: 'string', description: 'href attribute' },
+                'font-size': { type: 'string', description: 'font-size attribute' },
+                'made-up': { type: 'string', description: 'made-up attribute' }
+            }
+        }
+    };
+    const report = mergeComponentDocs(extracted, docs);
+    assert.equal(extracted['mj-button'].description, 'Displays a customizable button.');
+    assert.equal(extracted['mj-button'].attributes.href.description, 'Link to be triggered when the button is clicked.');
+    assert.match(extracted['mj-button'].attributes['font-size'].description, /^Text size\. .*px/);
+    assert.equal(extracted['mj-button'].attributes['made-up'].description, 'made-up attribute');
+    assert.deepEqual(report['mj-button'].packageOnly, ['made-up']);
+    assert.ok(report['mj-button'].docsOnly.includes('background-color'));
+});
+
+test('sub-components are read from their packages, and unresolved modules fail', async () => {
+    const specs = await extractSpecs();
+    assert.equal(specs['mj-social-element'].packageName, 'mjml-social');
+    assert.equal(specs['mj-social-element'].defaultAttributes.align, 'left');
+    assert.equal(specs['mj-accordion-title'].packageName, 'mjml-accordion');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mjml-components-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'helpers.js'), 'export const helper = () => null;\n');
+        fs.writeFileSync(path.join(dir, 'mj-text.js'), "export default class MjText { static componentName = 'mj-text'; }\n");
+        const config = components => ({ file: path.join(dir, 'mjml-schema.config.json'), components, hierarchy: {}, profiles: {} });
+        await assert.rejects(quietly(() => extractComponentSpecs({ config: config(['./helpers.js']) })), /\.\/helpers\.js does not export any component class/);
+        await assert.rejects(quietly(() => extractComponentSpecs({ config: config(['./mj-text.js']) })), /mj-text is exported by both mjml-text and \.\/mj-text\.js/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('attributes carry x-ui editor hints', () => {
+    const schema = generateJsonSchema(specs, { naming: 'camel' });
+    const attributes = type => schema.allOf.find(branch => branch.if.properties.type.const === type).then.properties.attributes.properties;
+    const section = attributes('mj-section');
+
+    assert.deepEqual(section.padding['x-ui'], {
+        widget: 'unit',
+        units: ['px', '%'],
+        values: { min: 1, max: 4 },
+        group: 'spacing',
+        sides: ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'],
+        order: section.padding['x-ui'].order
+    });
+    assert.equal(section.paddingTop['x-ui'].compound, 'padding');
+    assert.equal(section.paddingTop['x-ui'].order, section.padding['x-ui'].order + 1);
+    assert.equal(section.backgroundColor['x-ui'].widget, 'color');
+    assert.deepEqual(attributes('mj-button').href['x-ui'], { widget: 'url', group: 'link', order: attributes('mj-button').href['x-ui'].order });
+    assert.equal(attributes('mj-text').fontFamily['x-ui'].widget, 'font-family');
+    assert.equal(attributes('mj-text').align['x-ui'].widget, 'select');
+    assert.equal(attributes('mj-text').letterSpacing['x-ui'].negative, true);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lint, BUILTIN_RULES } from '../lint.js';
+
+const document = (columnChildren, headChildren = [{ id: 'title', type: 'mj-title', content: 'Title' }, { id: 'preview', type: 'mj-preview', content: 'Preview' }]) => ({
+    id: 'root',
+    type: 'mjml',
+    children: [
+        { id: 'head', type: 'mj-head', children: headChildren },
+        { id: 'body', type: 'mj-body', children: [{ id: 'section', type: 'mj-section', children: [{ id: 'column', type: 'mj-column', children: columnChildren }] }] }
+    ]
+});
+
+test('a clean document has no findings', () => {
+    assert.deepEqual(lint(document([{ id: 'text', type: 'mj-text', content: 'Hi' }])), { issues: [], errors: 0, warnings: 0 });
+});
+
+test('reports accessibility and deliverability findings with severities', () => {
+    const { issues, errors, warnings } = lint(document([
+        { id: 'image', type: 'mj-image', attributes: { src: 'a.png' } },
+        { id: 'button', type: 'mj-button', attributes: { href: '#' }, content: 'Go' },
+        { id: 'text', type: 'mj-text', attributes: { color: '#eeeeee' }, content: 'Faint' }
+    ], []));
+    assert.deepEqual(issues.map(({ rule, severity, nodeId }) => `${rule}:${severity}:${nodeId}`).sort(), [
+        'button-href:error:button',
+        'color-contrast:warning:text',
+        'head-preview:warning:head',
+        'head-title:warning:head',
+        'image-alt:warning:image'
+    ]);
+    assert.equal(errors, 1);
+    assert.equal(warnings, 4);
+});
+
+test('severities can be changed or turned off per rule', () => {
+    const tree = document([{ id: 'image', type: 'mj-image', attributes: { src: 'a.png' } }]);
+    assert.deepEqual(lint(tree, { severities: { 'image-alt': 'error' } }).issues.map(issue => issue.severity), ['error']);
+    assert.deepEqual(lint(tree, { severities: { 'image-alt': 'off' } }).issues, []);
+});
+
+test('custom rules run alongside the built-in ones', () => {
+    const noText = {
+        name: 'no-text',
+        severity: 'info',
+        description: 'Flags mj-text',
+        check({ nodes, report }) {
+            for (const entry of nodes) {
+                if (entry.node.type === 'mj-text') {
+                    report(entry, { message: 'mj-text found' });
+                }
+            }
+        }
+    };
+    const { issues } = lint(document([{ id: 'text', type: 'mj-text', content: 'Hi' }]), { rules: [...BUILTIN_RULES, noText] });
+    assert.deepEqual(issues.map(({ rule, nodeId }) => ({ rule, nodeId })), [{ rule: 'no-text', nodeId: 'text' }]);
+});
+
+test('a document without children reports the missing head elements on the root', () => {
+    const { issues } = lint({ id: 'root', type: 'mjml' });
+    assert.deepEqual(issues.map(({ path, rule }) => ({ path, rule })), [
+        { path: '', rule: 'head-title' },
+        { path: '', rule: 'head-preview' }
+    ]);
+});
+
+test('malformed trees are linted without crashing', () => {
+    assert.deepEqual(lint(null).issues, []);
+    assert.deepEqual(lint({ id: 'root', type: 'mjml', children: 'x' }).issues.map(({ rule }) => rule), ['head-title', 'head-preview']);
+    assert.deepEqual(lint({ id: 'root', type: 'mjml', children: [null] }).issues.map(({ rule }) => rule), ['head-title', 'head-preview']);
+});
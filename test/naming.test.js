@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { camelToKebab, kebabToCamel, toCamelCase, toKebabCase } from '../naming.js';
+
+test('converts attribute names between the two conventions', () => {
+    assert.equal(kebabToCamel('background-color'), 'backgroundColor');
+    assert.equal(camelToKebab('paddingTop'), 'padding-top');
+});
+
+test('converts attribute keys only, through the whole tree', () => {
+    const tree = { id: 'root', type: 'mj-section', attributes: { 'background-color': '#fff' }, children: [{ id: 'my-column', type: 'mj-column', attributes: { 'css-class': 'x' } }] };
+    const camel = toCamelCase(tree);
+    assert.deepEqual(camel, { id: 'root', type: 'mj-section', attributes: { backgroundColor: '#fff' }, children: [{ id: 'my-column', type: 'mj-column', attributes: { cssClass: 'x' } }] });
+    assert.deepEqual(toKebabCase(camel), tree);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMjml, MjmlParseError } from '../parse_mjml.js';
+import { validate } from '../validate.js';
+
+const SOURCE = `<mjml>
+  <mj-body>
+    <mj-section padding="10px 20px">
+      <mj-column>
+        <mj-text font-size="20px">Hello <b>world</b></mj-text>
+        <!-- footer -->
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+test('parses tags into nodes with ids from the tag name and document order', () => {
+    const tree = parseMjml(SOURCE);
+    const column = tree.children[0].children[0].children[0];
+    assert.equal(tree.id, 'root-1');
+    assert.equal(column.id, 'column-1');
+    assert.deepEqual(column.children[0], { id: 'text-1', type: 'mj-text', attributes: { 'font-size': '20px' }, content: 'Hello <b>world</b>' });
+    assert.equal(column.children[1].type, 'mj-raw');
+    assert.deepEqual(parseMjml(SOURCE), tree);
+});
+
+test('normalize splits compound attributes and naming converts keys', () => {
+    const section = parseMjml(SOURCE, { normalize: true, naming: 'camel' }).children[0].children[0];
+    assert.deepEqual(section.attributes, { paddingTop: '10px', paddingRight: '20px', paddingBottom: '10px', paddingLeft: '20px' });
+});
+
+test('comments are dropped with keepComments: false', () => {
+    const column = parseMjml(SOURCE, { keepComments: false }).children[0].children[0].children[0];
+    assert.deepEqual(column.children.map(child => child.type), ['mj-text']);
+});
+
+test('malformed markup throws an MjmlParseError with a position', () => {
+    assert.throws(() => parseMjml('<mjml>\n  <mj-body>\n    <mj-section>\n  </mj-body>\n</mjml>'), error => {
+        assert.ok(error instanceof MjmlParseError);
+        assert.equal(typeof error.line, 'number');
+        assert.equal(typeof error.column, 'number');
+        return true;
+    });
+});
+
+test('errors from the XML parser carry no made-up position', () => {
+    assert.throws(() => parseMjml('hello'), error => error instanceof MjmlParseError
+        && error.line === null && error.column === null && !/line \d/.test(error.message));
+});
+
+test('parsed integer attributes validate against the full schema', () => {
+    const tree = parseMjml('<mjml><mj-body><mj-section><mj-column><mj-table cellpadding="5" cellspacing="0"><tr><td>A</td></tr></mj-table></mj-column></mj-section></mj-body></mjml>');
+    const table = tree.children[0].children[0].children[0].children[0];
+    assert.deepEqual(table.attributes, { cellpadding: '5', cellspacing: '0' });
+    assert.deepEqual(validate(tree), { valid: true, issues: [] });
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../plugins.js';
+import { runExtraction } from '../extract_specs.js';
+import { validate } from '../validate.js';
+import { repair } from '../repair.js';
+
+const PRODUCT_COMPONENT = `export default class MjProduct {
+    static componentName = 'mj-product';
+    static allowedAttributes = { sku: 'string', width: 'unit(px)' };
+    static defaultAttributes = { width: '200px' };
+}
+`;
+
+const CONFIG = {
+    components: ['./mj-product.js'],
+    hierarchy: { 'mj-column': ['mj-product'] },
+    profiles: { full: { attributes: { 'mj-product': { sku: { pattern: '^[A-Z0-9-]+$' } } } } }
+};
+
+const body = children => ({ id: 'body', type: 'mj-body', children });
+
+test('config components are extracted, validated and repaired', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mjml-config-'));
+    const log = console.log;
+    try {
+        fs.writeFileSync(path.join(dir, 'mj-product.js'), PRODUCT_COMPONENT);
+        fs.writeFileSync(path.join(dir, 'mjml-schema.config.json'), JSON.stringify(CONFIG));
+        const config = await loadConfig('mjml-schema.config.json', { cwd: dir });
+        console.log = () => {};
+        await runExtraction({ outDir: path.join(dir, 'out'), profile: 'full', config });
+        console.log = log;
+
+        const specs = JSON.parse(fs.readFileSync(path.join(dir, 'out', 'mjml-specs-raw.json'), 'utf8'));
+        const schema = JSON.parse(fs.readFileSync(path.join(dir, 'out', 'mjml-components-schema.json'), 'utf8'));
+        assert.equal(specs['mj-product'].packageName, './mj-product.js');
+        assert.deepEqual(specs['mj-product'].defaultAttributes, { width: '200px' });
+
+        const product = attributes => ({ id: 'product', type: 'mj-product', attributes });
+        const valid = body([{ id: 'section', type: 'mj-section', children: [{ id: 'column', type: 'mj-column', children: [product({ sku: 'AB-1', width: '100px' })] }] }]);
+        assert.deepEqual(validate(valid, { schema }).issues, []);
+        assert.ok(validate(valid).issues.some(issue => issue.nodeId === 'product'));
+        assert.deepEqual(validate(body([{ id: 'section', type: 'mj-section', children: [{ id: 'column', type: 'mj-column', children: [product({ sku: 'ab 1' })] }] }]), { schema })
+            .issues.map(({ attribute, rule }) => ({ attribute, rule })), [{ attribute: 'sku', rule: 'pattern' }]);
+
+        const { tree, valid: repaired, changes } = repair(body([{ id: 'section', type: 'mj-section', children: [product({ sku: 'AB-1', width: '100' })] }]), 'full', { specs, schema });
+        assert.equal(repaired, true);
+        assert.deepEqual(changes.map(change => change.action), ['wrap', 'add-unit']);
+        assert.equal(tree.children[0].children[0].type, 'mj-column');
+        assert.deepEqual(tree.children[0].children[0].children[0].attributes, { sku: 'AB-1', width: '100px' });
+    } finally {
+        console.log = log;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
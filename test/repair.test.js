@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { repair } from '../repair.js';
+
+const body = children => ({ id: 'root', type: 'mjml', children: [{ id: 'body', type: 'mj-body', children }] });
+
+test('wraps orphaned children in the containers they need', () => {
+    const input = body([{ id: 'text', type: 'mj-text', content: 'Hi' }]);
+    const { tree, valid, changes } = repair(input);
+    assert.equal(valid, true);
+    assert.deepEqual(changes.map(change => change.action), ['wrap']);
+    const section = tree.children[0].children[0];
+    assert.equal(section.type, 'mj-section');
+    assert.equal(section.children[0].type, 'mj-column');
+    assert.equal(section.children[0].children[0].id, 'text');
+    assert.equal(input.children[0].children[0].type, 'mj-text');
+});
+
+test('fixes values mechanically and leaves what it cannot fix as issues', () => {
+    const input = body([{
+        id: 'section',
+        type: 'mj-section',
+        children: [{
+            id: 'column',
+            type: 'mj-column',
+            children: [
+                { id: 'image', type: 'mj-image', attributes: { src: 'a.png', width: '100', align: 'Left' } },
+                { id: 'image', type: 'mj-text', attributes: { color: 'not a color' }, content: 'x' }
+            ]
+        }]
+    }]);
+    const { tree, valid, changes, issues } = repair(input);
+    const [image, text] = tree.children[0].children[0].children[0].children;
+    assert.deepEqual(image.attributes, { src: 'a.png', width: '100px', align: 'left' });
+    assert.notEqual(text.id, 'image');
+    assert.deepEqual(changes.map(change => change.action).sort(), ['add-unit', 'normalize-value', 'regenerate-id']);
+    assert.equal(valid, false);
+    assert.deepEqual(issues.map(({ attribute, rule }) => ({ attribute, rule })), [{ attribute: 'color', rule: 'pattern' }]);
+});
+
+test('splits compound attributes the ai profile excludes', () => {
+    const input = body([{ id: 'section', type: 'mj-section', attributes: { padding: '10px 20px', paddingTop: '0' } }]);
+    const { tree, valid } = repair(input, 'ai');
+    assert.equal(valid, true);
+    assert.deepEqual(tree.children[0].children[0].attributes, { paddingTop: '0', paddingRight: '20px', paddingBottom: '10px', paddingLeft: '20px' });
+});
+
+test('non-object trees and children are left for validation to report', () => {
+    assert.deepEqual(repair(null).issues.map(({ path, rule }) => ({ path, rule })), [{ path: '', rule: 'type' }]);
+    const { tree, changes, issues } = repair({ id: 'r', type: 'mjml', children: [null] }, 'ai');
+    assert.deepEqual(tree, { id: 'r', type: 'mjml', children: [null] });
+    assert.deepEqual(changes, []);
+    assert.deepEqual(issues.map(({ path, rule }) => ({ path, rule })), [{ path: '/children/0', rule: 'type' }]);
+});
+
+test('integer attributes become digit strings', () => {
+    const { tree, valid } = repair(body([{ id: 'section', type: 'mj-section', children: [{ id: 'column', type: 'mj-column', children: [
+        { id: 'table', type: 'mj-table', attributes: { cellpadding: 5, cellspacing: ' 2 ' }, content: '<tr><td>A</td></tr>' }
+    ] }] }]));
+    assert.equal(valid, true);
+    assert.deepEqual(tree.children[0].children[0].children[0].children[0].attributes, { cellpadding: '5', cellspacing: '2' });
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveAttributes } from '../resolve_attributes.js';
+import { toCamelCase } from '../naming.js';
+
+const tree = {
+    id: 'root',
+    type: 'mjml',
+    children: [
+        {
+            id: 'head',
+            type: 'mj-head',
+            children: [{
+                id: 'attributes',
+                type: 'mj-attributes',
+                children: [
+                    { id: 'all', type: 'mj-all', attributes: { 'font-family': 'Arial' } },
+                    { id: 'text-defaults', type: 'mj-text', attributes: { 'font-size': '16px', color: 'red' } },
+                    { id: 'blue', type: 'mj-class', attributes: { name: 'blue', color: 'blue' } }
+                ]
+            }]
+        },
+        {
+            id: 'body',
+            type: 'mj-body',
+            children: [{
+                id: 'section',
+                type: 'mj-section',
+                children: [{
+                    id: 'column',
+                    type: 'mj-column',
+                    children: [
+                        { id: 'text', type: 'mj-text', attributes: { 'mj-class': 'blue', align: 'center' }, content: 'Hi' },
+                        { id: 'social', type: 'mj-social', attributes: { color: '#333333' }, children: [{ id: 'facebook', type: 'mj-social-element', attributes: { name: 'facebook' } }] }
+                    ]
+                }]
+            }]
+        }
+    ]
+};
+
+const COLUMN = '/children/1/children/0/children/0';
+
+test('applies mjml-core precedence and records the source of each value', () => {
+    const { attributes, sources } = resolveAttributes(tree).get(`${COLUMN}/children/0`);
+    assert.equal(attributes['font-family'], 'Arial');
+    assert.equal(attributes['font-size'], '16px');
+    assert.equal(attributes.color, 'blue');
+    assert.equal(attributes.align, 'center');
+    assert.equal(attributes['line-height'], '1');
+    assert.deepEqual(
+        { fontFamily: sources['font-family'], fontSize: sources['font-size'], color: sources.color, align: sources.align, lineHeight: sources['line-height'] },
+        { fontFamily: 'mj-all', fontSize: 'mj-attributes', color: 'mj-class:blue', align: 'inline', lineHeight: 'default' }
+    );
+});
+
+test('attributes passed down by a parent are resolved on the children', () => {
+    const { attributes, sources } = resolveAttributes(tree).get(`${COLUMN}/children/1/children/0`);
+    assert.equal(attributes.color, '#333333');
+    assert.equal(sources.color, 'inherited:mj-social');
+});
+
+test('camelCase trees resolve to camelCase attributes', () => {
+    const { attributes } = resolveAttributes(toCamelCase(tree), { naming: 'camel' }).get(`${COLUMN}/children/0`);
+    assert.equal(attributes.fontFamily, 'Arial');
+    assert.equal(attributes.lineHeight, '1');
+});
+
+test('malformed nodes and children are skipped', () => {
+    assert.equal(resolveAttributes(null).size, 0);
+    assert.equal(resolveAttributes({ id: 'r', type: 'mjml', children: 'x' }).size, 0);
+    const resolved = resolveAttributes({ id: 'r', type: 'mjml', children: [null, { id: 'body', type: 'mj-body', children: [null, { id: 'section', type: 'mj-section' }] }] });
+    assert.deepEqual([...resolved.keys()], ['/children/1', '/children/1/children/1']);
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveIncludes, IncludeError } from '../resolve_includes.js';
+
+let baseDir;
+
+before(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mjml-schema-includes-'));
+    fs.writeFileSync(path.join(baseDir, 'header.mjml'), '<mj-section><mj-column><mj-text>Header</mj-text></mj-column></mj-section>');
+    fs.writeFileSync(path.join(baseDir, 'theme.css'), '.red { color: red; }');
+    fs.writeFileSync(path.join(baseDir, 'text.json'), JSON.stringify({ id: 'stray', type: 'mj-text', content: 'x' }));
+    fs.writeFileSync(path.join(baseDir, 'a.mjml'), '<mj-include path="b.mjml" />');
+    fs.writeFileSync(path.join(baseDir, 'b.mjml'), '<mj-include path="a.mjml" />');
+});
+
+after(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+const document = includes => ({
+    id: 'root',
+    type: 'mjml',
+    children: [{ id: 'body', type: 'mj-body', children: includes.map((attributes, index) => ({ id: `include-${index + 1}`, type: 'mj-include', attributes })) }]
+});
+
+test('inlines mjml fragments in place and css into the head', () => {
+    const { tree, valid, files } = resolveIncludes(document([{ path: 'header.mjml' }, { path: 'theme.css', type: 'css' }]), { baseDir });
+    assert.equal(valid, true);
+    assert.deepEqual(tree.children.map(child => child.type), ['mj-head', 'mj-body']);
+    assert.deepEqual(tree.children[0].children, [{ id: 'include-2', type: 'mj-style', content: '.red { color: red; }' }]);
+    assert.equal(tree.children[1].children[0].type, 'mj-section');
+    assert.deepEqual(files, [path.join(baseDir, 'header.mjml'), path.join(baseDir, 'theme.css')]);
+});
+
+test('a fragment that does not fit the include site is a hierarchy issue with its file', () => {
+    const { valid, issues } = resolveIncludes(document([{ path: 'text.json' }]), { baseDir });
+    assert.equal(valid, false);
+    assert.deepEqual(issues.map(({ path: issuePath, rule, file }) => ({ path: issuePath, rule, file })), [
+        { path: '/children/0/children/0', rule: 'hierarchy', file: path.join(baseDir, 'text.json') }
+    ]);
+});
+
+test('missing files, malformed paths, paths outside the base directory, URLs and cycles throw an IncludeError', () => {
+    for (const [includePath, message] of [
+        ['missing.mjml', /cannot read missing\.mjml/],
+        ['100%.mjml', /100%\.mjml is not a valid URI-encoded path/],
+        ['../outside.mjml', /outside the base directory/],
+        ['https://example.com/a.mjml', /only local files/],
+        ['a.mjml', /Include cycle: a\.mjml → b\.mjml → a\.mjml/]
+    ]) {
+        assert.throws(() => resolveIncludes(document([{ path: includePath }]), { baseDir }), error => error instanceof IncludeError && message.test(error.message));
+    }
+});
+
+test('malformed trees are passed through for validate() to report', () => {
+    assert.deepEqual(resolveIncludes(null, { baseDir }), { tree: null, valid: true, issues: [], files: [] });
+    const withString = { id: 'r', type: 'mjml', children: 'x' };
+    assert.deepEqual(resolveIncludes(withString, { baseDir }).tree, withString);
+    const withNull = { id: 'r', type: 'mjml', children: [null, { id: 'body', type: 'mj-body', children: [null, { id: 'i', type: 'mj-include', attributes: { path: 'header.mjml' } }] }] };
+    const { tree, valid } = resolveIncludes(withNull, { baseDir });
+    assert.equal(valid, true);
+    assert.equal(tree.children[0], null);
+    assert.deepEqual(tree.children[1].children.map(child => child && child.type), [null, 'mj-section']);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStreamValidator } from '../stream_validate.js';
+
+const tree = {
+    id: 'root',
+    type: 'mjml',
+    children: [{ id: 'body', type: 'mj-body', children: [{ id: 'text', type: 'mj-text', content: 'Hi' }] }]
+};
+
+test('reports an issue as soon as the offending node\'s type is complete', () => {
+    const json = JSON.stringify(tree);
+    const validator = createStreamValidator();
+    const cutoff = json.indexOf('"mj-text"') + '"mj-text"'.length;
+    assert.deepEqual(validator.write(json.slice(0, cutoff - 1)), []);
+    const issues = validator.write(json.slice(cutoff - 1, cutoff));
+    assert.deepEqual(issues.map(({ path, rule }) => ({ path, rule })), [{ path: '/children/0/children/0', rule: 'hierarchy' }]);
+    assert.deepEqual(validator.write(json.slice(cutoff)), []);
+});
+
+test('end() validates the complete tree and emits each issue once', () => {
+    const emitted = [];
+    const validator = createStreamValidator({ onIssue: issue => emitted.push(issue) });
+    for (const character of JSON.stringify(tree)) {
+        validator.write(character);
+    }
+    const { valid, issues, tree: parsed } = validator.end();
+    assert.equal(valid, false);
+    assert.deepEqual(parsed, tree);
+    assert.deepEqual(emitted.map(issue => issue.rule), issues.map(issue => issue.rule));
+});
+
+test('malformed JSON is one parse issue with its position', () => {
+    const validator = createStreamValidator();
+    validator.write('{"id": "root",,');
+    validator.write('"type": "mjml"}');
+    const { valid, issues } = validator.end();
+    assert.equal(valid, false);
+    assert.deepEqual(issues.map(({ rule, line, column }) => ({ rule, line, column })), [{ rule: 'parse', line: 1, column: 15 }]);
+});
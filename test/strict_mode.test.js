@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { checkStrictSchema, stripNulls } from '../strict_mode.js';
+
+test('the generated strict schema passes the strict-mode check', () => {
+    const schema = JSON.parse(fs.readFileSync(new URL('../mjml-components-schema-ai-strict.json', import.meta.url), 'utf8'));
+    assert.deepEqual(checkStrictSchema(schema), []);
+});
+
+test('reports unsupported keywords, open objects and missing required properties', () => {
+    const rules = checkStrictSchema({
+        type: 'object',
+        properties: { color: { type: 'string', pattern: '^#' } },
+        required: []
+    }).map(violation => violation.rule).sort();
+    assert.deepEqual(rules, ['additional-properties', 'required', 'unsupported-keyword']);
+});
+
+test('stripNulls removes unused attributes, content and children', () => {
+    assert.deepEqual(stripNulls({
+        id: 'section',
+        type: 'mj-section',
+        attributes: { backgroundColor: null },
+        content: null,
+        children: [{ id: 'column', type: 'mj-column', attributes: { width: '50%' }, content: null, children: [] }]
+    }), { id: 'section', type: 'mj-section', children: [{ id: 'column', type: 'mj-column', attributes: { width: '50%' } }] });
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mjml2html from 'mjml';
+import { toMjml } from '../to_mjml.js';
+import { parseMjml } from '../parse_mjml.js';
+
+const tree = {
+    id: 'root',
+    type: 'mjml',
+    children: [{
+        id: 'body',
+        type: 'mj-body',
+        children: [{
+            id: 'section',
+            type: 'mj-section',
+            attributes: { backgroundColor: '#fff' },
+            children: [{
+                id: 'column',
+                type: 'mj-column',
+                children: [
+                    { id: 'text', type: 'mj-text', content: 'Fish & <b>chips</b>' },
+                    { id: 'image', type: 'mj-image', attributes: { src: 'a.png', alt: 'Say "hi"' } }
+                ]
+            }]
+        }]
+    }]
+};
+
+test('writes MJML names, escapes attribute values and keeps ending-tag content as is', () => {
+    assert.equal(toMjml(tree, { pretty: false }),
+        '<mjml><mj-body><mj-section background-color="#fff"><mj-column><mj-text>Fish & <b>chips</b></mj-text><mj-image src="a.png" alt="Say &quot;hi&quot;" /></mj-column></mj-section></mj-body></mjml>');
+});
+
+test('parsing the output gives the tree back', () => {
+    const parsed = parseMjml(toMjml(tree), { naming: 'camel' });
+    const column = parsed.children[0].children[0].children[0];
+    assert.equal(column.children[0].content, 'Fish & <b>chips</b>');
+    assert.deepEqual(column.children[1].attributes, { src: 'a.png', alt: 'Say "hi"' });
+});
+
+test('pretty-prints one tag per line and compiles without errors', () => {
+    const mjml = toMjml(tree);
+    assert.equal(mjml, [
+        '<mjml>',
+        '  <mj-body>',
+        '    <mj-section background-color="#fff">',
+        '      <mj-column>',
+        '        <mj-text>Fish & <b>chips</b></mj-text>',
+        '        <mj-image src="a.png" alt="Say &quot;hi&quot;" />',
+        '      </mj-column>',
+        '    </mj-section>',
+        '  </mj-body>',
+        '</mjml>'
+    ].join('\n'));
+    assert.equal(toMjml(tree, { indent: '\t' }).split('\n')[4], '\t\t\t\t<mj-text>Fish & <b>chips</b></mj-text>');
+    assert.deepEqual(mjml2html(mjml, { validationLevel: 'strict' }).errors, []);
+});
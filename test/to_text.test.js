@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toText, htmlToText } from '../to_text.js';
+
+const tree = {
+    id: 'root',
+    type: 'mjml',
+    children: [
+        { id: 'head', type: 'mj-head', children: [{ id: 'title', type: 'mj-title', content: 'Title' }, { id: 'preview', type: 'mj-preview', content: 'Spring sale inside' }] },
+        {
+            id: 'body',
+            type: 'mj-body',
+            children: [{
+                id: 'section',
+                type: 'mj-section',
+                children: [{
+                    id: 'column',
+                    type: 'mj-column',
+                    children: [
+                        { id: 'logo', type: 'mj-image', attributes: { src: 'logo.png', alt: 'Acme', href: 'https://acme.test' } },
+                        { id: 'text', type: 'mj-text', content: '<h1>Spring sale</h1><p>Hello {{ name }}, save 20%.</p>' },
+                        { id: 'button', type: 'mj-button', attributes: { href: 'https://acme.test/shop' }, content: 'Shop now' },
+                        { id: 'divider', type: 'mj-divider' },
+                        { id: 'spacer', type: 'mj-image', attributes: { src: 'spacer.png', alt: '' } }
+                    ]
+                }]
+            }]
+        }
+    ]
+};
+
+test('renders the body in document order and skips the head', () => {
+    assert.equal(toText(tree), [
+        'Acme (https://acme.test)',
+        'Spring sale\n===========',
+        'Hello {{ name }}, save 20%.',
+        'Shop now (https://acme.test/shop)',
+        '-'.repeat(40)
+    ].join('\n\n'));
+});
+
+test('puts the preview text first when asked', () => {
+    assert.ok(toText(tree, { preview: true }).startsWith('Spring sale inside\n\nAcme'));
+});
+
+test('converts content HTML to readable text', () => {
+    assert.equal(htmlToText('<ul><li>Shoes</li><li>Hats</li></ul><p>Mail <a href="mailto:hi@acme.test">hi@acme.test</a> &amp; <a href="#">more</a></p>'),
+        '- Shoes\n- Hats\n\nMail hi@acme.test & more');
+});
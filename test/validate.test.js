@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../validate.js';
+
+const tree = () => ({
+    id: 'root',
+    type: 'mjml',
+    children: [{
+        id: 'body',
+        type: 'mj-body',
+        children: [{
+            id: 'section',
+            type: 'mj-section',
+            children: [{
+                id: 'column',
+                type: 'mj-column',
+                children: [{ id: 'text', type: 'mj-text', attributes: { color: '#222222' }, content: 'Hello' }]
+            }]
+        }]
+    }]
+});
+
+test('a valid tree has no issues', () => {
+    assert.deepEqual(validate(tree()), { valid: true, issues: [] });
+});
+
+test('a child the parent cannot contain is a hierarchy issue on the child', () => {
+    const subject = tree();
+    subject.children[0].children[0].children = [{ id: 'stray', type: 'mj-text', content: 'x' }];
+    const { valid, issues } = validate(subject);
+    assert.equal(valid, false);
+    assert.deepEqual(issues.map(({ path, nodeId, rule, value }) => ({ path, nodeId, rule, value })), [
+        { path: '/children/0/children/0/children/0', nodeId: 'stray', rule: 'hierarchy', value: 'mj-text' }
+    ]);
+});
+
+test('an attribute that fails its pattern is reported with the attribute and value', () => {
+    const subject = tree();
+    subject.children[0].children[0].children[0].children[0].attributes.color = 'not a color';
+    const [issue] = validate(subject).issues;
+    assert.equal(issue.rule, 'pattern');
+    assert.equal(issue.attribute, 'color');
+    assert.equal(issue.value, 'not a color');
+    assert.equal(issue.nodeId, 'text');
+});
+
+test('excluded components and attributes are named as such in the ai profile', () => {
+    const subject = tree();
+    const column = subject.children[0].children[0].children[0];
+    column.children.push({ id: 'hero', type: 'mj-hero' });
+    column.children[0].attributes = { padding: '10px' };
+    const rules = validate(subject, { profile: 'ai' }).issues.map(issue => issue.rule);
+    assert.ok(rules.includes('excluded-attribute'));
+    assert.ok(rules.includes('excluded-component'));
+});
+
+test('Liquid values are validated as rendered with the sample data', () => {
+    const subject = tree();
+    subject.children[0].children[0].children[0].children[0].attributes.color = '{{ brand.color }}';
+    assert.equal(validate(subject, { sampleData: { brand: { color: '#0a84ff' } } }).valid, true);
+    const [issue] = validate(subject, { sampleData: { brand: { color: 'nope nope' } } }).issues;
+    assert.equal(issue.template, '{{ brand.color }}');
+    assert.deepEqual(validate(subject, { sampleData: {} }).issues.map(({ rule }) => rule), ['liquid']);
+});
+
+test('an unknown profile throws', () => {
+    assert.throws(() => validate(tree(), { profile: 'nope' }), /Unknown profile "nope"/);
+});
+
+test('a tree without strict nulls validates under the strict profile', () => {
+    const subject = tree();
+    subject.children[0].children[0].children[0].children[0].attributes = { paddingTop: '10px' };
+    assert.deepEqual(validate(subject, { profile: 'strict' }), { valid: true, issues: [] });
+});
+
+test('the strict profile reports a misplaced node once, as the ai profile does', () => {
+    const subject = tree();
+    subject.children[0].children[0].children = [{ id: 'stray', type: 'mj-text', content: 'x' }];
+    const strict = validate(subject, { profile: 'strict' });
+    assert.equal(strict.valid, false);
+    assert.deepEqual(strict.issues, validate(subject, { profile: 'ai' }).issues);
+    assert.equal(strict.issues.length, 1);
+});
+
+test('children that are not an array are reported without crashing', () => {
+    const subject = { id: 'r', type: 'mjml', children: [{ id: 'b', type: 'mj-body', children: 'x' }] };
+    for (const profile of ['full', 'ai', 'strict']) {
+        const { valid, issues } = validate(subject, { profile });
+        assert.equal(valid, false);
+        assert.deepEqual(issues.map(({ path, rule, message }) => ({ path, rule, message })), [
+            { path: '/children/0', rule: 'type', message: 'mj-body "b": must be array' }
+        ]);
+    }
+});
+
+test('each missing required property is its own issue', () => {
+    assert.deepEqual(validate({}).issues.map(({ rule, message }) => ({ rule, message })), [
+        { rule: 'required', message: "node: must have required property 'id'" },
+        { rule: 'required', message: "node: must have required property 'type'" }
+    ]);
+});
+
+test('color names are the ones MJML knows', () => {
+    const subject = tree();
+    const text = subject.children[0].children[0].children[0].children[0];
+    text.attributes.color = 'rebeccapurple';
+    assert.equal(validate(subject).valid, true);
+    text.attributes.color = 'banana';
+    assert.deepEqual(validate(subject).issues.map(({ attribute, rule }) => ({ attribute, rule })), [{ attribute: 'color', rule: 'pattern' }]);
+});
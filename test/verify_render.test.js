@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyRender } from '../verify_render.js';
+
+const root = sectionChildren => ({
+    id: 'root',
+    type: 'mjml',
+    children: [{ id: 'body', type: 'mj-body', children: [{ id: 'section', type: 'mj-section', children: sectionChildren }] }]
+});
+
+const column = children => ({ id: 'column', type: 'mj-column', children });
+
+test('a valid tree compiles without issues', () => {
+    const { valid, issues, html } = verifyRender(root([column([{ id: 'text', type: 'mj-text', content: 'Hello' }])]));
+    assert.deepEqual(issues, []);
+    assert.equal(valid, true);
+    assert.match(html, /Hello/);
+});
+
+test('mjml errors are mapped to the node and attribute they came from', () => {
+    const tree = root([
+        column([{ id: 'text', type: 'mj-text', attributes: { color: 'bluish' }, content: 'Hi' }]),
+        { id: 'orphan', type: 'mj-text', content: 'Lost' }
+    ]);
+    const { valid, issues, html } = verifyRender(tree);
+    assert.equal(valid, false);
+    assert.equal(html, null);
+    assert.deepEqual(issues.map(({ path, nodeId, attribute, rule, line }) => ({ path, nodeId, attribute, rule, line })), [
+        { path: '/children/0/children/0/children/0/children/0', nodeId: 'text', attribute: 'color', rule: 'valid-types', line: 5 },
+        { path: '/children/0/children/0/children/1', nodeId: 'orphan', attribute: null, rule: 'valid-children', line: 7 }
+    ]);
+    assert.match(issues[1].message, /^mj-text "orphan": mj-text cannot be used inside mj-section/);
+});
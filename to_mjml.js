@@ -0,0 +1,148 @@
+/**
+ * JSON Tree to MJML Serializer
+ *
+ * Turns a {id, type, attributes, content, children} component tree (as
+ * described by the generated schemas) into MJML markup that mjml2html
+ * accepts. Attribute keys may be kebab-case or camelCase.
+ */
+
+import mjml2html from 'mjml';
+import { components } from 'mjml-core';
+import { camelToKebab } from './naming.js';
+
+/**
+ * Check whether a component keeps its inner HTML as raw content
+ * (mj-text, mj-button, mj-raw, ... declare `endingTag` on their class)
+ */
+export function isEndingTag(type) {
+    return Boolean(components[type] && components[type].endingTag);
+}
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ */
+function escapeAttribute(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text content of components that are parsed as MJML
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Serialize a node's attributes as ` name="value"` pairs
+ */
+function serializeAttributes(attributes) {
+    let result = '';
+    for (const [name, value] of Object.entries(attributes || {})) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        result += ` ${camelToKebab(name)}="${escapeAttribute(value)}"`;
+    }
+    return result;
+}
+
+/**
+ * Serialize a single node (and its children) at the given depth
+ */
+function serializeNode(node, depth, options) {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+        throw new TypeError(`Invalid node at depth ${depth}: expected an object with a string "type"`);
+    }
+
+    const { pretty, indent } = options;
+    const pad = pretty ? indent.repeat(depth) : '';
+    const newline = pretty ? '\n' : '';
+    const openTag = `<${node.type}${serializeAttributes(node.attributes)}`;
+    const children = Array.isArray(node.children) ? node.children : [];
+    const hasContent = typeof node.content === 'string' && node.content.length > 0;
+
+    // Ending-tag components: inner HTML is emitted as-is, children are ignored by MJML
+    if (isEndingTag(node.type)) {
+        if (!hasContent) {
+            return `${pad}${openTag} />`;
+        }
+        return `${pad}${openTag}>${node.content}</${node.type}>`;
+    }
+
+    if (children.length === 0 && !hasContent) {
+        return `${pad}${openTag} />`;
+    }
+
+    const inner = [];
+    if (hasContent) {
+        inner.push(`${pretty ? indent.repeat(depth + 1) : ''}${escapeText(node.content)}`);
+    }
+    for (const child of children) {
+        inner.push(serializeNode(child, depth + 1, options));
+    }
+
+    return `${pad}${openTag}>${newline}${inner.join(newline)}${newline}${pad}</${node.type}>`;
+}
+
+/**
+ * Serialize a component tree to MJML markup.
+ *
+ * Options:
+ * - pretty: indent nested tags on separate lines (default: true)
+ * - indent: indentation unit when pretty-printing (default: two spaces)
+ */
+export function toMjml(tree, { pretty = true, indent = '  ' } = {}) {
+    return serializeNode(tree, 0, { pretty, indent });
+}
+
+/**
+ * Number of lines a serialized string spans
+ */
+function lineCount(text) {
+    return text.split('\n').length;
+}
+
+/**
+ * Find the line of each node's opening tag in toMjml's pretty-printed
+ * output (1-based), so mjml's line-numbered errors can be traced back to
+ * the tree. Returns [{ line, path, node }] in document order, where path is
+ * the node's JSON Pointer.
+ */
+export function locateNodes(tree, { indent = '  ' } = {}) {
+    const options = { pretty: true, indent };
+    const located = [];
+
+    const locate = (node, depth, line, path) => {
+        located.push({ line, path, node });
+        const children = Array.isArray(node.children) ? node.children : [];
+        if (isEndingTag(node.type) || children.length === 0) {
+            return;
+        }
+        let next = line + 1;
+        if (typeof node.content === 'string' && node.content.length > 0) {
+            next += lineCount(escapeText(node.content));
+        }
+        children.forEach((child, index) => {
+            locate(child, depth + 1, next, `${path}/children/${index}`);
+            next += lineCount(serializeNode(child, depth + 1, options));
+        });
+    };
+
+    locate(tree, 0, 1, '');
+    return located;
+}
+
+/**
+ * Serialize a component tree and compile it with mjml2html.
+ * Returns mjml2html's result ({ html, errors }).
+ */
+export function toHtml(tree, mjmlOptions = {}) {
+    return mjml2html(toMjml(tree), mjmlOptions);
+}
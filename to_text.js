@@ -0,0 +1,281 @@
+/**
+ * JSON Tree to Plain Text Renderer
+ *
+ * Builds the text/plain alternative of an email from the component tree
+ * instead of from the compiled HTML: content is read in document order
+ * (sections, then their columns), mj-text HTML becomes readable text,
+ * buttons and social icons become labelled links, images their alt text
+ * and dividers a rule line. mj-head is skipped, except for the optional
+ * mj-preview line at the top.
+ */
+
+import { camelToKebab } from './naming.js';
+
+const RULE = '-'.repeat(40);
+
+// Tags whose content is not text
+const SKIPPED_TAGS = ['head', 'script', 'style', 'title', 'template'];
+
+// Tags that start a paragraph (blank line) or a new line
+const PARAGRAPH_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'table', 'ul', 'ol', 'dl'];
+const LINE_TAGS = ['div', 'section', 'article', 'header', 'footer', 'tr', 'li', 'dt', 'dd', 'center'];
+
+const NAMED_ENTITIES = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    bull: '•', middot: '·', euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°', times: '×', zwnj: ''
+};
+
+/**
+ * Decode HTML character references (named ones from NAMED_ENTITIES, and
+ * numeric ones)
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+        }
+        return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Read an attribute from the attribute string of an HTML tag
+ */
+function tagAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Whether an href leads somewhere a reader of the text part can go
+ */
+function isUsableHref(href) {
+    return Boolean(href) && !href.startsWith('#') && !/^javascript:/i.test(href);
+}
+
+/**
+ * Label a link: "text (url)", or just the url when the text is empty or
+ * already says it (an address for mailto:, a number for tel:)
+ */
+function formatLink(text, href) {
+    const label = text.trim();
+    if (!isUsableHref(href)) {
+        return label;
+    }
+    const target = href.replace(/^(mailto|tel):/i, '');
+    if (!label || label === href || label === target) {
+        return target === href ? href : label || target;
+    }
+    return `${label} (${href})`;
+}
+
+/**
+ * Convert an HTML fragment (mj-text, mj-button, ... content) to readable
+ * text: paragraphs separated by blank lines, h1/h2 underlined, list items
+ * as "- " or "1. " (nested lists indented), links as "text (url)", images
+ * as their alt text and <hr> as a rule line
+ */
+export function htmlToText(html) {
+    let out = '';
+    const lists = [];
+    const links = [];
+    const headings = [];
+    let skipping = null;
+
+    const append = text => {
+        let chunk = text.replace(/\s+/g, ' ');
+        if (out === '' || /[\n ]$/.test(out)) {
+            chunk = chunk.replace(/^ /, '');
+        }
+        out += chunk;
+    };
+    const trimSpaces = () => {
+        out = out.replace(/ +$/, '');
+    };
+    const newline = () => {
+        trimSpaces();
+        if (out !== '' && !out.endsWith('\n')) {
+            out += '\n';
+        }
+    };
+    const paragraph = () => {
+        trimSpaces();
+        if (out !== '' && !out.endsWith('\n\n')) {
+            out += out.endsWith('\n') ? '\n' : '\n\n';
+        }
+    };
+
+    for (const [token, closing, rawName, attributes] of String(html).matchAll(/<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>|[^<]+|</g)) {
+        const name = rawName && rawName.toLowerCase();
+        if (skipping) {
+            if (closing && name === skipping) {
+                skipping = null;
+            }
+            continue;
+        }
+        if (token.startsWith('<!--')) {
+            continue;
+        }
+        if (!name) {
+            append(decodeEntities(token));
+            continue;
+        }
+
+        if (SKIPPED_TAGS.includes(name)) {
+            skipping = closing ? null : name;
+            continue;
+        }
+
+        if (!closing) {
+            if (name === 'br') {
+                trimSpaces();
+                out += '\n';
+            } else if (name === 'hr') {
+                paragraph();
+                out += RULE;
+                paragraph();
+            } else if (name === 'img') {
+                append(` ${tagAttribute(attributes, 'alt') || ''} `);
+            } else if (name === 'a') {
+                links.push({ href: tagAttribute(attributes, 'href'), start: out.length });
+            } else if (name === 'ul' || name === 'ol') {
+                lists.length === 0 ? paragraph() : newline();
+                lists.push({ ordered: name === 'ol', count: 0 });
+            } else if (name === 'li') {
+                newline();
+                const list = lists[lists.length - 1];
+                if (list) {
+                    list.count++;
+                    out += `${'  '.repeat(lists.length - 1)}${list.ordered ? `${list.count}.` : '-'} `;
+                }
+            } else if (name === 'td' || name === 'th') {
+                append(' ');
+            } else if (PARAGRAPH_TAGS.includes(name)) {
+                paragraph();
+                if (/^h[12]$/.test(name)) {
+                    headings.push({ underline: name === 'h1' ? '=' : '-', start: out.length });
+                }
+            } else if (LINE_TAGS.includes(name)) {
+                newline();
+            }
+            continue;
+        }
+
+        if (name === 'a') {
+            const link = links.pop();
+            if (link) {
+                out = out.slice(0, link.start) + formatLink(out.slice(link.start).replace(/\s+/g, ' '), link.href);
+            }
+        } else if (name === 'ul' || name === 'ol') {
+            lists.pop();
+            lists.length === 0 ? paragraph() : newline();
+        } else if (/^h[12]$/.test(name) && headings.length > 0) {
+            const { underline, start } = headings.pop();
+            trimSpaces();
+            const heading = out.slice(start).trim();
+            if (heading) {
+                out += `\n${underline.repeat(Math.min(heading.length, RULE.length))}`;
+            }
+            paragraph();
+        } else if (PARAGRAPH_TAGS.includes(name)) {
+            paragraph();
+        } else if (LINE_TAGS.includes(name)) {
+            newline();
+        }
+    }
+
+    return out
+        .split('\n')
+        .map(line => line.replace(/\s+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Read an attribute of a node under either naming
+ */
+function getAttribute(node, name) {
+    const attributes = node.attributes && typeof node.attributes === 'object' ? node.attributes : {};
+    const key = Object.keys(attributes).find(attrName => camelToKebab(attrName) === name);
+    return key === undefined || attributes[key] === null ? null : String(attributes[key]);
+}
+
+/**
+ * Name of a social element without its content: the network, capitalized
+ * ("facebook-noshare" → "Facebook")
+ */
+function networkName(node) {
+    const name = (getAttribute(node, 'name') || '').replace(/-noshare$/, '');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Text blocks of a node, in document order
+ */
+function renderNode(node) {
+    if (!node || typeof node !== 'object' || typeof node.type !== 'string') {
+        return [];
+    }
+    const children = Array.isArray(node.children) ? node.children : [];
+    const content = typeof node.content === 'string' ? htmlToText(node.content) : '';
+
+    switch (node.type) {
+        case 'mj-head':
+        case 'mj-attributes':
+        case 'mj-include':
+        case 'mj-spacer':
+            return [];
+        case 'mj-button':
+        case 'mj-navbar-link':
+            return [formatLink(content, getAttribute(node, 'href'))];
+        case 'mj-image':
+        case 'mj-carousel-image': {
+            const alt = getAttribute(node, 'alt') || '';
+            return [formatLink(alt, getAttribute(node, 'href'))];
+        }
+        case 'mj-divider':
+            return [RULE];
+        case 'mj-social-element':
+            return [formatLink(content || networkName(node), getAttribute(node, 'href'))];
+        case 'mj-social':
+        case 'mj-navbar':
+            // One link per line
+            return [children.flatMap(renderNode).filter(Boolean).join('\n')];
+        case 'mj-accordion-title':
+            return [content];
+        default:
+            return [content, ...children.flatMap(renderNode)];
+    }
+}
+
+/**
+ * Find the mj-preview text in the tree's mj-head
+ */
+function findPreview(tree) {
+    const head = (Array.isArray(tree.children) ? tree.children : []).find(child => child && child.type === 'mj-head');
+    const preview = head && (Array.isArray(head.children) ? head.children : []).find(child => child && child.type === 'mj-preview');
+    return preview && typeof preview.content === 'string' ? htmlToText(preview.content) : '';
+}
+
+/**
+ * Render a component tree as the text/plain part of the email.
+ *
+ * Options:
+ * - preview: start with the mj-preview text (default: false)
+ *
+ * Blocks (a text, a button, an image, ...) are separated by blank lines.
+ * Attribute keys may be kebab-case or camelCase. Includes are skipped, so
+ * resolve them first (resolveIncludes); Liquid expressions are kept as
+ * they are.
+ */
+export function toText(tree, { preview = false } = {}) {
+    const blocks = renderNode(tree);
+    if (preview && tree && typeof tree === 'object') {
+        blocks.unshift(findPreview(tree));
+    }
+    return blocks.filter(block => block && block.trim() !== '').join('\n\n');
+}
@@ -0,0 +1,443 @@
+/**
+ * Programmatic Validation API
+ *
+ * Validates a component tree against the generated schemas with Ajv and
+ * turns Ajv's raw errors into path-addressed issues. Errors that only
+ * restate the allOf/if/then structure are dropped. Strict-profile trees get
+ * their missing nulls filled in and are validated node by node, so a
+ * regular tree passes and a misplaced node yields one issue, not one per
+ * anyOf branch.
+ */
+
+import fs from 'fs';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { Liquid } from 'liquidjs';
+import { camelToKebab } from './naming.js';
+
+export const PROFILES = {
+    full: new URL('./mjml-components-schema.json', import.meta.url),
+    ai: new URL('./mjml-components-schema-ai.json', import.meta.url),
+    strict: new URL('./mjml-components-schema-ai-strict.json', import.meta.url)
+};
+
+const compiledValidators = new Map();
+
+/**
+ * Compile (once) the validator for a profile or a schema object
+ */
+function getValidator(profile, schema) {
+    const key = schema || profile;
+    if (!compiledValidators.has(key)) {
+        if (!schema && !PROFILES[profile]) {
+            throw new Error(`Unknown profile "${profile}" (expected one of: ${Object.keys(PROFILES).join(', ')})`);
+        }
+        const ajv = new Ajv2020({ allErrors: true, strict: false });
+        const source = schema || JSON.parse(fs.readFileSync(PROFILES[profile], 'utf8'));
+        compiledValidators.set(key, ajv.compile(source));
+    }
+    return compiledValidators.get(key);
+}
+
+/**
+ * The components and attributes a profile's schema excludes (recorded by
+ * the extractor as x-excluded), as { components, attributes }
+ */
+export function getExclusions(profile = 'full', schema = null) {
+    const { components = [], attributes = [] } = getValidator(profile, schema).schema['x-excluded'] || {};
+    return { components, attributes };
+}
+
+/**
+ * The attribute names a profile's schema defines for a component type, in
+ * the schema's naming (empty for unknown types). Reads both layouts: the
+ * allOf/if/then branches of the full and ai schemas and the per-component
+ * $defs of the strict schema.
+ */
+export function getAttributeNames(type, profile = 'full', schema = null) {
+    const source = getValidator(profile, schema).schema;
+    let attributes;
+    if (source.$defs && Object.hasOwn(source.$defs, type)) {
+        attributes = (source.$defs[type].properties || {}).attributes;
+    } else {
+        const branch = (source.allOf || []).find(entry => entry.if && entry.if.properties.type.const === type);
+        attributes = branch && branch.then.properties && branch.then.properties.attributes;
+    }
+    const object = attributes && attributes.anyOf ? attributes.anyOf.find(option => option.type === 'object') : attributes;
+    return Object.keys((object && object.properties) || {});
+}
+
+/**
+ * Whether a schema accepts null
+ */
+function acceptsNull(schema) {
+    return Boolean(schema) && ([].concat(schema.type).includes('null') || (schema.anyOf || []).some(acceptsNull));
+}
+
+/**
+ * Copy a tree with the nulls the strict layout requires filled in: node
+ * fields and attributes that are missing but nullable become null, the way
+ * strict-mode output spells them. Trees from parseMjml() or stripNulls()
+ * then validate like strict output.
+ */
+function fillNulls(tree, source) {
+    const definitionOf = node => (node && typeof node.type === 'string' && Object.hasOwn(source.$defs, node.type) ? source.$defs[node.type] : null);
+    const fill = (node, definition) => {
+        if (!definition || !node || typeof node !== 'object' || Array.isArray(node)) {
+            return node;
+        }
+        const properties = definition.properties || {};
+        const filled = { ...node };
+        for (const field of definition.required || []) {
+            if (!Object.hasOwn(filled, field) && acceptsNull(properties[field])) {
+                filled[field] = null;
+            }
+        }
+        const attributeSchema = properties.attributes && (properties.attributes.anyOf || [properties.attributes]).find(option => option.type === 'object');
+        if (attributeSchema && filled.attributes && typeof filled.attributes === 'object' && !Array.isArray(filled.attributes)) {
+            filled.attributes = { ...filled.attributes };
+            for (const name of attributeSchema.required || []) {
+                if (!Object.hasOwn(filled.attributes, name) && acceptsNull((attributeSchema.properties || {})[name])) {
+                    filled.attributes[name] = null;
+                }
+            }
+        }
+        if (Array.isArray(filled.children)) {
+            filled.children = filled.children.map(child => fill(child, definitionOf(child)));
+        }
+        return filled;
+    };
+    // The root node is the schema itself
+    return fill(tree, source);
+}
+
+/**
+ * Whether a schema has the strict layout: per-component $defs instead of
+ * allOf/if/then branches
+ */
+function isStrictLayout(source) {
+    return Boolean(source.$defs) && !source.allOf;
+}
+
+/**
+ * Resolve a JSON Pointer against the tree
+ */
+function resolvePointer(tree, pointer) {
+    let current = tree;
+    for (const token of pointer.split('/').slice(1)) {
+        if (current === undefined || current === null) {
+            return undefined;
+        }
+        current = current[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+    }
+    return current;
+}
+
+const strictNodeValidators = new Map();
+
+/**
+ * Compile (once) one validator per node definition of a strict-layout
+ * schema, keyed by component type ('' for the root). Each checks a single
+ * node: its children are only checked for an allowed type, in place of the
+ * anyOf of $refs, so a child is validated against the definition its own
+ * type names and Ajv does not report the failures of every other branch.
+ */
+function getStrictNodeValidators(source) {
+    if (!strictNodeValidators.has(source)) {
+        const ajv = new Ajv2020({ allErrors: true, strict: false });
+        const shallow = definition => {
+            const { type, properties = {}, required, additionalProperties } = definition;
+            const children = properties.children && properties.children.anyOf
+                ? {
+                    anyOf: properties.children.anyOf.map(option => {
+                        if (option.type !== 'array') {
+                            return option;
+                        }
+                        const branches = option.items.anyOf || [option.items];
+                        const allowed = branches.map(branch => branch.$ref.split('/').pop());
+                        return { ...option, items: { type: 'object', properties: { type: { enum: allowed } } } };
+                    })
+                }
+                : properties.children;
+            return { type, properties: { ...properties, ...(children && { children }) }, required, additionalProperties };
+        };
+        const validators = new Map([['', ajv.compile(shallow(source))]]);
+        for (const [type, definition] of Object.entries(source.$defs)) {
+            validators.set(type, ajv.compile(shallow(definition)));
+        }
+        strictNodeValidators.set(source, validators);
+    }
+    return strictNodeValidators.get(source);
+}
+
+/**
+ * Validate a tree against a strict-layout schema node by node, returning
+ * Ajv errors with instance paths into the whole tree. Failures of the null
+ * alternative of a nullable field, and the anyOf that wraps them, only
+ * repeat the other alternative's errors and are left out; children whose
+ * type has no definition are reported as an enum error on their type.
+ */
+function validateStrict(tree, source) {
+    const validators = getStrictNodeValidators(source);
+    const errors = [];
+    const visit = (node, nodePath, validator) => {
+        if (!validator(node)) {
+            for (const error of validator.errors) {
+                const nullAlternative = error.keyword === 'type' && error.params.type === 'null' && /\/anyOf\/\d+\/type$/.test(error.schemaPath);
+                if (!nullAlternative && error.keyword !== 'anyOf') {
+                    errors.push({ ...error, instancePath: nodePath + error.instancePath });
+                }
+            }
+        }
+        (node && Array.isArray(node.children) ? node.children : []).forEach((child, index) => {
+            const childPath = `${nodePath}/children/${index}`;
+            if (!child || typeof child !== 'object') {
+                return;
+            }
+            if (typeof child.type === 'string' && Object.hasOwn(source.$defs, child.type)) {
+                visit(child, childPath, validators.get(child.type));
+            } else {
+                errors.push({
+                    instancePath: `${childPath}/type`,
+                    schemaPath: '#/$defs',
+                    keyword: 'enum',
+                    params: { allowedValues: Object.keys(source.$defs) },
+                    message: 'must be equal to one of the allowed values'
+                });
+            }
+        });
+    };
+    visit(tree, '', validators.get(''));
+    return errors;
+}
+
+/**
+ * Split an Ajv instancePath into the pointer of the node it belongs to and
+ * the node-level field (attributes, type, children, ...) it points at
+ */
+function splitInstancePath(instancePath) {
+    const match = instancePath.match(/^((?:\/children\/\d+)*)(?:\/([^/]+)(?:\/(.+))?)?$/);
+    if (!match) {
+        return { nodePath: instancePath, field: null, key: null };
+    }
+    return { nodePath: match[1], field: match[2] || null, key: match[3] || null };
+}
+
+/**
+ * Name the rule an Ajv error violates
+ */
+function classifyError(error, field) {
+    if (error.schemaPath.includes('/then/properties/children')) {
+        return 'hierarchy';
+    }
+    // Strict layout: a child type outside the allowed ones, or children on a leaf
+    if (/\/properties\/children\/anyOf\/\d+\/items\/properties\/type\/enum$/.test(error.schemaPath)
+        || (error.keyword === 'type' && error.params.type === 'null' && /\/properties\/children\/type$/.test(error.schemaPath))) {
+        return 'hierarchy';
+    }
+    if (field === 'type' && error.keyword === 'enum') {
+        return 'unknown-component';
+    }
+    if (field === 'attributes' && error.keyword === 'additionalProperties') {
+        return 'unknown-attribute';
+    }
+    return error.keyword;
+}
+
+/**
+ * Convert one Ajv error into an issue, or null when it is structural noise
+ */
+function toIssue(error, tree, exclusions) {
+    // "must match then schema" only repeats the nested errors
+    if (error.keyword === 'if') {
+        return null;
+    }
+    // A then branch's "children must be array" repeats the base schema's
+    if (error.keyword === 'type' && error.params.type === 'array' && error.schemaPath.includes('/then/properties/children/')) {
+        return null;
+    }
+
+    const { nodePath, field, key } = splitInstancePath(error.instancePath);
+    let rule = classifyError(error, field);
+    let attribute = null;
+    let value;
+
+    if (rule === 'hierarchy') {
+        // maxItems (and type null on a strict leaf) points at the parent's
+        // children array, enum at the offending child's type
+        value = error.keyword === 'maxItems' || error.keyword === 'type'
+            ? [].concat(resolvePointer(tree, `${nodePath}/children`)).map(child => child && child.type)
+            : resolvePointer(tree, `${nodePath}/type`);
+    } else if (field === 'attributes') {
+        attribute = error.keyword === 'additionalProperties' ? error.params.additionalProperty : key;
+        value = attribute === null ? resolvePointer(tree, error.instancePath) : resolvePointer(tree, `${nodePath}/attributes/${attribute}`);
+    } else if (error.keyword === 'required') {
+        value = undefined;
+    } else {
+        value = resolvePointer(tree, error.instancePath);
+    }
+
+    const node = resolvePointer(tree, nodePath) || {};
+
+    if (rule === 'unknown-component' && exclusions.components.includes(value)) {
+        rule = 'excluded-component';
+    }
+    if (rule === 'unknown-attribute' && exclusions.attributes.includes(camelToKebab(attribute))) {
+        rule = 'excluded-attribute';
+    }
+
+    return {
+        path: nodePath,
+        nodeId: typeof node.id === 'string' ? node.id : null,
+        type: typeof node.type === 'string' ? node.type : null,
+        attribute,
+        rule,
+        value,
+        message: describeIssue(rule, node, attribute, value, error, tree, nodePath)
+    };
+}
+
+/**
+ * Human-readable message for an issue
+ */
+function describeIssue(rule, node, attribute, value, error, tree, nodePath) {
+    const subject = `${node.type || 'node'}${node.id ? ` "${node.id}"` : ''}`;
+    switch (rule) {
+        case 'hierarchy': {
+            if (error.keyword === 'maxItems' || (error.keyword === 'type' && error.params.type === 'null')) {
+                return `${subject} cannot have children`;
+            }
+            if (error.keyword !== 'enum') {
+                return `${subject}: ${error.message}`;
+            }
+            const parent = resolvePointer(tree, nodePath.replace(/\/children\/\d+$/, '')) || {};
+            return `${subject} cannot be a child of ${parent.type} (allowed: ${error.params.allowedValues.join(', ')})`;
+        }
+        case 'unknown-component':
+            return `Unknown component type ${JSON.stringify(value)}`;
+        case 'excluded-component':
+            return `${value} is excluded from this profile`;
+        case 'unknown-attribute':
+            return `${subject}: unknown attribute "${attribute}"`;
+        case 'excluded-attribute':
+            return `${subject}: attribute "${attribute}" is excluded from this profile`;
+        default:
+            return attribute
+                ? `${subject}: attribute "${attribute}" ${error.message}`
+                : `${subject}: ${error.message}`;
+    }
+}
+
+const TEMPLATE_MARKER = /\{\{|\{%/;
+
+/**
+ * Render the Liquid attribute values of a tree with sample data.
+ *
+ * Returns { tree, templates, issues }: a rendered copy of the tree, the
+ * original template of each rendered attribute (keyed by
+ * "path|attribute") and a 'liquid' issue for each value that fails to
+ * render (syntax errors or variables missing from the sample data).
+ */
+export function renderTemplates(tree, sampleData) {
+    const liquid = new Liquid({ strictVariables: true });
+    const templates = new Map();
+    const issues = [];
+
+    const render = (node, nodePath) => {
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+        const rendered = { ...node };
+        if (node.attributes && typeof node.attributes === 'object') {
+            rendered.attributes = { ...node.attributes };
+            for (const [attribute, value] of Object.entries(node.attributes)) {
+                if (typeof value !== 'string' || !TEMPLATE_MARKER.test(value)) {
+                    continue;
+                }
+                try {
+                    rendered.attributes[attribute] = liquid.parseAndRenderSync(value, sampleData);
+                    templates.set(`${nodePath}|${attribute}`, value);
+                } catch (error) {
+                    issues.push({
+                        path: nodePath,
+                        nodeId: typeof node.id === 'string' ? node.id : null,
+                        type: typeof node.type === 'string' ? node.type : null,
+                        attribute,
+                        rule: 'liquid',
+                        value,
+                        message: `${node.type || 'node'}${node.id ? ` "${node.id}"` : ''}: attribute "${attribute}" cannot be rendered: ${error.message.split('\n')[0]}`
+                    });
+                }
+            }
+        }
+        if (Array.isArray(node.children)) {
+            rendered.children = node.children.map((child, index) => render(child, `${nodePath}/children/${index}`));
+        }
+        return rendered;
+    };
+
+    return { tree: render(tree, ''), templates, issues };
+}
+
+/**
+ * Validate a component tree.
+ *
+ * Options:
+ * - profile: 'full', 'ai' or 'strict' (default: 'full')
+ * - schema: validate against this schema object instead of a profile's file
+ * - sampleData: render Liquid attribute values ({{ }} / {% %}) with this
+ *   data and validate the rendered values
+ *
+ * Returns { valid, issues } where each issue has the JSON Pointer of the
+ * node (path), its id and type, the attribute (if any), the rule violated
+ * and the offending value. Issues on rendered values also carry the
+ * original template.
+ */
+export function validate(tree, { profile = 'full', schema = null, sampleData = null } = {}) {
+    const validator = getValidator(profile, schema);
+
+    let templates = new Map();
+    const issues = [];
+    if (sampleData) {
+        const rendered = renderTemplates(tree, sampleData);
+        tree = rendered.tree;
+        templates = rendered.templates;
+        issues.push(...rendered.issues);
+    }
+
+    const strict = isStrictLayout(validator.schema);
+    if (strict) {
+        tree = fillNulls(tree, validator.schema);
+    }
+
+    let errors;
+    if (strict) {
+        errors = validateStrict(tree, validator.schema);
+    } else {
+        validator(tree);
+        errors = validator.errors || [];
+    }
+    const exclusions = getExclusions(profile, schema);
+
+    const seen = new Set();
+    // Values that failed to render are only reported once, as 'liquid' issues
+    const unrendered = new Set(issues.map(issue => `${issue.path}|${issue.attribute}`));
+    for (const error of errors) {
+        const issue = toIssue(error, tree, exclusions);
+        if (!issue) {
+            continue;
+        }
+        // Several required properties can be missing from the same node
+        const dedupeKey = `${issue.path}|${issue.attribute}|${issue.rule}|${error.params.missingProperty || ''}`;
+        if (!seen.has(dedupeKey) && !unrendered.has(`${issue.path}|${issue.attribute}`)) {
+            seen.add(dedupeKey);
+            const template = templates.get(`${issue.path}|${issue.attribute}`);
+            if (template !== undefined) {
+                issue.template = template;
+                issue.message += ` (rendered from ${JSON.stringify(template)})`;
+            }
+            issues.push(issue);
+        }
+    }
+
+    return { valid: issues.length === 0, issues };
+}
@@ -0,0 +1,136 @@
+/**
+ * Round-trip Render Verification
+ *
+ * Serializes a component tree, compiles it with the installed mjml in
+ * strict validation mode and maps each error mjml reports back to the node
+ * (JSON Pointer and id) and attribute it came from. A tree can satisfy the
+ * generated schemas and still be rejected by mjml (e.g. a hierarchy rule the
+ * schema cannot express); this is the final gate before sending.
+ */
+
+import mjml2html from 'mjml';
+import { toMjml, locateNodes } from './to_mjml.js';
+import { renderTemplates } from './validate.js';
+import { camelToKebab } from './naming.js';
+
+// mjml-validator messages, by the rule that produces them
+const MJML_RULES = [
+    { rule: 'valid-attributes', pattern: /^Attributes? (.+) (?:is|are) illegal$/ },
+    { rule: 'valid-types', pattern: /^Attribute (\S+) has invalid value/ },
+    { rule: 'valid-children', pattern: /cannot be used inside/ },
+    { rule: 'valid-tag', pattern: /doesn't exist or is not registered$/ },
+    { rule: 'include', pattern: /^mj-include fails to read file/ }
+];
+
+/**
+ * Name the mjml-validator rule of an error message, and the attributes it
+ * is about
+ */
+function classifyMessage(message) {
+    for (const { rule, pattern } of MJML_RULES) {
+        const match = message.match(pattern);
+        if (!match) {
+            continue;
+        }
+        if (rule === 'valid-attributes') {
+            return { rule, attributes: match[1].split(', ') };
+        }
+        return { rule, attributes: rule === 'valid-types' ? [match[1]] : [null] };
+    }
+    return { rule: 'mjml', attributes: [null] };
+}
+
+/**
+ * The tree's key for an attribute mjml names in kebab-case
+ */
+function attributeKey(node, name) {
+    if (name === null) {
+        return null;
+    }
+    return Object.keys(node.attributes || {}).find(key => camelToKebab(key) === name) || name;
+}
+
+/**
+ * Compile with mjml, collecting what it prints to the console (deprecation
+ * notices, components it could not render) as warnings
+ */
+function compile(mjml, options) {
+    const warnings = [];
+    const { warn, error } = console;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    console.error = (...args) => warnings.push(args.join(' '));
+    try {
+        const { html, errors } = mjml2html(mjml, options);
+        return { html, errors, warnings, failure: null };
+    } catch (compileError) {
+        // Strict validation throws its errors; anything else means mjml
+        // could not compile the document at all (e.g. no mj-body)
+        const errors = Array.isArray(compileError.errors) ? compileError.errors : [];
+        return { html: null, errors, warnings, failure: errors.length > 0 ? null : compileError.message };
+    } finally {
+        console.warn = warn;
+        console.error = error;
+    }
+}
+
+/**
+ * Check that a component tree compiles with mjml without errors or warnings.
+ *
+ * Options:
+ * - sampleData: render Liquid attribute values with this data first (see
+ *   validate()); values that fail to render are reported as 'liquid' issues
+ * - mjmlOptions: options passed to mjml2html (validationLevel is always 'strict')
+ *
+ * Returns { valid, issues, html } where each issue has the JSON Pointer of
+ * the node (path), its id and type, the attribute (if any), the
+ * mjml-validator rule (valid-attributes, valid-types, valid-children,
+ * valid-tag, include; 'compile' when mjml throws, 'warning' for console
+ * output), mjml's message and the line in the serialized MJML. html is the compiled email, or null when
+ * mjml rejected the tree. Includes are compiled as mjml finds them, so
+ * resolve them first (resolveIncludes) to have their issues mapped.
+ */
+export function verifyRender(tree, { sampleData = null, mjmlOptions = {} } = {}) {
+    const issues = [];
+    if (sampleData) {
+        const rendered = renderTemplates(tree, sampleData);
+        tree = rendered.tree;
+        issues.push(...rendered.issues);
+    }
+
+    const located = locateNodes(tree);
+    const { html, errors, warnings, failure } = compile(toMjml(tree), { ...mjmlOptions, validationLevel: 'strict' });
+    if (failure) {
+        issues.push({ path: '', nodeId: null, type: null, attribute: null, rule: 'compile', message: failure });
+    }
+
+    // Values that failed to render are only reported once, as 'liquid' issues
+    const unrendered = new Set(issues.map(issue => `${issue.path}|${issue.attribute}`));
+    for (const error of [...errors].sort((a, b) => a.line - b.line)) {
+        const entry = located.find(({ line, node }) => line === error.line && node.type === error.tagName)
+            || located.find(({ line }) => line === error.line);
+        const node = entry ? entry.node : {};
+        const { rule, attributes } = classifyMessage(error.message);
+        for (const name of attributes) {
+            const path = entry ? entry.path : '';
+            const attribute = attributeKey(node, name);
+            if (unrendered.has(`${path}|${attribute}`)) {
+                continue;
+            }
+            issues.push({
+                path,
+                nodeId: typeof node.id === 'string' ? node.id : null,
+                type: entry ? node.type : error.tagName,
+                attribute,
+                rule,
+                line: error.line,
+                message: `${error.tagName}${node.id ? ` "${node.id}"` : ''}: ${error.message.trim()}`
+            });
+        }
+    }
+
+    for (const warning of warnings) {
+        issues.push({ path: '', nodeId: null, type: null, attribute: null, rule: 'warning', message: warning });
+    }
+
+    return { valid: issues.length === 0, issues, html };
+}